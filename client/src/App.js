@@ -1,45 +1,98 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import './App.css';
+import UserAdmin from './UserAdmin';
+import RowBrowser from './RowBrowser';
+import SheetsOutbox from './SheetsOutbox';
+import Reports from './Reports';
+import Retention from './Retention';
+import Settings from './Settings';
+import PollerStatus from './PollerStatus';
+import GenerationOptions, { loadOptions, saveOptions } from './GenerationOptions';
+import GenerationProgress, { applyProgressEvent } from './GenerationProgress';
 
-const USERS = {
-  "john.dorey@rjdorey.co.uk": "John1234!",
-  "claire.broadhurst@rjdorey.co.uk": "Claire1234!"
-};
 const APP_TITLE = "RJDorey Worksheet Automater";
 
 function App() {
-  // Auth state
-  const [signedIn, setSignedIn] = useState(false);
-  const [userEmail, setUserEmail] = useState("");
+  // Auth state (accounts are checked in the main process)
+  const [authChecked, setAuthChecked] = useState(false);
+  const [needsSetup, setNeedsSetup] = useState(false);
+  const [user, setUser] = useState(null);
   const [emailInput, setEmailInput] = useState("");
   const [pwInput, setPwInput] = useState("");
   const [pwShow, setPwShow] = useState(false);
   const [authError, setAuthError] = useState("");
+  const [showAdmin, setShowAdmin] = useState(false);
+  const [showRows, setShowRows] = useState(false);
+  const [showOutbox, setShowOutbox] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+  const [showRetention, setShowRetention] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
 
   // Main app state
   const [error, setError] = useState('');
   const [output, setOutput] = useState('');
   const [loading, setLoading] = useState(false);
   const [outputFolder, setOutputFolder] = useState(() => localStorage.getItem('outputFolder') || '');
+  const [progress, setProgress] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [options, setOptions] = useState(loadOptions);
+
+  // Ask the main process whether someone is signed in, or whether this is the first run
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.authStatus) {
+      setAuthChecked(true);
+      return;
+    }
+    window.electronAPI.authStatus().then(status => {
+      setNeedsSetup(!!status.needsSetup);
+      setUser(status.user || null);
+      setAuthChecked(true);
+    }, err => {
+      // show the sign-in screen with the problem rather than staying blank
+      setAuthError(`Could not check sign-in: ${(err && err.message) || String(err)}`);
+      setAuthChecked(true);
+    });
+  }, []);
+
+  // Per-row progress pushed by the main process while a generation run is active
+  useEffect(() => {
+    if (!window.electronAPI || !window.electronAPI.onGenerateProgress) return undefined;
+    return window.electronAPI.onGenerateProgress(event => setProgress(prev => applyProgressEvent(prev, event)));
+  }, []);
 
   // Login logic
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
-    const emailLower = emailInput.trim().toLowerCase();
-    if (!USERS[emailLower]) {
-      setAuthError("Unrecognized email address.");
+    setAuthError('');
+    if (!window.electronAPI || !window.electronAPI.login) {
+      setAuthError('Electron API not found. Are you running inside Electron?');
       return;
     }
-    if (USERS[emailLower] !== pwInput) {
-      setAuthError("Incorrect password.");
+    const result = needsSetup
+      ? await window.electronAPI.createFirstAdmin(emailInput, pwInput)
+      : await window.electronAPI.login(emailInput, pwInput);
+    if (!result || !result.ok) {
+      setAuthError((result && result.error) || 'Sign-in failed.');
       return;
     }
-    setUserEmail(emailLower);
-    setSignedIn(true);
-    setAuthError('');
+    setUser(result.user);
+    setNeedsSetup(false);
     setPwInput('');
   };
 
+  const handleLogout = async () => {
+    if (window.electronAPI && window.electronAPI.logout) await window.electronAPI.logout();
+    setUser(null);
+    setShowAdmin(false);
+    setShowRows(false);
+    setShowOutbox(false);
+    setShowReports(false);
+    setShowRetention(false);
+    setShowSettings(false);
+    setOutput('');
+    setError('');
+  };
+
   const handleChooseFolder = async () => {
     setError("");
     setOutput("");
@@ -55,9 +108,18 @@ function App() {
     }
   };
 
-  const handleGenerate = async () => {
+  const handleOptionsChange = (next) => {
+    setOptions(next);
+    saveOptions(next);
+  };
+
+  // keys: row keys picked in the row browser; omitted = every row the worker selects itself
+  const handleGenerate = async (keys) => {
+    setShowRows(false);
     setError('');
     setOutput('');
+    setProgress(applyProgressEvent(null, {}));
+    setCancelling(false);
     setLoading(true);
     try {
       if (!window.electronAPI || !window.electronAPI.generateWorksheets) {
@@ -66,12 +128,20 @@ function App() {
       if (!outputFolder) {
         throw new Error('Please select an output folder before generating.');
       }
-      const result = await window.electronAPI.generateWorksheets(outputFolder);
+      const result = await window.electronAPI.generateWorksheets(outputFolder, Array.isArray(keys) ? { ...options, keys } : options);
       setOutput(result);
     } catch (err) {
       setError(err.message || 'Unknown error');
     }
     setLoading(false);
+    setCancelling(false);
+  };
+
+  const handleCancel = async () => {
+    if (!window.electronAPI || !window.electronAPI.cancelGeneration) return;
+    setCancelling(true);
+    const result = await window.electronAPI.cancelGeneration();
+    if (!result || !result.ok) setCancelling(false);
   };
 
   const handleFolderClick = () => {
@@ -89,7 +159,11 @@ function App() {
   };
 
   // -------- UI --------
-  if (!signedIn) {
+  if (!authChecked) {
+    return <div className="login-bg" />;
+  }
+
+  if (!user) {
     return (
       <div className="login-bg">
         <form className="login-panel" onSubmit={handleLogin}>
@@ -99,7 +173,9 @@ function App() {
             className="login-logo"
           />
           <div className="login-title">{APP_TITLE}</div>
-          <div className="login-subtitle">Sign in to continue</div>
+          <div className="login-subtitle">
+            {needsSetup ? "Create the administrator account" : "Sign in to continue"}
+          </div>
           <input
             className="login-input"
             type="email"
@@ -117,30 +193,112 @@ function App() {
               required
               placeholder="Password"
               value={pwInput}
-              autoComplete="current-password"
+              autoComplete={needsSetup ? "new-password" : "current-password"}
               onChange={e => setPwInput(e.target.value)}
               style={{ marginRight: 6 }}
             />
-           
+            <button
+              type="button"
+              className="pw-toggle"
+              onClick={() => setPwShow(v => !v)}
+              title={pwShow ? "Hide password" : "Show password"}
+            >
+              <span role="img" aria-label="toggle password">{pwShow ? "🙈" : "👁"}</span>
+            </button>
           </div>
           {authError && <div className="login-error">{authError}</div>}
           <button className="login-submit" type="submit">
-            Sign In
+            {needsSetup ? "Create Account" : "Sign In"}
           </button>
-          <div className="login-footer">
-            <span style={{ opacity: 0.65 }}>Access restricted to:<br /><b>john.dorey@rjdorey.co.uk</b> &amp; <b>claire.broadhurst@rjdorey.co.uk</b></span>
-          </div>
+          {needsSetup && (
+            <div className="login-footer">
+              <span style={{ opacity: 0.65 }}>First run: this account can add and remove other users.</span>
+            </div>
+          )}
         </form>
       </div>
     );
   }
 
+  if (showAdmin) {
+    return (
+      <div className="app-bg">
+        <div className="generator-container">
+          <UserAdmin currentEmail={user.email} onClose={() => setShowAdmin(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showOutbox) {
+    return (
+      <div className="app-bg">
+        <div className="generator-container wide">
+          <SheetsOutbox isAdmin={user.role === 'admin'} onClose={() => setShowOutbox(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showReports) {
+    return (
+      <div className="app-bg">
+        <div className="generator-container">
+          <Reports outputFolder={outputFolder} onClose={() => setShowReports(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showSettings) {
+    return (
+      <div className="app-bg">
+        <div className="generator-container">
+          <Settings onClose={() => setShowSettings(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showRetention) {
+    return (
+      <div className="app-bg">
+        <div className="generator-container">
+          <Retention outputFolder={outputFolder} isAdmin={user.role === 'admin'} onClose={() => setShowRetention(false)} />
+        </div>
+      </div>
+    );
+  }
+
+  if (showRows) {
+    return (
+      <div className="app-bg">
+        <div className="generator-container wide">
+          <RowBrowser
+            disabled={loading || !outputFolder}
+            onGenerate={handleGenerate}
+            onClose={() => setShowRows(false)}
+          />
+          {!outputFolder && <div className="result-box error">Error: Please select an output folder before generating.</div>}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="app-bg">
       <div className="generator-container">
         <div className="main-title">{APP_TITLE}</div>
         <div className="main-byline">
-          Signed in as <span className="signed-email">{userEmail}</span>
+          Signed in as <span className="signed-email">{user.email}</span>
+          {user.role === 'admin' && (
+            <button className="link-btn" onClick={() => setShowAdmin(true)}>Manage users</button>
+          )}
+          {user.role === 'admin' && (
+            <button className="link-btn" onClick={() => setShowSettings(true)} disabled={loading}>Settings</button>
+          )}
+          <button className="link-btn" onClick={() => setShowOutbox(true)}>Sheet outbox</button>
+          <button className="link-btn" onClick={handleLogout}>Sign out</button>
         </div>
 
         <div className="main-section">
@@ -161,22 +319,47 @@ function App() {
           </div>
         )}
 
+        <GenerationOptions options={options} onChange={handleOptionsChange} disabled={loading} />
+
         <button
           className="generate-btn"
-          onClick={handleGenerate}
+          onClick={() => handleGenerate()}
           disabled={loading || !outputFolder}
         >
           <span className="btn-icon" role="img" aria-label="doc-folder">📝</span>
-          {loading ? "Generating..." : "Generate Worksheets"}
+          {loading ? "Generating..." : (options.dry ? "Dry Run" : "Generate Worksheets")}
         </button>
 
-    
+        <button className="link-btn" onClick={() => setShowRows(true)} disabled={loading}>
+          Browse sheet rows...
+        </button>
+        <button className="link-btn" onClick={() => setShowReports(true)} disabled={loading}>
+          Reports...
+        </button>
+        <button className="link-btn" onClick={() => setShowRetention(true)} disabled={loading}>
+          Archive old worksheets...
+        </button>
+
+        {loading && (
+          <button className="cancel-btn" onClick={handleCancel} disabled={cancelling}>
+            {cancelling ? "Cancelling..." : "Cancel"}
+          </button>
+        )}
 
-        {(error || output) && (
-          <div className={`result-box${error ? " error" : ""}`}>
-            {error ? `Error: ${error}` : output}
+        <GenerationProgress progress={progress} />
+        <PollerStatus isAdmin={user.role === 'admin'} />
+
+        {error && (
+          <div className="result-box error">
+            {`Error: ${error}`}
           </div>
         )}
+        {output && !error && (
+          <details className="log-details">
+            <summary>Show generator log</summary>
+            <div className="result-box">{output}</div>
+          </details>
+        )}
       </div>
       <footer className="footer">
         &copy; {new Date().getFullYear()} RJ Dorey &mdash; All rights reserved.
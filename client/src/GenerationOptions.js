@@ -0,0 +1,62 @@
+import React from 'react';
+
+export const DEFAULT_OPTIONS = { days: '', last: '', job: '', force: false, dry: false, debug: false };
+
+const STORAGE_KEY = 'generationOptions';
+
+export function loadOptions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    // only known options: settings from older versions (e.g. "prune") are dropped
+    return Object.fromEntries(Object.keys(DEFAULT_OPTIONS).map(k => [k, k in stored ? stored[k] : DEFAULT_OPTIONS[k]]));
+  } catch (e) {
+    return { ...DEFAULT_OPTIONS };
+  }
+}
+
+export function saveOptions(options) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+}
+
+/**
+ * The fillFromSheet.js flags a user can set from the app. Blank number fields fall back to the
+ * generator's own defaults (last 7 days, no row limit).
+ */
+export default function GenerationOptions({ options, onChange, disabled }) {
+  const set = (name, value) => onChange({ ...options, [name]: value });
+  const changed = Object.keys(DEFAULT_OPTIONS).some(k => options[k] !== DEFAULT_OPTIONS[k]);
+
+  return (
+    <details className="options-panel">
+      <summary>Generation options{changed ? ' (customised)' : ''}</summary>
+      <div className="options-grid">
+        <label title="Only rows dated within this many days (0 = all rows)">
+          Days back
+          <input type="number" min="0" placeholder="7" value={options.days} disabled={disabled} onChange={e => set('days', e.target.value)} />
+        </label>
+        <label title="Only the last N rows after the date filter">
+          Last N rows
+          <input type="number" min="0" placeholder="all" value={options.last} disabled={disabled} onChange={e => set('last', e.target.value)} />
+        </label>
+        <label title="Only rows for this job number">
+          Job number
+          <input type="text" placeholder="any" value={options.job} disabled={disabled} onChange={e => set('job', e.target.value)} />
+        </label>
+      </div>
+      <div className="options-flags">
+        <label title="Regenerate worksheets even when the row hasn't changed">
+          <input type="checkbox" checked={options.force} disabled={disabled} onChange={e => set('force', e.target.checked)} /> Force regenerate
+        </label>
+        <label title="Show what would be written without writing anything">
+          <input type="checkbox" checked={options.dry} disabled={disabled} onChange={e => set('dry', e.target.checked)} /> Dry run
+        </label>
+        <label title="Log extra detail about the date filter">
+          <input type="checkbox" checked={options.debug} disabled={disabled} onChange={e => set('debug', e.target.checked)} /> Debug log
+        </label>
+      </div>
+      {changed && (
+        <button className="link-btn" disabled={disabled} onClick={() => onChange({ ...DEFAULT_OPTIONS })}>Reset to defaults</button>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+
+const STATUS_ICONS = { generated: '✅', skipped: '⏭️', failed: '❌' };
+
+const fileName = (p) => String(p || '').split(/[\\/]/).pop();
+
+/**
+ * Folds one progress event from the generator (read / filtered / dates / row / done / failed)
+ * into the state shown by <GenerationProgress>.
+ */
+export function applyProgressEvent(state, event) {
+  const prev = state || { total: null, kept: null, rows: [], summary: null, error: '', dateIssues: [] };
+  switch (event && event.stage) {
+    case 'read':
+      return { ...prev, total: event.total };
+    case 'filtered':
+      return { ...prev, kept: event.kept };
+    case 'dates':
+      return { ...prev, dateIssues: event.issues || [] };
+    case 'row':
+      return { ...prev, rows: prev.rows.concat(event) };
+    case 'done':
+      return { ...prev, summary: event };
+    case 'failed':
+      return { ...prev, error: event.error };
+    default:
+      return prev;
+  }
+}
+
+export default function GenerationProgress({ progress }) {
+  if (!progress) return null;
+  const { total, kept, rows, summary, error, dateIssues = [] } = progress;
+
+  let label = 'Reading sheet...';
+  if (error) label = `Failed: ${error}`;
+  else if (summary) {
+    label = `${summary.cancelled ? 'Cancelled' : 'Done'}: ${summary.generated} generated, ${summary.skipped} skipped, ${summary.failed} failed`;
+  } else if (kept !== null) {
+    label = `Row ${rows.length} of ${kept} (${total} read from sheet, ${kept} selected)`;
+  }
+
+  const pct = summary ? 100 : (kept ? Math.round((rows.length / kept) * 100) : 0);
+
+  return (
+    <div className="progress-panel">
+      <div className="progress-label">{label}</div>
+      <div className="progress-track">
+        <div className={`progress-fill${error ? ' error' : ''}`} style={{ width: `${pct}%` }} />
+      </div>
+      {dateIssues.length > 0 && (
+        <details className="date-issues">
+          <summary>
+            <span role="img" aria-label="warning">⚠️</span> {dateIssues.length} row(s) with a date to check in the sheet
+          </summary>
+          <ul>
+            {dateIssues.map((i, n) => (
+              <li key={`${i.row}-${n}`}>Row {i.row || '?'} {i.name} {i.job}: {i.message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {rows.length > 0 && (
+        <ul className="progress-rows">
+          {rows.map(r => (
+            <li key={r.index} className={`progress-row ${r.status}`}>
+              <span role="img" aria-label={r.status}>{STATUS_ICONS[r.status] || '•'}</span>{' '}
+              {r.status === 'failed'
+                ? `${r.date || 'nodate'} ${r.name || ''} ${r.job || ''} — ${r.error}`
+                : fileName(r.path)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+
+const STATE_LABELS = {
+  running: 'Running',
+  restarting: 'Crashed - restarting',
+  stopping: 'Stopping...',
+  stopped: 'Stopped'
+};
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : 'never');
+
+/**
+ * Health of the background sheet poller (server/poller-supervisor.js): state, last run, last
+ * success and last error, kept current by the status the main process pushes. Admins can stop and
+ * start it.
+ */
+export default function PollerStatus({ isAdmin }) {
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const api = window.electronAPI;
+
+  useEffect(() => {
+    if (!api || !api.pollerStatus) return undefined;
+    api.pollerStatus().then(result => {
+      if (result && result.ok) setStatus(result.status);
+    });
+    return api.onPollerStatus(setStatus);
+  }, [api]);
+
+  const run = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      const result = await action();
+      if (result && result.ok) setStatus(result.status);
+      else setError((result && result.error) || 'Request failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status) return null;
+
+  const stopped = status.state === 'stopped';
+  return (
+    <details className="poller-status">
+      <summary>
+        Background poller: <b className={`poller-${status.state}`}>{STATE_LABELS[status.state] || status.state}</b>
+        {status.lastError && <span role="img" aria-label="warning"> ⚠️</span>}
+      </summary>
+      <div>Last run: {when(status.lastRunAt)}</div>
+      <div>
+        Last success: {when(status.lastSuccessAt)}
+        {status.lastSummary && ` (${status.lastSummary.generated} generated, ${status.lastSummary.failed} failed)`}
+      </div>
+      {status.lastError && <div>Last error: {when(status.lastError.at)} - {status.lastError.message}</div>}
+      {status.state === 'restarting' && status.nextRestartAt && <div>Next attempt: {when(status.nextRestartAt)}</div>}
+      {status.restarts > 0 && <div>Restarted {status.restarts} time(s) since the app started.</div>}
+      <div className="settings-help">Log: {status.logFile}</div>
+      {isAdmin && (
+        <button className="link-btn" disabled={busy || status.state === 'stopping'} onClick={() => run(stopped ? api.startPoller : api.stopPoller)}>
+          {stopped ? 'Start poller' : 'Stop poller'}
+        </button>
+      )}
+      {error && <div className="login-error">{error}</div>}
+    </details>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// Monday of last week — the week payroll usually asks for
+function lastWeekMonday() {
+  const d = new Date();
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7) - 7);
+  return isoDate(d);
+}
+
+const fileName = (p) => String(p).split(/[\\/]/).pop();
+
+/**
+ * Reports built from the sheet rows and written to the output folder. Each report runs in a
+ * worker (server/report-*.js) and comes back as { ok, files, summary }.
+ */
+export default function Reports({ outputFolder, onClose }) {
+  const [week, setWeek] = useState(lastWeekMonday);
+  const [engineer, setEngineer] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [timesheet, setTimesheet] = useState(null);
+  const [job, setJob] = useState('');
+  const [variations, setVariations] = useState(null);
+  const [bundle, setBundle] = useState(null);
+
+  const api = window.electronAPI;
+
+  const handleTimesheet = async () => {
+    setError('');
+    setTimesheet(null);
+    setVariations(null);
+    setBundle(null);
+    if (!api || !api.generateTimesheet) {
+      setError('Electron API not available!');
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await api.generateTimesheet(outputFolder, { week, engineer });
+      if (result && result.ok) setTimesheet(result);
+      else setError((result && result.error) || 'Could not create the timesheet.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVariations = async () => {
+    setError('');
+    setTimesheet(null);
+    setVariations(null);
+    setBundle(null);
+    if (!api || !api.generateVariations) {
+      setError('Electron API not available!');
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await api.generateVariations(outputFolder, { job });
+      if (result && result.ok) setVariations(result);
+      else setError((result && result.error) || 'Could not create the variations schedule.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleBundle = async () => {
+    setError('');
+    setTimesheet(null);
+    setVariations(null);
+    setBundle(null);
+    if (!api || !api.exportJobBundle) {
+      setError('Electron API not available!');
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await api.exportJobBundle(outputFolder, { job });
+      if (result && result.ok) setBundle(result);
+      else setError((result && result.error) || 'Could not export the job bundle.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <div className="main-title">Reports</div>
+        <button className="link-btn" onClick={onClose}>Back</button>
+      </div>
+
+      <div className="report-section">
+        <div className="report-title">Weekly timesheet</div>
+        <div className="rows-filters">
+          <label>Week containing <input type="date" value={week} onChange={e => setWeek(e.target.value)} /></label>
+          <input type="text" placeholder="Engineer (all)" value={engineer} onChange={e => setEngineer(e.target.value)} />
+        </div>
+        <button className="generate-btn" onClick={handleTimesheet} disabled={busy || !outputFolder || !week}>
+          <span className="btn-icon" role="img" aria-label="clock">🕒</span>
+          {busy ? 'Reading sheet...' : 'Create timesheet'}
+        </button>
+
+        {timesheet && (
+          <div className="report-result">
+            {timesheet.summary.engineers.length === 0 ? (
+              <div className="rows-empty">No visits in the week starting {timesheet.summary.week}.</div>
+            ) : (
+              <table className="admin-table">
+                <thead>
+                  <tr><th>Engineer</th><th>Hours</th><th>Extra hours</th><th>Visits</th></tr>
+                </thead>
+                <tbody>
+                  {timesheet.summary.engineers.map(e => (
+                    <tr key={e.name}><td>{e.name}</td><td>{e.hours}</td><td>{e.extraHours}</td><td>{e.visits}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div className="report-files">Saved {timesheet.files.map(fileName).join(' and ')}</div>
+            {timesheet.summary.notes.length > 0 && (
+              <details className="date-issues">
+                <summary>
+                  <span role="img" aria-label="warning">⚠️</span> {timesheet.summary.notes.length} row(s) to check in the sheet
+                </summary>
+                <ul>
+                  {timesheet.summary.notes.map((note, n) => <li key={n}>{note}</li>)}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="report-section">
+        <div className="report-title">Job close-out</div>
+        <div className="rows-filters">
+          <input type="text" placeholder="Job number" value={job} onChange={e => setJob(e.target.value)} />
+        </div>
+        <button className="generate-btn" onClick={handleVariations} disabled={busy || !outputFolder || !job.trim()}>
+          <span className="btn-icon" role="img" aria-label="clipboard">📋</span>
+          {busy ? 'Reading sheet...' : 'Create variations schedule'}
+        </button>
+        <button className="generate-btn" onClick={handleBundle} disabled={busy || !outputFolder || !job.trim()}>
+          <span className="btn-icon" role="img" aria-label="package">📦</span>
+          {busy ? 'Working...' : 'Export job bundle (zip)'}
+        </button>
+
+        {variations && (
+          <div className="report-result">
+            <div>
+              Job <b>{variations.summary.job}</b>{variations.summary.customer && ` (${variations.summary.customer})`}:{' '}
+              {variations.summary.variations} of {variations.summary.visits} visit(s) recorded extras,{' '}
+              {variations.summary.extraHours} extra hour(s), {variations.summary.materials} extra material line(s).
+            </div>
+            <div className="report-files">Saved {variations.files.map(fileName).join(' and ')}</div>
+            {variations.summary.notes.length > 0 && (
+              <details className="date-issues">
+                <summary>
+                  <span role="img" aria-label="warning">⚠️</span> {variations.summary.notes.length} row(s) to check in the sheet
+                </summary>
+                <ul>
+                  {variations.summary.notes.map((note, n) => <li key={n}>{note}</li>)}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+
+        {bundle && (
+          <div className="report-result">
+            <div>
+              Job <b>{bundle.summary.job}</b>: {bundle.summary.worksheets} worksheet(s){bundle.summary.archived > 0 && ` (${bundle.summary.archived} from the archive)`} and {bundle.summary.attachments} attachment(s) bundled.
+            </div>
+            <div className="report-files">Saved {bundle.files.map(fileName).join(' and ')}</div>
+            {bundle.summary.notes.length > 0 && (
+              <details className="date-issues">
+                <summary>
+                  <span role="img" aria-label="warning">⚠️</span> {bundle.summary.notes.length} worksheet(s) to check
+                </summary>
+                <ul>
+                  {bundle.summary.notes.map((note, n) => <li key={n}>{note}</li>)}
+                </ul>
+              </details>
+            )}
+          </div>
+        )}
+      </div>
+
+      {!outputFolder && <div className="result-box error">Error: Please select an output folder first.</div>}
+      {error && <div className="result-box error">{`Error: ${error}`}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+/**
+ * Archive old worksheets (server/retention.js): preview which worksheets would move into the
+ * monthly zips in <output>/archive, then archive exactly those. Worksheets for open jobs always stay.
+ * Anyone can preview; only admins can archive. Blank months = the RETENTION_MONTHS setting.
+ */
+export default function Retention({ outputFolder, isAdmin, onClose }) {
+  const [months, setMonths] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const api = window.electronAPI;
+
+  const run = async (action, options = {}) => {
+    setError('');
+    if (!api || !api.previewRetention) {
+      setError('Electron API not available!');
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await action(outputFolder, Object.assign({ months }, options));
+      if (result && result.ok) setPlan(result.summary);
+      else setError((result && result.error) || 'Could not read the output folder.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = () => {
+    setPlan(null);
+    run(api.previewRetention);
+  };
+
+  const handleApply = () => {
+    const count = plan.archives.reduce((sum, a) => sum + a.worksheets.length, 0);
+    if (!window.confirm(`Move ${count} worksheet(s) into ${plan.archives.length} zip file(s) in the archive folder?`)) return;
+    // archive exactly what was previewed; the worker refuses if the folder has changed since
+    run(api.applyRetention, { planId: plan.planId });
+  };
+
+  const toArchive = plan ? plan.archives.reduce((sum, a) => sum + a.worksheets.length, 0) : 0;
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <div className="main-title">Archive old worksheets</div>
+        <button className="link-btn" onClick={onClose}>Back</button>
+      </div>
+
+      <div className="report-section">
+        <div className="rows-filters">
+          <label>
+            Older than <input type="number" min="1" placeholder="setting" value={months} onChange={e => { setMonths(e.target.value); setPlan(null); }} /> months
+          </label>
+        </div>
+        <button className="generate-btn" onClick={handlePreview} disabled={busy || !outputFolder}>
+          <span className="btn-icon" role="img" aria-label="search">🔍</span>
+          {busy ? 'Reading folder...' : 'Preview'}
+        </button>
+
+        {plan && (
+          <div className="report-result">
+            <div>
+              {plan.applied ? 'Archived' : 'Would archive'} <b>{toArchive}</b> worksheet(s) visited before {plan.cutoff};{' '}
+              keeping {plan.kept.recent} recent and {plan.kept.open} older worksheet(s) for open jobs.
+            </div>
+            {plan.archives.length > 0 && (
+              <table className="admin-table">
+                <thead>
+                  <tr><th>Zip</th><th>Worksheets</th></tr>
+                </thead>
+                <tbody>
+                  {plan.archives.map(a => (
+                    <tr key={a.month}>
+                      <td>archive/{a.zip}</td>
+                      <td>
+                        <details>
+                          <summary>{a.worksheets.length} file(s)</summary>
+                          <ul>{a.worksheets.map(w => <li key={w}>{w}</li>)}</ul>
+                        </details>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {plan.openJobs.length > 0 && (
+              <details>
+                <summary>{plan.openJobs.length} open job(s) kept</summary>
+                <div className="report-files">{plan.openJobs.join(', ')}</div>
+              </details>
+            )}
+            {(plan.notes.length > 0 || plan.unrecognised.length > 0) && (
+              <details className="date-issues">
+                <summary>
+                  <span role="img" aria-label="warning">⚠️</span> {plan.notes.length + plan.unrecognised.length} file(s) to check
+                </summary>
+                <ul>
+                  {plan.notes.map((note, n) => <li key={n}>{note}</li>)}
+                  {plan.unrecognised.map(f => <li key={f}>{f}: not a worksheet name, left alone</li>)}
+                </ul>
+              </details>
+            )}
+            {!plan.applied && toArchive > 0 && (
+              isAdmin ? (
+                <button className="generate-btn" onClick={handleApply} disabled={busy}>
+                  <span className="btn-icon" role="img" aria-label="archive">🗄️</span>
+                  {busy ? 'Archiving...' : 'Archive now'}
+                </button>
+              ) : (
+                <div className="rows-empty">Ask an administrator to archive these worksheets.</div>
+              )
+            )}
+          </div>
+        )}
+      </div>
+
+      {!outputFolder && <div className="result-box error">Error: Please select an output folder first.</div>}
+      {error && <div className="result-box error">{`Error: ${error}`}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+
+const STATUS_LABELS = {
+  new: 'New',
+  changed: 'Changed',
+  missing: 'File missing',
+  archived: 'Archived',
+  unchanged: 'Generated'
+};
+
+/**
+ * Lists the mapped sheet rows (read by the worker with --list) so a user can filter by date range,
+ * engineer or job and generate just the rows they tick.
+ */
+export default function RowBrowser({ disabled, onGenerate, onClose }) {
+  const [rows, setRows] = useState([]);
+  const [loadingRows, setLoadingRows] = useState(false);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [engineer, setEngineer] = useState('');
+  const [job, setJob] = useState('');
+
+  const api = window.electronAPI;
+
+  const refresh = useCallback(async () => {
+    if (!api || !api.listSheetRows) {
+      setError('Electron API not available!');
+      return;
+    }
+    setError('');
+    setLoadingRows(true);
+    try {
+      const result = await api.listSheetRows();
+      if (result && result.ok) {
+        setRows(result.rows);
+        setSelected(new Set());
+      } else {
+        setError((result && result.error) || 'Could not read the sheet.');
+      }
+    } catch (err) {
+      setError(err.message || String(err));
+    } finally {
+      setLoadingRows(false);
+    }
+  }, [api]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const engineers = useMemo(
+    () => Array.from(new Set(rows.map(r => r.name).filter(Boolean))).sort(),
+    [rows]
+  );
+
+  const visible = useMemo(() => {
+    const jobFilter = job.trim().toLowerCase();
+    return rows.filter(r => {
+      // rows whose date can't be read stay visible unless a date range is set
+      if ((fromDate || toDate) && !r.isoDate) return false;
+      if (fromDate && r.isoDate < fromDate) return false;
+      if (toDate && r.isoDate > toDate) return false;
+      if (engineer && r.name !== engineer) return false;
+      if (jobFilter && !String(r.job || '').toLowerCase().includes(jobFilter)) return false;
+      return true;
+    });
+  }, [rows, fromDate, toDate, engineer, job]);
+
+  const toggle = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const allVisibleSelected = visible.length > 0 && visible.every(r => selected.has(r.key));
+  const toggleAllVisible = () => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      visible.forEach(r => (allVisibleSelected ? next.delete(r.key) : next.add(r.key)));
+      return next;
+    });
+  };
+
+  return (
+    <div className="rows-panel">
+      <div className="admin-header">
+        <div className="main-title">Sheet rows</div>
+        <button className="link-btn" onClick={onClose}>Back</button>
+      </div>
+
+      <div className="rows-filters">
+        <label>From <input type="date" value={fromDate} onChange={e => setFromDate(e.target.value)} /></label>
+        <label>To <input type="date" value={toDate} onChange={e => setToDate(e.target.value)} /></label>
+        <select value={engineer} onChange={e => setEngineer(e.target.value)}>
+          <option value="">All engineers</option>
+          {engineers.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <input type="text" placeholder="Job number" value={job} onChange={e => setJob(e.target.value)} />
+        <button className="link-btn" onClick={refresh} disabled={loadingRows}>Reload</button>
+      </div>
+
+      {loadingRows ? (
+        <div className="rows-empty">Reading sheet...</div>
+      ) : (
+        <div className="rows-table-wrap">
+          <table className="admin-table rows-table">
+            <thead>
+              <tr>
+                <th><input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} /></th>
+                <th>Date</th><th>Engineer</th><th>Job</th><th>Customer / address</th><th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(r => (
+                <tr key={r.key} className={selected.has(r.key) ? 'selected' : ''} onClick={() => toggle(r.key)}>
+                  <td><input type="checkbox" checked={selected.has(r.key)} onChange={() => toggle(r.key)} onClick={e => e.stopPropagation()} /></td>
+                  <td title={r.dateIssue || undefined}>
+                    {r.date}
+                    {r.dateIssue && <span className="date-flag" role="img" aria-label="date problem"> ⚠️</span>}
+                  </td>
+                  <td>{r.name}</td>
+                  <td>{r.job}</td>
+                  <td>{r.customer || r.address}</td>
+                  <td className={`row-status ${r.status}`}>{STATUS_LABELS[r.status] || r.status}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visible.length === 0 && <div className="rows-empty">No rows match these filters.</div>}
+        </div>
+      )}
+
+      <button
+        className="generate-btn"
+        disabled={disabled || selected.size === 0}
+        onClick={() => onGenerate(Array.from(selected))}
+      >
+        <span className="btn-icon" role="img" aria-label="doc-folder">📝</span>
+        Generate selected ({selected.size})
+      </button>
+
+      {error && <div className="result-box error">{`Error: ${error}`}</div>}
+    </div>
+  );
+}
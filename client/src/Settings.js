@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Admin-only settings page. The fields come from server/settings-store.js and are checked there
+ * on save; a field's error is shown under it and nothing is stored until every field is valid.
+ * Saved settings apply to the next generation run and restart the background poller.
+ *
+ * Credentials are imported separately and stored encrypted (server/credential-vault.js): the page
+ * only ever sees which ones are set, never the keys.
+ */
+export default function Settings({ onClose }) {
+  const [schema, setSchema] = useState([]);
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [credentials, setCredentials] = useState(null);
+  const [jotformKey, setJotformKey] = useState('');
+
+  const api = window.electronAPI;
+
+  useEffect(() => {
+    if (!api || !api.getSettings) {
+      setError('Electron API not available!');
+      return;
+    }
+    api.getSettings().then(result => {
+      if (result && result.ok) {
+        setSchema(result.schema);
+        setValues(result.values);
+      } else {
+        setError((result && result.error) || 'Could not load settings.');
+      }
+    });
+    api.credentialStatus().then(result => {
+      if (result && result.ok) setCredentials(result.status);
+    });
+  }, [api]);
+
+  const setValue = (key, value) => {
+    setValues(v => Object.assign({}, v, { [key]: value }));
+    setErrors(e => Object.assign({}, e, { [key]: '' }));
+    setNotice('');
+  };
+
+  // import, replace or remove a credential; the result carries the new status
+  const runCredential = async (action, successMessage) => {
+    setError('');
+    setNotice('');
+    setBusy(true);
+    try {
+      const result = await action();
+      if (result && result.ok) {
+        setCredentials(result.status);
+        setNotice(successMessage);
+        return true;
+      }
+      if (!result || !result.canceled) setError((result && result.error) || 'Could not update credentials.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImportGoogle = () => runCredential(() => api.importGoogleKey(), 'Google key imported. You can delete the key file now.');
+
+  const handleSaveJotform = async (e) => {
+    e.preventDefault();
+    if (await runCredential(() => api.setJotformKey(jotformKey), 'JotForm API key saved.')) setJotformKey('');
+  };
+
+  const handleRemove = (kind, label) => {
+    if (!window.confirm(`Remove the ${label}? Workers will stop using it straight away.`)) return;
+    runCredential(() => api.removeCredential(kind), `${label} removed.`);
+  };
+
+  const imported = (entry) => `imported ${new Date(entry.importedAt).toLocaleString()}${entry.importedBy ? ` by ${entry.importedBy}` : ''}`;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    setBusy(true);
+    try {
+      const result = await api.saveSettings(values);
+      if (result && result.ok) {
+        setValues(result.values);
+        setErrors({});
+        setNotice('Settings saved.');
+      } else if (result && result.errors) {
+        setErrors(result.errors);
+        setError('Some settings need fixing - see below.');
+      } else {
+        setError((result && result.error) || 'Could not save settings.');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <div className="main-title">Settings</div>
+        <button className="link-btn" onClick={onClose}>Back</button>
+      </div>
+
+      {schema.length > 0 && (
+        <form className="admin-form" onSubmit={handleSave}>
+          {schema.map(field => (
+            <label key={field.key} className="settings-field">
+              <span className="admin-form-title">{field.label}{field.required ? ' *' : ''}</span>
+              <input
+                className="login-input"
+                type="text"
+                placeholder={field.placeholder || ''}
+                value={values[field.key] || ''}
+                onChange={e => setValue(field.key, e.target.value)}
+              />
+              {field.help && <span className="settings-help">{field.help}</span>}
+              {errors[field.key] && <span className="login-error">{errors[field.key]}</span>}
+            </label>
+          ))}
+          <div className="admin-form-row">
+            <button className="login-submit" type="submit" disabled={busy}>{busy ? 'Saving...' : 'Save'}</button>
+          </div>
+        </form>
+      )}
+
+      {credentials && (
+        <div className="admin-form">
+          <div className="admin-form-title">Credentials</div>
+          <div className="settings-field">
+            <span>
+              Google service account:{' '}
+              {credentials.google.set ? <b>{credentials.google.clientEmail}</b> : 'not set'}
+            </span>
+            {credentials.google.set && <span className="settings-help">{imported(credentials.google)}</span>}
+            <div className="admin-form-row">
+              <button className="link-btn" disabled={busy} onClick={handleImportGoogle}>
+                {credentials.google.set ? 'Replace key file...' : 'Import key file...'}
+              </button>
+              {credentials.google.set && (
+                <button className="link-btn danger" disabled={busy} onClick={() => handleRemove('google', 'Google key')}>Remove</button>
+              )}
+            </div>
+          </div>
+          <form className="settings-field" onSubmit={handleSaveJotform}>
+            <span>
+              JotForm API key:{' '}
+              {credentials.jotform.set ? <b>{`...${credentials.jotform.last4}`}</b> : 'not set'}
+            </span>
+            {credentials.jotform.set && <span className="settings-help">{imported(credentials.jotform)}</span>}
+            <input
+              className="login-input"
+              type="password"
+              placeholder={credentials.jotform.set ? 'New API key' : 'API key'}
+              value={jotformKey}
+              autoComplete="off"
+              onChange={e => setJotformKey(e.target.value)}
+            />
+            <div className="admin-form-row">
+              <button className="link-btn" type="submit" disabled={busy || !jotformKey.trim()}>
+                {credentials.jotform.set ? 'Replace key' : 'Save key'}
+              </button>
+              {credentials.jotform.set && (
+                <button className="link-btn danger" type="button" disabled={busy} onClick={() => handleRemove('jotform', 'JotForm API key')}>Remove</button>
+              )}
+            </div>
+          </form>
+        </div>
+      )}
+
+      {notice && <div className="result-box">{notice}</div>}
+      {error && <div className="result-box error">{`Error: ${error}`}</div>}
+    </div>
+  );
+}
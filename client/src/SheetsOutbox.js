@@ -0,0 +1,101 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+/**
+ * Rows whose Google Sheets append failed and are queued for retry (server/sheets-outbox.js).
+ * Anyone signed in can retry; only admins can drop a row without sending it.
+ */
+export default function SheetsOutbox({ isAdmin, onClose }) {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const api = window.electronAPI;
+
+  const refresh = useCallback(async () => {
+    if (!api || !api.listSheetsOutbox) {
+      setError('Electron API not available!');
+      return;
+    }
+    const result = await api.listSheetsOutbox();
+    if (result && result.ok) setItems(result.items);
+    else setError((result && result.error) || 'Could not load the outbox.');
+  }, [api]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const run = async (action, describe) => {
+    setError('');
+    setNotice('');
+    setBusy(true);
+    try {
+      const result = await action();
+      if (result && result.items) setItems(result.items);
+      if (!result || !result.ok) setError((result && result.error) || 'Request failed.');
+      else setNotice(describe(result));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const describeReplay = ({ result }) => {
+    if (result.error) return result.error;
+    return `${result.sent} sent, ${result.failed} still failing, ${result.remaining} waiting.`;
+  };
+
+  const handleDrop = async (id) => {
+    if (!window.confirm('Drop this row? It will not be added to the sheet.')) return;
+    await run(() => api.dropSheetsOutbox(id), () => 'Row dropped.');
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <div className="main-title">Sheet outbox</div>
+        <button className="link-btn" onClick={onClose}>Back</button>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="rows-empty">No rows waiting — everything has reached the sheet.</div>
+      ) : (
+        <table className="admin-table">
+          <thead>
+            <tr><th>Row</th><th>Attempts</th><th>Last error</th><th>Next retry</th><th /></tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.id}>
+                <td title={JSON.stringify(item.row)}>{(item.row || []).slice(1, 4).join(' / ')}</td>
+                <td>{item.attempts}</td>
+                <td className="outbox-error">{item.lastError}</td>
+                <td>{when(item.nextAttemptAt)}</td>
+                <td className="admin-actions">
+                  <button className="link-btn" disabled={busy} onClick={() => run(() => api.replaySheetsOutbox(item.id), describeReplay)}>Retry</button>
+                  {isAdmin && (
+                    <button className="link-btn danger" disabled={busy} onClick={() => handleDrop(item.id)}>Drop</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        className="generate-btn"
+        disabled={busy || items.length === 0}
+        onClick={() => run(() => api.replaySheetsOutbox(), describeReplay)}
+      >
+        {busy ? 'Sending...' : 'Retry all now'}
+      </button>
+
+      {(error || notice) && (
+        <div className={`result-box${error ? ' error' : ''}`}>
+          {error ? `Error: ${error}` : notice}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Admin-only screen: list users, add/remove accounts and reset passwords.
+ * Everything goes through the main process — the renderer never sees password hashes.
+ */
+export default function UserAdmin({ currentEmail, onClose }) {
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const [newEmail, setNewEmail] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [newRole, setNewRole] = useState('user');
+
+  const [resetFor, setResetFor] = useState('');
+  const [resetPassword, setResetPassword] = useState('');
+
+  const api = window.electronAPI;
+
+  const refresh = useCallback(async () => {
+    if (!api || !api.listUsers) {
+      setError('Electron API not available!');
+      return;
+    }
+    const result = await api.listUsers();
+    if (result && result.ok) setUsers(result.users);
+    else setError((result && result.error) || 'Could not load users.');
+  }, [api]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  // run an admin action, show its error or a notice, then reload the list
+  const run = async (action, successMessage) => {
+    setError('');
+    setNotice('');
+    setBusy(true);
+    try {
+      const result = await action();
+      if (!result || !result.ok) {
+        setError((result && result.error) || 'Request failed.');
+        return false;
+      }
+      setNotice(successMessage);
+      await refresh();
+      return true;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const ok = await run(() => api.addUser({ email: newEmail, password: newPassword, role: newRole }), `Added ${newEmail.trim().toLowerCase()}.`);
+    if (ok) {
+      setNewEmail('');
+      setNewPassword('');
+      setNewRole('user');
+    }
+  };
+
+  const handleRemove = async (email) => {
+    if (!window.confirm(`Remove ${email}? They will no longer be able to sign in.`)) return;
+    await run(() => api.removeUser(email), `Removed ${email}.`);
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    const ok = await run(() => api.resetPassword(resetFor, resetPassword), `Password reset for ${resetFor}.`);
+    if (ok) {
+      setResetFor('');
+      setResetPassword('');
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <div className="main-title">Manage users</div>
+        <button className="link-btn" onClick={onClose}>Back</button>
+      </div>
+
+      <table className="admin-table">
+        <thead>
+          <tr><th>Email</th><th>Role</th><th>Status</th><th /></tr>
+        </thead>
+        <tbody>
+          {users.map(u => (
+            <tr key={u.email}>
+              <td>{u.email}</td>
+              <td>{u.role}</td>
+              <td>{u.locked ? 'Locked' : 'Active'}</td>
+              <td className="admin-actions">
+                <button className="link-btn" disabled={busy} onClick={() => { setResetFor(u.email); setResetPassword(''); }}>
+                  Reset password
+                </button>
+                {u.email !== currentEmail && (
+                  <button className="link-btn danger" disabled={busy} onClick={() => handleRemove(u.email)}>Remove</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {resetFor && (
+        <form className="admin-form" onSubmit={handleReset}>
+          <div className="admin-form-title">New password for {resetFor}</div>
+          <input
+            className="login-input"
+            type="password"
+            required
+            placeholder="New password (min. 8 characters)"
+            value={resetPassword}
+            autoComplete="new-password"
+            onChange={e => setResetPassword(e.target.value)}
+          />
+          <div className="admin-form-row">
+            <button className="login-submit" type="submit" disabled={busy}>Reset</button>
+            <button className="link-btn" type="button" onClick={() => setResetFor('')}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      <form className="admin-form" onSubmit={handleAdd}>
+        <div className="admin-form-title">Add user</div>
+        <input
+          className="login-input"
+          type="email"
+          required
+          placeholder="Email address"
+          value={newEmail}
+          onChange={e => setNewEmail(e.target.value)}
+        />
+        <input
+          className="login-input"
+          type="password"
+          required
+          placeholder="Password (min. 8 characters)"
+          value={newPassword}
+          autoComplete="new-password"
+          onChange={e => setNewPassword(e.target.value)}
+        />
+        <select className="login-input" value={newRole} onChange={e => setNewRole(e.target.value)}>
+          <option value="user">User</option>
+          <option value="admin">Administrator</option>
+        </select>
+        <button className="login-submit" type="submit" disabled={busy}>Add user</button>
+      </form>
+
+      {(error || notice) && (
+        <div className={`result-box${error ? ' error' : ''}`}>
+          {error ? `Error: ${error}` : notice}
+        </div>
+      )}
+    </div>
+  );
+}
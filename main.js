@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
@@ -24,6 +24,7 @@ if (!gotLock) {
 }
 
 // --- Load .env safely: prefer a resources .env when packaged, otherwise use project .env ---
+// Only first-run defaults for the Settings page (see settingsStore below) and for keys it doesn't cover.
 function loadDotenv() {
   try {
     if (app && app.isPackaged) {
@@ -70,10 +71,43 @@ const userDataPath = path.join(app.getPath('appData'), 'Worksheet Generator');
 try { fs.mkdirSync(userDataPath, { recursive: true }); } catch (e) {}
 app.setPath('userData', userDataPath);
 app.commandLine.appendSwitch('disk-cache-dir', path.join(userDataPath, 'Cache'));
+// Workers keep their lock and poll state here (the app folder is read-only when packaged)
+process.env.WORKSHEET_STATE_DIR = userDataPath;
 // ------------------------------------------------------------------------------
 
-// track poller pid for cleanup
-let pollerPid = null;
+// --- Settings page values (server/settings-store.js) live in userData/settings.json. The first run
+// copies them from .env; after that they override .env here, and workers inherit process.env ---
+const { settingsSchema, createSettingsStore } = require('./server/settings-store');
+const settingsStore = createSettingsStore(path.join(userDataPath, 'settings.json'));
+settingsStore.seedFromEnv(process.env);
+settingsStore.applyToEnv(process.env);
+// ------------------------------------------------------------------------------
+
+// --- Google service-account and JotForm keys, encrypted in userData/credentials.json
+// (server/credential-vault.js). Decrypted only into a worker's environment, see workerEnv() ---
+const { createCredentialVault } = require('./server/credential-vault');
+const credentialVault = createCredentialVault(path.join(userDataPath, 'credentials.json'), safeStorage);
+// ------------------------------------------------------------------------------
+
+// --- Local authentication: users live in userData, the signed-in identity only in the main process ---
+const { createAuthStore } = require('./server/auth-store');
+const authStore = createAuthStore(path.join(userDataPath, 'users.json'));
+let currentUser = null;
+
+// Re-read the signed-in account on every check, so a removed user or a changed role takes effect
+// straight away instead of at the next sign-in
+function isSignedIn() {
+  if (!currentUser) return false;
+  const stored = authStore.getUser(currentUser.email);
+  if (!stored) console.log('[auth] signed-in account no longer exists; signing out', currentUser.email);
+  currentUser = stored;
+  return !!currentUser;
+}
+
+function isAdmin() {
+  return isSignedIn() && currentUser.role === 'admin';
+}
+// ------------------------------------------------------------------------------
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -93,56 +127,326 @@ function createWindow() {
   win.loadURL(startUrl);
 }
 
-// attempt to require a local poller-spawner so we can start the poller on ready
-try {
-  const spawnerPath = path.join(__dirname, 'server', 'poller-spawner');
-  if (fs.existsSync(path.join(__dirname, 'server', 'poller-spawner.js'))) {
-    global.__spawnPoller = require(spawnerPath).spawnPoller;
-  } else {
-    console.warn('poller-spawner.js not found in server/ — poller will not auto-start.');
+// --- Background sheet poller (fillFromSheet.js --poll), supervised by server/poller-supervisor.js:
+// logs to userData/poller-logs, restarts after a crash and reports its health to the renderer ---
+const { createPollerSupervisor } = require('./server/poller-supervisor');
+const poller = createPollerSupervisor({
+  logDir: path.join(userDataPath, 'poller-logs'),
+  // called on every (re)start, so saved settings and credentials are picked up
+  launch: () => {
+    const scriptPath = resolveWorkerScript('fillFromSheet.js');
+    if (!fs.existsSync(scriptPath)) throw new Error(`Worker script not found: ${scriptPath}`);
+    const env = workerEnv();
+    delete env.WORKSHEET_USER;
+    return { command: workerRunner(), args: [scriptPath, '--poll'], env };
+  },
+  onStatus: (status) => {
+    if (global.mainWindow && !global.mainWindow.isDestroyed()) global.mainWindow.webContents.send('pollerStatus', status);
   }
-} catch (e) {
-  console.warn('poller-spawner not available:', e && e.message);
+});
+
+// Saved settings and credentials only reach the poller when it is started again
+function restartPoller() {
+  if (!poller.isWanted()) return;
+  console.log('[poller] restarting with new settings');
+  poller.restart();
 }
 
 app.whenReady().then(() => {
   createWindow();
+  poller.start();
+});
+
+ipcMain.handle('chooseOutputFolder', async () => {
+  const result = await dialog.showOpenDialog({ properties: ['openDirectory'] });
+  if (result.canceled || !result.filePaths[0]) return null;
+  return result.filePaths[0];
+});
+
+ipcMain.handle('authStatus', async () => {
+  isSignedIn();
+  return { needsSetup: !authStore.hasUsers(), user: currentUser };
+});
+
+// First run only: create the initial administrator account
+ipcMain.handle('createFirstAdmin', async (event, email, password) => {
+  if (authStore.hasUsers()) return { ok: false, error: 'An administrator already exists.' };
+  const result = await authStore.addUser({ email, password, role: 'admin' });
+  if (result.ok) {
+    currentUser = result.user;
+    console.log('[auth] created first administrator', currentUser.email);
+  }
+  return result;
+});
+
+ipcMain.handle('login', async (event, email, password) => {
+  const result = await authStore.verifyLogin(email, password);
+  if (result.ok) {
+    currentUser = result.user;
+    console.log('[auth] signed in', currentUser.email);
+  } else {
+    console.warn('[auth] sign-in failed for', String(email || '').trim().toLowerCase(), '-', result.error);
+  }
+  return result;
+});
+
+ipcMain.handle('logout', async () => {
+  if (currentUser) console.log('[auth] signed out', currentUser.email);
+  currentUser = null;
+  return { ok: true };
+});
+
+ipcMain.handle('listUsers', async () => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  return { ok: true, users: authStore.listUsers() };
+});
+
+ipcMain.handle('addUser', async (event, user) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  const result = await authStore.addUser(user || {});
+  if (result.ok) console.log(`[auth] ${currentUser.email} added user ${result.user.email} (${result.user.role})`);
+  return result;
+});
+
+ipcMain.handle('removeUser', async (event, email) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  if (String(email || '').trim().toLowerCase() === currentUser.email) return { ok: false, error: 'You cannot remove your own account.' };
+  const result = authStore.removeUser(email);
+  if (result.ok) console.log(`[auth] ${currentUser.email} removed user ${email}`);
+  return result;
+});
+
+ipcMain.handle('resetPassword', async (event, email, password) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  const result = await authStore.resetPassword(email, password);
+  if (result.ok) console.log(`[auth] ${currentUser.email} reset the password for ${email}`);
+  return result;
+});
+
+ipcMain.handle('getSettings', async () => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  return { ok: true, schema: settingsSchema(), values: settingsStore.get() };
+});
+
+ipcMain.handle('saveSettings', async (event, values) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  const result = settingsStore.update(values || {}, { by: currentUser.email });
+  if (!result.ok) return result;
+  settingsStore.applyToEnv(process.env);
+  console.log('[settings] saved by', currentUser.email);
+  restartPoller();
+  return result;
+});
+
+ipcMain.handle('credentialStatus', async () => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  return { ok: true, status: credentialVault.status() };
+});
 
-  // start poller if available
+// Choose a service-account key file and store it encrypted (importing again rotates the key)
+ipcMain.handle('importGoogleKey', async () => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  const picked = await dialog.showOpenDialog({ properties: ['openFile'], filters: [{ name: 'JSON key', extensions: ['json'] }] });
+  if (picked.canceled || !picked.filePaths[0]) return { ok: false, canceled: true };
+  const result = credentialVault.importGoogleKey(picked.filePaths[0], { by: currentUser.email });
+  if (!result.ok) return result;
+  console.log(`[credentials] ${currentUser.email} imported the Google key for ${result.clientEmail}`);
+  restartPoller();
+  return { ok: true, status: credentialVault.status() };
+});
+
+ipcMain.handle('setJotformKey', async (event, apiKey) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  const result = credentialVault.setJotformKey(apiKey, { by: currentUser.email });
+  if (!result.ok) return result;
+  console.log(`[credentials] ${currentUser.email} set the JotForm API key (...${result.last4})`);
+  restartPoller();
+  return { ok: true, status: credentialVault.status() };
+});
+
+ipcMain.handle('removeCredential', async (event, kind) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  const result = credentialVault.remove(kind);
+  if (!result.ok) return result;
+  console.log(`[credentials] ${currentUser.email} removed the ${kind} credential`);
+  restartPoller();
+  return { ok: true, status: credentialVault.status() };
+});
+
+ipcMain.handle('pollerStatus', async () => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  return { ok: true, status: poller.status() };
+});
+
+ipcMain.handle('startPoller', async () => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  console.log('[poller] start requested by', currentUser.email);
+  return { ok: true, status: poller.start() };
+});
+
+ipcMain.handle('stopPoller', async () => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  console.log('[poller] stop requested by', currentUser.email);
+  return { ok: true, status: await poller.stop() };
+});
+
+// the running generateWorksheets worker, so the renderer can cancel it
+let activeGeneration = null;
+const CANCEL_GRACE_MS = 10000;
+
+// A killed worker can't clean up after itself — drop its lock so the next run isn't blocked
+function releaseGeneratorLock(pid) {
+  const lockPath = path.join(process.env.WORKSHEET_STATE_DIR || path.join(__dirname, 'server'), '.generator.lock');
   try {
-    const spawnPoller = global.__spawnPoller;
-    if (typeof spawnPoller === 'function') {
-      const pid = spawnPoller({
-        sheetId: process.env.GOOGLE_SHEET_ID,
-        sheetTab: process.env.SHEET_TAB,
-        keepAttached: false
-      });
-      pollerPid = pid;
-      console.log('[main] poller spawn pid=', pid);
-    } else {
-      console.log('[main] spawnPoller not a function; skipping poller start');
+    if (fs.existsSync(lockPath) && fs.readFileSync(lockPath, 'utf8').trim() === String(pid)) {
+      fs.unlinkSync(lockPath);
+      console.log('[generate] released lock left by pid', pid);
     }
   } catch (e) {
-    console.warn('Failed to start poller:', e && e.message);
+    console.warn('[generate] could not release lock:', e && e.message);
   }
+}
+
+// Locate a server/ worker script in dev, asar-unpacked and extraResources layouts
+function resolveWorkerScript(fileName) {
+  let scriptPath = path.join(__dirname, 'server', fileName);
+
+  if (process.resourcesPath && !fs.existsSync(scriptPath)) {
+    const unpacked = path.join(process.resourcesPath, 'app.asar.unpacked', 'server', fileName);
+    if (fs.existsSync(unpacked)) scriptPath = unpacked;
+    const resourcesServer = path.join(process.resourcesPath, 'server', fileName);
+    if (fs.existsSync(resourcesServer)) scriptPath = resourcesServer;
+  }
+  return scriptPath;
+}
+
+// Use explicit child environment so the worker definitely sees the needed values
+function workerEnv() {
+  const childEnv = Object.assign({}, process.env);
+  if (app.isPackaged) childEnv.ELECTRON_RUN_AS_NODE = '1';
+  if (currentUser) childEnv.WORKSHEET_USER = currentUser.email;
+
+  // Make sure required env vars exist for the child process (use normalized creds path)
+  childEnv.GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID || '';
+  childEnv.GOOGLE_CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH ||
+    path.join(process.resourcesPath || __dirname, 'google-sheets-creds.json');
+  // imported credentials win over a key file or .env value
+  return Object.assign(childEnv, credentialVault.workerEnv());
+}
+
+const workerRunner = () => (app.isPackaged ? process.execPath : 'node');
+
+// Sheet rows whose append failed and are waiting for a retry (server/sheets-outbox.js)
+const { outboxPath, createSheetsOutbox } = require('./server/sheets-outbox');
+const sheetsOutbox = createSheetsOutbox(outboxPath(userDataPath));
+
+// Sending needs the Sheets API and credentials, so it runs in a worker like generation does
+function runOutboxCommand(args) {
+  const scriptPath = resolveWorkerScript('sheets-outbox.js');
+  if (!fs.existsSync(scriptPath)) return Promise.resolve({ ok: false, error: `Worker script not found: ${scriptPath}` });
+
+  return new Promise((resolve) => {
+    const child = spawn(workerRunner(), [scriptPath].concat(args), { env: workerEnv(), stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    let reply = null;
+    let errors = '';
+    child.on('message', (msg) => {
+      if (msg && msg.type === 'outbox') reply = msg;
+    });
+    child.stdout.on('data', (data) => console.log('[outbox stdout]', data.toString().trim()));
+    child.stderr.on('data', (data) => {
+      const s = data.toString();
+      errors += s;
+      console.error('[outbox stderr]', s.trim());
+    });
+    child.on('close', (code) => {
+      if (reply) return resolve({ ok: true, result: reply.result, items: reply.items });
+      const lastLine = errors.trim().split(/\r?\n/).pop();
+      resolve({ ok: false, error: lastLine || `Outbox command failed (exit ${code})`, items: sheetsOutbox.list() });
+    });
+    child.on('error', (err) => resolve({ ok: false, error: err.message, items: sheetsOutbox.list() }));
+  });
+}
+
+ipcMain.handle('listSheetsOutbox', async () => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  return { ok: true, items: sheetsOutbox.list() };
 });
 
-ipcMain.handle('chooseOutputFolder', async () => {
-  const result = await dialog.showOpenDialog({ properties: ['openDirectory'] });
-  if (result.canceled || !result.filePaths[0]) return null;
-  return result.filePaths[0];
+// id omitted = retry every queued row now
+ipcMain.handle('replaySheetsOutbox', async (event, id) => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  console.log('[outbox] replay requested by', currentUser.email, id || '(all)');
+  return runOutboxCommand(id ? ['replay', String(id)] : ['replay']);
 });
 
-ipcMain.handle('generateWorksheets', async (event, outputFolder) => {
+ipcMain.handle('dropSheetsOutbox', async (event, id) => {
+  if (!isAdmin()) return { ok: false, error: 'Administrator access required.' };
+  try {
+    if (!sheetsOutbox.drop(String(id || ''))) return { ok: false, error: 'That row is no longer queued.' };
+  } catch (err) {
+    return { ok: false, error: err.message, items: sheetsOutbox.list() };
+  }
+  console.log(`[outbox] ${currentUser.email} dropped queued row ${id}`);
+  return { ok: true, items: sheetsOutbox.list() };
+});
+
+// Row browser: every sheet row with its ledger status, read by `fillFromSheet.js --list`
+ipcMain.handle('listSheetRows', async () => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  const scriptPath = resolveWorkerScript('fillFromSheet.js');
+  if (!fs.existsSync(scriptPath)) return { ok: false, error: `Worker script not found: ${scriptPath}` };
+
   return new Promise((resolve) => {
-    let scriptPath = path.join(__dirname, 'server', 'fillFromSheet.js');
+    const child = spawn(workerRunner(), [scriptPath, '--list'], { env: workerEnv(), stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    let rows = null;
+    let errors = '';
 
-    if (process.resourcesPath && !fs.existsSync(scriptPath)) {
-      const unpacked = path.join(process.resourcesPath, 'app.asar.unpacked', 'server', 'fillFromSheet.js');
-      if (fs.existsSync(unpacked)) scriptPath = unpacked;
-      const resourcesServer = path.join(process.resourcesPath, 'server', 'fillFromSheet.js');
-      if (fs.existsSync(resourcesServer)) scriptPath = resourcesServer;
-    }
+    child.on('message', (msg) => {
+      if (msg && msg.type === 'rows') rows = msg.rows;
+    });
+    child.stdout.on('data', (data) => console.log('[list stdout]', data.toString().trim()));
+    child.stderr.on('data', (data) => {
+      const s = data.toString();
+      errors += s;
+      console.error('[list stderr]', s.trim());
+    });
+    child.on('close', (code) => {
+      if (rows) return resolve({ ok: true, rows });
+      const lastLine = errors.trim().split(/\r?\n/).pop();
+      resolve({ ok: false, error: lastLine || `Could not read the sheet (exit ${code})` });
+    });
+    child.on('error', (err) => resolve({ ok: false, error: err.message }));
+  });
+});
+
+/**
+ * Turn the renderer's generation options into fillFromSheet.js flags. Only known options are
+ * passed through; counts must be whole numbers >= 0 (0 = no limit / the worker default).
+ */
+function generatorArgs(options = {}) {
+  const args = [];
+  for (const name of ['days', 'last']) {
+    const value = options[name];
+    if (value === undefined || value === null || value === '') continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`"${name}" must be a whole number of 0 or more.`);
+    args.push(`--${name}`, String(n));
+  }
+  const job = String(options.job || '').trim();
+  if (job) args.push('--job', job);
+  for (const flag of ['force', 'dry', 'debug']) {
+    if (options[flag]) args.push(`--${flag}`);
+  }
+  return args;
+}
+
+// options: { keys, days, last, job, force, dry, debug } — keys are row keys picked in the
+// row browser (only those rows are generated); the rest map onto fillFromSheet.js flags
+ipcMain.handle('generateWorksheets', async (event, outputFolder, options = {}) => {
+  if (!isSignedIn()) return 'Error: please sign in first.';
+  if (activeGeneration) return 'Error: a generation run is already in progress.';
+  return new Promise((resolve) => {
+    const scriptPath = resolveWorkerScript('fillFromSheet.js');
 
     if (!fs.existsSync(scriptPath)) {
       const msg = `Error: worker script not found: ${scriptPath}`;
@@ -150,22 +454,35 @@ ipcMain.handle('generateWorksheets', async (event, outputFolder) => {
       return resolve(msg);
     }
 
-    // Use explicit child environment so the worker definitely sees the needed values
-    const childEnv = Object.assign({}, process.env);
-    if (app.isPackaged) childEnv.ELECTRON_RUN_AS_NODE = '1';
+    let optionArgs;
+    try {
+      optionArgs = generatorArgs(options);
+    } catch (e) {
+      return resolve(`Error: ${e.message}`);
+    }
 
-    // Make sure required env vars exist for the child process (use normalized creds path)
-    childEnv.GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID || '';
-    childEnv.GOOGLE_CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH ||
-      path.join(process.resourcesPath || __dirname, 'google-sheets-creds.json');
+    const childEnv = workerEnv();
+    const runner = workerRunner();
+    const args = [scriptPath, '--output', outputFolder].concat(optionArgs);
 
-    const runner = app.isPackaged ? process.execPath : 'node';
+    let selectionPath = null;
+    if (Array.isArray(options.keys)) {
+      selectionPath = path.join(app.getPath('temp'), `worksheet-selection-${Date.now()}.json`);
+      fs.writeFileSync(selectionPath, JSON.stringify(options.keys));
+      args.push('--select', selectionPath);
+    }
+    const removeSelection = () => {
+      if (selectionPath) fs.unlink(selectionPath, () => {});
+    };
 
     // Debug snapshot so we can see exactly what the main will pass to the child
     console.log('Spawning child:', {
       runner,
       scriptPath,
       outputFolder,
+      selectedRows: selectionPath ? options.keys.length : 'all',
+      options: optionArgs.join(' ') || '(defaults)',
+      requestedBy: currentUser.email,
       appIsPackaged: app.isPackaged,
       childEnvSnapshot: {
         GOOGLE_SHEET_ID: childEnv.GOOGLE_SHEET_ID ? '[REDACTED]' : '(empty)',
@@ -173,10 +490,17 @@ ipcMain.handle('generateWorksheets', async (event, outputFolder) => {
       }
     });
 
-    const child = spawn(runner, [scriptPath, '--output', outputFolder], { env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+    // 'ipc' carries structured progress events up and the cancel request down
+    const child = spawn(runner, args, { env: childEnv, stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    activeGeneration = child;
 
     console.log(`Spawned child pid=${child.pid}`);
 
+    child.on('message', (msg) => {
+      if (!msg || msg.type !== 'progress') return;
+      if (!event.sender.isDestroyed()) event.sender.send('generateProgress', msg);
+    });
+
     let output = '';
     child.stdout.on('data', (data) => {
       const s = data.toString();
@@ -190,25 +514,150 @@ ipcMain.handle('generateWorksheets', async (event, outputFolder) => {
     });
     child.on('close', (code, signal) => {
       console.log(`Child exited code=${code} signal=${signal}`);
+      if (activeGeneration === child) activeGeneration = null;
+      releaseGeneratorLock(child.pid);
+      removeSelection();
       resolve(output || `Done! (exit ${code})`);
     });
     child.on('error', (err) => {
       console.error('Child process error', err);
+      if (activeGeneration === child) activeGeneration = null;
+      removeSelection();
       resolve(`Error: ${err.message}`);
     });
   });
 });
 
-// ensure background poller is killed on quit (best-effort)
-app.on('before-quit', () => {
-  try {
-    if (pollerPid) {
-      console.log('[poller] killing pid', pollerPid);
-      process.kill(pollerPid);
+ipcMain.handle('cancelGeneration', async () => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  const child = activeGeneration;
+  if (!child) return { ok: false, error: 'No generation run in progress.' };
+  console.log('[generate] cancel requested by', currentUser.email);
+  try { child.send({ type: 'cancel' }); } catch (e) {}
+
+  // the worker stops after its current row; if it doesn't (e.g. stuck reading the sheet), kill it
+  const timer = setTimeout(() => {
+    if (activeGeneration === child) {
+      console.warn('[generate] worker did not stop in time; killing pid', child.pid);
+      try { child.kill(); } catch (e) {}
     }
-  } catch (e) {
-    console.warn('Failed to kill poller:', e && e.message);
+  }, CANCEL_GRACE_MS);
+  child.once('close', () => clearTimeout(timer));
+  return { ok: true };
+});
+
+// Reports read the sheet like generation does, so they run in a worker that replies with
+// { type: 'report', files, summary }
+function runReportWorker(fileName, args) {
+  const scriptPath = resolveWorkerScript(fileName);
+  if (!fs.existsSync(scriptPath)) return Promise.resolve({ ok: false, error: `Worker script not found: ${scriptPath}` });
+
+  return new Promise((resolve) => {
+    const child = spawn(workerRunner(), [scriptPath].concat(args), { env: workerEnv(), stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    let reply = null;
+    let errors = '';
+    child.on('message', (msg) => {
+      if (msg && msg.type === 'report') reply = msg;
+    });
+    child.stdout.on('data', (data) => console.log('[report stdout]', data.toString().trim()));
+    child.stderr.on('data', (data) => {
+      const s = data.toString();
+      errors += s;
+      console.error('[report stderr]', s.trim());
+    });
+    child.on('close', (code) => {
+      if (reply) return resolve({ ok: true, files: reply.files, summary: reply.summary });
+      const lastLine = errors.trim().split(/\r?\n/).pop();
+      resolve({ ok: false, error: lastLine || `Report failed (exit ${code})` });
+    });
+    child.on('error', (err) => resolve({ ok: false, error: err.message }));
+  });
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// options: { week: any YYYY-MM-DD in the week, engineer } — see server/report-timesheet.js
+ipcMain.handle('generateTimesheet', async (event, outputFolder, options = {}) => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  if (!outputFolder) return { ok: false, error: 'Please select an output folder first.' };
+  const args = ['--output', outputFolder];
+  if (options.week) {
+    if (!ISO_DATE.test(String(options.week))) return { ok: false, error: 'Pick a day in the week to report.' };
+    args.push('--week', String(options.week));
+  }
+  const engineer = String(options.engineer || '').trim();
+  if (engineer) args.push('--engineer', engineer);
+  console.log('[report] timesheet requested by', currentUser.email, args.slice(2).join(' ') || '(last week)');
+  return runReportWorker('report-timesheet.js', args);
+});
+
+// options: { job } — see server/report-variations.js
+ipcMain.handle('generateVariations', async (event, outputFolder, options = {}) => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  if (!outputFolder) return { ok: false, error: 'Please select an output folder first.' };
+  const job = String(options.job || '').trim();
+  if (!job) return { ok: false, error: 'Enter a job number.' };
+  console.log('[report] variations schedule requested by', currentUser.email, 'for job', job);
+  return runReportWorker('report-variations.js', ['--output', outputFolder, '--job', job]);
+});
+
+// options: { job } — see server/export-job-bundle.js
+ipcMain.handle('exportJobBundle', async (event, outputFolder, options = {}) => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  if (!outputFolder) return { ok: false, error: 'Please select an output folder first.' };
+  const job = String(options.job || '').trim();
+  if (!job) return { ok: false, error: 'Enter a job number.' };
+  console.log('[report] job bundle requested by', currentUser.email, 'for job', job);
+  return runReportWorker('export-job-bundle.js', ['--output', outputFolder, '--job', job]);
+});
+
+// options: { months } (blank = RETENTION_MONTHS) — see server/retention.js. Preview moves nothing;
+// applying it is for admins only, waits for any generation run to finish and takes the previewed
+// planId, so only what the admin saw is archived.
+function retentionArgs(outputFolder, options = {}) {
+  const args = ['--output', outputFolder];
+  if (options.months !== undefined && options.months !== null && options.months !== '') {
+    const n = Number(options.months);
+    if (!Number.isInteger(n) || n < 1) throw new Error('"months" must be a whole number of 1 or more.');
+    args.push('--months', String(n));
   }
+  return args;
+}
+
+ipcMain.handle('previewRetention', async (event, outputFolder, options = {}) => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  if (!outputFolder) return { ok: false, error: 'Please select an output folder first.' };
+  try {
+    return runReportWorker('retention.js', retentionArgs(outputFolder, options));
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+ipcMain.handle('applyRetention', async (event, outputFolder, options = {}) => {
+  if (!isSignedIn()) return { ok: false, error: 'Please sign in first.' };
+  if (!isAdmin()) return { ok: false, error: 'Only an administrator can archive worksheets.' };
+  if (!outputFolder) return { ok: false, error: 'Please select an output folder first.' };
+  if (activeGeneration) return { ok: false, error: 'A generation run is in progress; try again when it has finished.' };
+  if (!/^[0-9a-f]{40}$/.test(String(options.planId || ''))) return { ok: false, error: 'Preview the archive before applying it.' };
+  try {
+    const args = retentionArgs(outputFolder, options).concat('--apply', '--plan', options.planId);
+    console.log('[retention] archive requested by', currentUser.email, args.slice(2).join(' '));
+    return runReportWorker('retention.js', args);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+});
+
+// stop the poller before quitting so it isn't killed mid-row (it also exits if the app goes away)
+let pollerStopped = false;
+app.on('before-quit', (event) => {
+  if (pollerStopped || poller.status().state === 'stopped') return;
+  event.preventDefault();
+  poller.stop().then(() => {
+    pollerStopped = true;
+    app.quit();
+  });
 });
 
 app.on('window-all-closed', () => {
@@ -4,6 +4,7 @@ const { google } = require('googleapis');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
 const minimist = require('minimist');
+const { parseDate, describeDateIssue } = require('./dates');
 
 // Load .env from project root (one level above server/)
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
@@ -68,53 +69,6 @@ async function getRows() {
   return mappedRows;
 }
 
-/**
- * Safe parseDateCandidates (same logic as fillfromsheet)
- */
-function parseDateCandidates(s) {
-  const out = { date: null, candidates: [], chosenKind: null };
-  if (!s) return out;
-  const str = String(s).trim();
-
-  const native = new Date(str);
-  if (!Number.isNaN(native.getTime())) out.candidates.push({ kind: 'native', date: native });
-
-  const parts = str.match(/^(\d{1,2})[\/\-\.\s](\d{1,2})[\/\-\.\s](\d{2,4})$/);
-  if (parts) {
-    const p1 = Number(parts[1]), p2 = Number(parts[2]), p3 = Number(parts[3]);
-    const year = p3 < 100 ? (2000 + p3) : p3;
-
-    if (p2 >= 1 && p2 <= 12 && p1 >= 1 && p1 <= 31) {
-      const dmy = new Date(year, p2 - 1, p1);
-      if (dmy.getFullYear() === year && dmy.getMonth() === p2 - 1 && dmy.getDate() === p1) {
-        out.candidates.push({ kind: 'dmy', date: dmy });
-      }
-    }
-
-    if (p1 >= 1 && p1 <= 12 && p2 >= 1 && p2 <= 31) {
-      const mdy = new Date(year, p1 - 1, p2);
-      if (mdy.getFullYear() === year && mdy.getMonth() === p1 - 1 && mdy.getDate() === p2) {
-        out.candidates.push({ kind: 'mdy', date: mdy });
-      }
-    }
-  }
-
-  if (out.candidates.length) {
-    const dmyC = out.candidates.find(c => c.kind === 'dmy');
-    if (dmyC) {
-      out.date = dmyC.date;
-      out.chosenKind = 'dmy';
-    } else {
-      const nativeC = out.candidates.find(c => c.kind === 'native');
-      const chosen = nativeC ? nativeC : out.candidates[0];
-      out.date = chosen.date;
-      out.chosenKind = chosen.kind;
-    }
-  }
-
-  return out;
-}
-
 function mapSheetRowToTemplateFields(row) {
   const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
   const normRow = {};
@@ -241,32 +195,16 @@ function pruneOutputDir(keepN) {
       for (const r of rows) {
         const mapped = mapSheetRowToTemplateFields(r);
         const dateStr = mapped.DATE || r['Date'] || r['_created_at'] || '';
-        const parsed = parseDateCandidates(dateStr);
-
-        let chosenDate = parsed.date;
-        let chosenKind = parsed.chosenKind;
-
-        const candDMY = parsed.candidates.find(c => c.kind === 'dmy');
-        const candMDY = parsed.candidates.find(c => c.kind === 'mdy');
-        if (candDMY && candMDY) {
-          const dmyOk = candDMY.date.getTime() >= cutoff;
-          const mdyOk = candMDY.date.getTime() >= cutoff;
-          if (dmyOk && !mdyOk) {
-            chosenDate = candDMY.date;
-            chosenKind = 'dmy';
-          } else if (mdyOk && !dmyOk) {
-            chosenDate = candMDY.date;
-            chosenKind = 'mdy';
-          }
-        }
-
+        // shared parser (dates.js): DATE_LOCALE order, timestamp as the day/month swap hint
+        const parsed = parseDate(dateStr, { near: parseDate(r['Timestamp']).date });
+        const chosenDate = parsed.date;
         const keep = chosenDate && chosenDate.getTime() >= cutoff;
+        if (parsed.issue) console.warn('Date problem:', describeDateIssue(dateStr, parsed));
 
         if (DEBUG) {
           console.log('--- row debug ---');
           console.log('raw DATE field:', dateStr);
-          console.log('candidates:', parsed.candidates.map(t => ({ kind: t.kind, iso: t.date.toISOString() })));
-          console.log('chosen kind:', chosenKind, chosenDate ? chosenDate.toISOString() : null);
+          console.log('chosen kind:', parsed.kind, chosenDate ? chosenDate.toISOString() : null, parsed.issue || '');
           console.log('kept (within last', DAYS, 'days)?', keep);
         }
 
@@ -1,13 +1,10 @@
 'use strict';
-const fs = require('fs');
 const { google } = require('googleapis');
+const { loadGoogleCredentials } = require('./google-credentials');
 
 async function getAuth(credentialsPath) {
-  if (!credentialsPath || !fs.existsSync(credentialsPath)) {
-    throw new Error('Google credentials file not found: ' + credentialsPath);
-  }
   return new google.auth.GoogleAuth({
-    keyFile: credentialsPath,
+    credentials: loadGoogleCredentials(credentialsPath),
     scopes: ['https://www.googleapis.com/auth/spreadsheets'],
   });
 }
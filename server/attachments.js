@@ -0,0 +1,199 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const sizeOf = require('image-size');
+
+/**
+ * attachments.js
+ *
+ * Photo uploads (control_fileupload) and the engineer's signature (control_signature) on a JotForm
+ * submission:
+ *
+ *   downloadSubmissionAttachments()  fetch them into tmp/<submission id>/
+ *   worksheetImages()                the ones that can go into a docx, each scaled to fit its
+ *                                    template placeholder (see "images" in templates/registry.json)
+ *   archiveAttachments()             copy them next to the worksheet: <worksheet>_attachments/
+ *   removeTempDir() / cleanupStaleTemp()
+ *
+ * An attachments object is { photos: [path], signature: path | null }.
+ */
+
+const TEMP_ROOT = path.join(__dirname, 'tmp');
+const STALE_TEMP_MS = 24 * 60 * 60 * 1000;
+// what Word renders inline; anything else (HEIC, PDF...) is archived but not embedded
+const EMBEDDABLE_TYPES = ['png', 'jpg', 'gif', 'bmp'];
+// pixel boxes used when a template doesn't give its own
+const DEFAULT_IMAGE_BOXES = {
+  PHOTO: { maxWidth: 600, maxHeight: 450 },
+  SIGNATURE: { maxWidth: 240, maxHeight: 90 }
+};
+
+const emptyAttachments = () => ({ photos: [], signature: null });
+
+function tempDirFor(submissionId) {
+  return path.join(TEMP_ROOT, String(submissionId || Date.now()).replace(/[^\w.-]/g, '_'));
+}
+
+async function downloadFile(url, destDir, filename) {
+  await fs.ensureDir(destDir);
+  const dest = path.join(destDir, filename || decodeURIComponent(path.basename(url.split('?')[0])));
+  const resp = await axios.get(url, { responseType: 'stream', timeout: 20000 });
+  const writer = fs.createWriteStream(dest);
+  resp.data.pipe(writer);
+  return new Promise((resolve, reject) => {
+    writer.on('finish', () => resolve(dest));
+    writer.on('error', reject);
+  });
+}
+
+const withApiKey = (url, apiKey) => (url.includes('?') || !apiKey ? url : `${url}?apiKey=${apiKey}`);
+
+/**
+ * Download the uploads and signature on a JotForm submission (API shape with `answers`) into
+ * `destDir`. A file that fails to download is logged and skipped.
+ */
+async function downloadSubmissionAttachments(submission, { destDir, apiKey = process.env.JOTFORM_API_KEY || '' } = {}) {
+  const attachments = emptyAttachments();
+  const answers = (submission && submission.answers) || {};
+
+  for (const key of Object.keys(answers)) {
+    const ans = answers[key];
+    if (!ans || !ans.answer) continue;
+
+    if (ans.type === 'control_fileupload') {
+      const urls = Array.isArray(ans.answer) ? ans.answer : [ans.answer];
+      for (const u of urls) {
+        try {
+          attachments.photos.push(await downloadFile(withApiKey(String(u), apiKey), destDir));
+        } catch (err) {
+          console.warn('Failed to download upload:', err.message);
+        }
+      }
+    } else if (ans.type === 'control_signature' && !attachments.signature) {
+      try {
+        attachments.signature = await downloadFile(withApiKey(String(ans.answer), apiKey), destDir, 'signature.png');
+      } catch (err) {
+        console.warn('Failed to download signature:', err.message);
+      }
+    }
+  }
+  return attachments;
+}
+
+// [width, height] scaled down (never up) to fit inside box, keeping the aspect ratio
+function fitToBox(width, height, { maxWidth, maxHeight }) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return [Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale))];
+}
+
+// { buffer, size } for an image Word can show, or null (with a warning) for anything else
+function loadImage(filePath, box) {
+  try {
+    const buffer = fs.readFileSync(filePath);
+    const info = sizeOf(buffer);
+    if (!EMBEDDABLE_TYPES.includes(info.type)) {
+      console.warn(`Not embedding ${path.basename(filePath)}: ${info.type} images can't be shown in a worksheet`);
+      return null;
+    }
+    return { buffer, size: fitToBox(info.width, info.height, box) };
+  } catch (err) {
+    console.warn(`Not embedding ${path.basename(filePath)}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Template data for the image placeholders:
+ *   PHOTOS: [{ PHOTO, PHOTO_CAPTION }], HAS_PHOTOS, SIGNATURE, HAS_SIGNATURE
+ * plus getImage/getSize for docxtemplater-image-module-free. `boxes` overrides DEFAULT_IMAGE_BOXES
+ * per placeholder name.
+ */
+function worksheetImages(attachments, boxes = {}) {
+  const { photos = [], signature = null } = attachments || {};
+  const boxFor = (name) => Object.assign({}, DEFAULT_IMAGE_BOXES[name], boxes[name]);
+  const images = new Map();
+
+  const add = (filePath, name) => {
+    const image = loadImage(filePath, boxFor(name));
+    if (!image) return null;
+    const id = `${name}:${images.size}`;
+    images.set(id, image);
+    return id;
+  };
+
+  const data = { PHOTOS: [], HAS_PHOTOS: false, SIGNATURE: '', HAS_SIGNATURE: false };
+  for (const photo of photos) {
+    const id = add(photo, 'PHOTO');
+    if (id) data.PHOTOS.push({ PHOTO: id, PHOTO_CAPTION: path.basename(photo) });
+  }
+  data.HAS_PHOTOS = data.PHOTOS.length > 0;
+  if (signature) {
+    data.SIGNATURE = add(signature, 'SIGNATURE') || '';
+    data.HAS_SIGNATURE = Boolean(data.SIGNATURE);
+  }
+
+  return {
+    data,
+    getImage: (id) => images.get(id).buffer,
+    getSize: (buffer, id) => images.get(id).size
+  };
+}
+
+// <worksheet>_attachments beside the worksheet (also read by export-job-bundle.js and retention.js)
+function attachmentsDirFor(outputFile) {
+  return path.join(path.dirname(outputFile), `${path.basename(outputFile, path.extname(outputFile))}_attachments`);
+}
+
+/**
+ * Copy the attachments into <worksheet name>_attachments/ beside outputFile as photo-1.jpg,
+ * photo-2.png, ... and signature.png. Returns the folder, or null when there is nothing to keep.
+ */
+async function archiveAttachments(outputFile, attachments) {
+  const { photos = [], signature = null } = attachments || {};
+  const files = photos.map((p, i) => [p, `photo-${i + 1}${path.extname(p).toLowerCase()}`]);
+  if (signature) files.push([signature, `signature${path.extname(signature).toLowerCase() || '.png'}`]);
+  const present = files.filter(([src]) => fs.existsSync(src));
+  if (!present.length) return null;
+
+  const dir = attachmentsDirFor(outputFile);
+  await fs.ensureDir(dir);
+  for (const [src, name] of present) await fs.copy(src, path.join(dir, name));
+  return dir;
+}
+
+// Only ever removes folders inside TEMP_ROOT
+async function removeTempDir(dir) {
+  if (!dir || path.dirname(path.resolve(dir)) !== TEMP_ROOT) return;
+  try {
+    await fs.remove(dir);
+  } catch (err) {
+    console.warn('Could not remove temp folder', dir, err.message);
+  }
+}
+
+// Download folders left behind by a crash or an older version
+async function cleanupStaleTemp(maxAgeMs = STALE_TEMP_MS) {
+  if (!fs.existsSync(TEMP_ROOT)) return;
+  const cutoff = Date.now() - maxAgeMs;
+  for (const name of await fs.readdir(TEMP_ROOT)) {
+    const dir = path.join(TEMP_ROOT, name);
+    try {
+      if ((await fs.stat(dir)).mtimeMs < cutoff) await fs.remove(dir);
+    } catch (err) {
+      console.warn('Could not remove stale temp folder', dir, err.message);
+    }
+  }
+}
+
+module.exports = {
+  TEMP_ROOT,
+  emptyAttachments,
+  tempDirFor,
+  downloadSubmissionAttachments,
+  fitToBox,
+  worksheetImages,
+  attachmentsDirFor,
+  archiveAttachments,
+  removeTempDir,
+  cleanupStaleTemp
+};
@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * auth-store.js
+ *
+ * Local user accounts for the desktop app, used only from the Electron main process.
+ * Passwords are stored as salted scrypt hashes in users.json under userData:
+ *
+ *   { "version": 1, "users": [{ email, role, salt, hash, failedAttempts, lockedUntil, createdAt }] }
+ *
+ * After MAX_FAILED_ATTEMPTS wrong passwords an account is locked for LOCKOUT_MS; an admin password
+ * reset clears the lock. Logins for one email are checked one at a time, and every change re-reads
+ * users.json after hashing, so parallel attempts can't each see the same failure count.
+ */
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const ROLES = ['admin', 'user'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const key = await scrypt(String(password), salt, 64);
+  return { salt, hash: key.toString('hex') };
+}
+
+function validateCredentials(email, password) {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'Please enter a valid email address.';
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  return null;
+}
+
+// What the renderer is allowed to see about a user — never the salt/hash
+function publicUser(user) {
+  return {
+    email: user.email,
+    role: user.role,
+    locked: !!(user.lockedUntil && user.lockedUntil > Date.now()),
+    createdAt: user.createdAt
+  };
+}
+
+function createAuthStore(filePath) {
+  const load = () => {
+    try {
+      const data = fs.readJsonSync(filePath);
+      if (data && Array.isArray(data.users)) return data;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[auth] could not read users file', filePath, e && e.message);
+    }
+    return { version: 1, users: [] };
+  };
+
+  const save = (data) => {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmp = `${filePath}.tmp`;
+    fs.writeJsonSync(tmp, data, { spaces: 2 });
+    fs.renameSync(tmp, filePath);
+  };
+
+  const find = (data, email) => data.users.find(u => u.email === normalizeEmail(email));
+
+  // one login check at a time per email
+  const loginQueues = new Map();
+  const serialiseLogin = (email, task) => {
+    const key = normalizeEmail(email);
+    const run = (loginQueues.get(key) || Promise.resolve()).then(task, task);
+    const tail = run.catch(() => {});
+    loginQueues.set(key, tail);
+    tail.then(() => { if (loginQueues.get(key) === tail) loginQueues.delete(key); });
+    return run;
+  };
+
+  const checkLogin = async (email, password) => {
+    const user = find(load(), email);
+    // same message for unknown email and wrong password so accounts can't be enumerated
+    const invalid = { ok: false, error: 'Incorrect email or password.' };
+    if (!user) {
+      await hashPassword(password); // keep timing similar to a real check
+      return invalid;
+    }
+
+    if (user.lockedUntil && user.lockedUntil > Date.now()) {
+      const minutes = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+      return { ok: false, error: `Too many failed attempts. Try again in ${minutes} minute(s) or ask an administrator to reset your password.` };
+    }
+
+    const { hash } = await hashPassword(password, user.salt);
+    const matches = crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.hash, 'hex'));
+
+    // re-read after hashing and count against the stored record: the account may have been reset
+    // or removed meanwhile
+    const data = load();
+    const current = find(data, email);
+    if (!current || current.hash !== user.hash) return invalid;
+    if (!matches) {
+      current.failedAttempts = (current.failedAttempts || 0) + 1;
+      if (current.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        current.lockedUntil = Date.now() + LOCKOUT_MS;
+        current.failedAttempts = 0;
+        save(data);
+        return { ok: false, error: `Too many failed attempts. This account is locked for ${LOCKOUT_MS / 60000} minutes.` };
+      }
+      save(data);
+      return invalid;
+    }
+
+    current.failedAttempts = 0;
+    current.lockedUntil = 0;
+    save(data);
+    return { ok: true, user: publicUser(current) };
+  };
+
+  return {
+    hasUsers() {
+      return load().users.length > 0;
+    },
+
+    listUsers() {
+      return load().users.map(publicUser);
+    },
+
+    // the account as stored now (null once removed), for re-checking a signed-in user
+    getUser(email) {
+      const user = find(load(), email);
+      return user ? publicUser(user) : null;
+    },
+
+    async addUser({ email, password, role = 'user' }) {
+      const cleanEmail = normalizeEmail(email);
+      const problem = validateCredentials(cleanEmail, password);
+      if (problem) return { ok: false, error: problem };
+      if (!ROLES.includes(role)) return { ok: false, error: `Unknown role "${role}".` };
+      if (find(load(), cleanEmail)) return { ok: false, error: 'A user with that email already exists.' };
+
+      const { salt, hash } = await hashPassword(password);
+      const data = load();
+      if (find(data, cleanEmail)) return { ok: false, error: 'A user with that email already exists.' };
+      const user = { email: cleanEmail, role, salt, hash, failedAttempts: 0, lockedUntil: 0, createdAt: new Date().toISOString() };
+      data.users.push(user);
+      save(data);
+      return { ok: true, user: publicUser(user) };
+    },
+
+    removeUser(email) {
+      const data = load();
+      const user = find(data, email);
+      if (!user) return { ok: false, error: 'User not found.' };
+      if (user.role === 'admin' && data.users.filter(u => u.role === 'admin').length === 1) {
+        return { ok: false, error: 'Cannot remove the last administrator.' };
+      }
+      data.users = data.users.filter(u => u !== user);
+      save(data);
+      return { ok: true };
+    },
+
+    async resetPassword(email, password) {
+      const existing = find(load(), email);
+      if (!existing) return { ok: false, error: 'User not found.' };
+      const problem = validateCredentials(existing.email, password);
+      if (problem) return { ok: false, error: problem };
+
+      const hashed = await hashPassword(password);
+      const data = load();
+      const user = find(data, email);
+      if (!user) return { ok: false, error: 'User not found.' };
+      Object.assign(user, hashed, { failedAttempts: 0, lockedUntil: 0 });
+      save(data);
+      return { ok: true };
+    },
+
+    verifyLogin(email, password) {
+      return serialiseLogin(email, () => checkLogin(email, password));
+    }
+  };
+}
+
+module.exports = { createAuthStore };
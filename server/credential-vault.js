@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * credential-vault.js
+ *
+ * The Google service-account key and the JotForm API key, imported once through Settings and kept
+ * in credentials.json under userData encrypted with Electron safeStorage (DPAPI on Windows, the
+ * keychain on macOS, the secret service on Linux). Used only from the Electron main process:
+ *
+ *   { "version": 1, "google": { "encrypted": "<base64>", "clientEmail", "importedAt", "importedBy" },
+ *     "jotform": { "encrypted": "<base64>", "last4", "importedAt", "importedBy" } }
+ *
+ * Nothing decrypted is written to disk: workerEnv() in main.js passes the secrets to each child in
+ * GOOGLE_CREDENTIALS_JSON / JOTFORM_API_KEY (see google-credentials.js). Importing again replaces a
+ * credential (rotation); remove() forgets it.
+ */
+
+const KINDS = ['google', 'jotform'];
+
+function createCredentialVault(filePath, safeStorage) {
+  const load = () => {
+    try {
+      const data = fs.readJsonSync(filePath);
+      if (data && typeof data === 'object') return data;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[credentials] could not read credentials file', filePath, e && e.message);
+    }
+    return { version: 1 };
+  };
+
+  // write-then-rename so a crash mid-write never leaves a truncated file behind
+  const save = (data) => {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeJsonSync(tmp, data, { spaces: 2, mode: 0o600 });
+    fs.renameSync(tmp, filePath);
+  };
+
+  const encryptionError = () => (safeStorage.isEncryptionAvailable()
+    ? null
+    : 'This computer has no secure storage available, so credentials cannot be saved.');
+
+  const store = (kind, secret, details, by) => {
+    const data = load();
+    data[kind] = Object.assign({
+      encrypted: safeStorage.encryptString(secret).toString('base64'),
+      importedAt: new Date().toISOString(),
+      importedBy: by
+    }, details);
+    save(data);
+  };
+
+  const decrypt = (entry) => safeStorage.decryptString(Buffer.from(entry.encrypted, 'base64'));
+
+  return {
+    // What Settings shows: which credentials are set, never the secrets themselves
+    status() {
+      const data = load();
+      const status = {};
+      for (const kind of KINDS) {
+        const entry = data[kind];
+        status[kind] = entry && entry.encrypted
+          ? { set: true, clientEmail: entry.clientEmail, last4: entry.last4, importedAt: entry.importedAt, importedBy: entry.importedBy }
+          : { set: false };
+      }
+      return status;
+    },
+
+    /**
+     * Read a service-account key file and store it encrypted. The file itself is left where it
+     * is — delete it once the import has worked. Returns { ok, clientEmail } or { ok: false, error }.
+     */
+    importGoogleKey(keyFile, { by = '' } = {}) {
+      const unavailable = encryptionError();
+      if (unavailable) return { ok: false, error: unavailable };
+      let key;
+      try {
+        key = fs.readJsonSync(keyFile);
+      } catch (e) {
+        return { ok: false, error: 'Not a JSON key file.' };
+      }
+      if (!key || key.type !== 'service_account' || !key.client_email || !key.private_key) {
+        return { ok: false, error: 'Not a service-account key (needs client_email and private_key).' };
+      }
+      store('google', JSON.stringify(key), { clientEmail: key.client_email }, by);
+      return { ok: true, clientEmail: key.client_email };
+    },
+
+    setJotformKey(apiKey, { by = '' } = {}) {
+      const unavailable = encryptionError();
+      if (unavailable) return { ok: false, error: unavailable };
+      const value = String(apiKey || '').trim();
+      if (!/^[A-Za-z0-9]{16,}$/.test(value)) return { ok: false, error: 'Paste the API key from JotForm (letters and digits only).' };
+      store('jotform', value, { last4: value.slice(-4) }, by);
+      return { ok: true, last4: value.slice(-4) };
+    },
+
+    remove(kind) {
+      if (!KINDS.includes(kind)) return { ok: false, error: `Unknown credential: ${kind}` };
+      const data = load();
+      if (!data[kind]) return { ok: true };
+      delete data[kind];
+      save(data);
+      return { ok: true };
+    },
+
+    /**
+     * The decrypted secrets as worker environment variables. A credential that no longer decrypts
+     * (e.g. credentials.json copied from another Windows account) is logged and left out.
+     */
+    workerEnv() {
+      const data = load();
+      const env = {};
+      try {
+        if (data.google && data.google.encrypted) env.GOOGLE_CREDENTIALS_JSON = decrypt(data.google);
+      } catch (e) {
+        console.warn('[credentials] could not decrypt the Google key - import it again in Settings:', e && e.message);
+      }
+      try {
+        if (data.jotform && data.jotform.encrypted) env.JOTFORM_API_KEY = decrypt(data.jotform);
+      } catch (e) {
+        console.warn('[credentials] could not decrypt the JotForm API key - enter it again in Settings:', e && e.message);
+      }
+      return env;
+    }
+  };
+}
+
+module.exports = { createCredentialVault };
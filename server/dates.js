@@ -0,0 +1,206 @@
+/**
+ * dates.js
+ *
+ * The one place dates are parsed and formatted — sheet DATE cells, JotForm date answers and
+ * JotForm created_at stamps all go through here.
+ *
+ *   DATE_LOCALE       en-GB (default, day-first) or a month-first locale such as en-US; decides how
+ *                     "05/10/2026" is read and how dates are written into worksheets
+ *   JOTFORM_TIMEZONE  IANA zone of the JotForm account (e.g. America/New_York); created_at is
+ *                     wall-clock time in that zone. Unset = same zone as this machine.
+ *
+ * parseDate() never guesses silently: a numeric date that also reads the other way round is
+ * reported as ambiguous when the other reading is the more plausible one, a date only valid the
+ * other way round is read that way and reported as swapped, and anything else is unparseable.
+ */
+
+const DEFAULT_LOCALE = 'en-GB';
+const MONTH_FIRST_LOCALES = ['en-us', 'en-ph', 'en-fm', 'en-mh', 'en-pw', 'es-us'];
+
+const MONTH_NAMES = {
+  january: 1, february: 2, march: 3, april: 4, may: 5, june: 6,
+  july: 7, august: 8, september: 9, october: 10, november: 11, december: 12,
+  jan: 1, feb: 2, mar: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+function currentLocale() {
+  return process.env.DATE_LOCALE || DEFAULT_LOCALE;
+}
+
+// 'dmy' or 'mdy' for a locale tag
+function dateOrder(locale = currentLocale()) {
+  return MONTH_FIRST_LOCALES.includes(String(locale).toLowerCase()) ? 'mdy' : 'dmy';
+}
+
+// local-midnight Date, or null when the parts don't make a real calendar day
+function makeDate(year, month, day) {
+  if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+  const d = new Date(year, month - 1, day);
+  if (d.getFullYear() !== year || d.getMonth() !== month - 1 || d.getDate() !== day) return null;
+  return d;
+}
+
+const expandYear = (y) => (y < 100 ? 2000 + y : y);
+const result = (date, kind, extra = {}) => Object.assign({ date, kind, issue: null, alternative: null }, extra);
+
+/**
+ * Parse a date written any way the sheet or JotForm hands it to us:
+ *   Date, JotForm date answers ({ day, month, year } / { datetime }), "17/10/2026", "17-10-26",
+ *   "17/10/2026 09:12:00", "2026-10-17", "2026-10-17 09:12:00", "17 Oct 2026", "October 17th 2026".
+ *
+ * options.locale  overrides DATE_LOCALE
+ * options.near    a Date the value should be close to (e.g. the submission timestamp); an
+ *                 ambiguous numeric date is only reported when its other reading is nearer to it.
+ *                 Without it every date that reads both ways is reported.
+ *
+ * Returns { date, kind, issue, alternative } where issue is null, 'ambiguous', 'swapped',
+ * 'unparseable' or 'empty'; date is null only for 'unparseable' and 'empty'.
+ */
+function parseDate(value, options = {}) {
+  if (value === null || value === undefined || value === '') return result(null, null, { issue: 'empty' });
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return result(null, null, { issue: 'unparseable' });
+    return result(new Date(value.getFullYear(), value.getMonth(), value.getDate()), 'date');
+  }
+
+  if (typeof value === 'object') {
+    if (value.year && value.month && value.day) {
+      const d = makeDate(Number(value.year), Number(value.month), Number(value.day));
+      return d ? result(d, 'parts') : result(null, null, { issue: 'unparseable' });
+    }
+    if (value.datetime) return parseDate(String(value.datetime), options);
+    return result(null, null, { issue: 'unparseable' });
+  }
+
+  const str = String(value).trim().replace(/\s+/g, ' ');
+  if (!str) return result(null, null, { issue: 'empty' });
+
+  // ISO yyyy-mm-dd, optionally followed by a time
+  let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T]\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (m) {
+    const d = makeDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    return d ? result(d, 'iso') : result(null, null, { issue: 'unparseable' });
+  }
+
+  // numeric a/b/year in either order, optionally followed by a time (sheet timestamps)
+  m = str.match(/^0*(\d{1,2})[/\-. ]0*(\d{1,2})[/\-. ](\d{2}|\d{4})(?: \d{1,2}:\d{2}(?::\d{2})?)?$/);
+  if (m) {
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    const year = expandYear(Number(m[3]));
+    const order = dateOrder(options.locale || currentLocale());
+    const other = order === 'dmy' ? 'mdy' : 'dmy';
+    const read = (kind) => (kind === 'dmy' ? makeDate(year, b, a) : makeDate(year, a, b));
+    const primary = read(order);
+    const secondary = a === b ? null : read(other);
+
+    if (primary && secondary) {
+      const near = options.near instanceof Date && !Number.isNaN(options.near.getTime()) ? options.near.getTime() : null;
+      const flag = near === null || Math.abs(secondary.getTime() - near) < Math.abs(primary.getTime() - near);
+      return result(primary, order, flag ? { issue: 'ambiguous', alternative: secondary } : {});
+    }
+    if (primary) return result(primary, order);
+    if (secondary) return result(secondary, other, { issue: 'swapped' });
+    return result(null, null, { issue: 'unparseable' });
+  }
+
+  // textual months e.g. "5 Jan 2026", "5th January, 2026", "January 5 2026"
+  const cleaned = str.replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+  m = cleaned.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\s+(\d{4})$/i);
+  if (m && MONTH_NAMES[m[2].toLowerCase()]) {
+    const d = makeDate(Number(m[3]), MONTH_NAMES[m[2].toLowerCase()], Number(m[1]));
+    if (d) return result(d, 'text');
+  }
+  m = cleaned.match(/^([A-Za-z]{3,9})\s+(\d{1,2})(?:st|nd|rd|th)?\s+(\d{4})$/i);
+  if (m && MONTH_NAMES[m[1].toLowerCase()]) {
+    const d = makeDate(Number(m[3]), MONTH_NAMES[m[1].toLowerCase()], Number(m[2]));
+    if (d) return result(d, 'text');
+  }
+
+  return result(null, null, { issue: 'unparseable' });
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format with tokens YYYY, YY, MM, M, DD, D (anything else is copied), e.g.
+ * formatDate(d, 'D-M-YYYY') -> "7-10-2026" (worksheet filenames), formatDate(d, 'YYYY-MM-DD').
+ */
+function formatDate(date, pattern = 'YYYY-MM-DD') {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '';
+  const values = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate())
+  };
+  return String(pattern).replace(/YYYY|YY|MM|M|DD|D/g, token => values[token]);
+}
+
+// How a date is written into a worksheet or sheet cell: 17/10/2026 (day-first) or 10/17/2026
+function formatDisplayDate(date, locale = currentLocale()) {
+  return formatDate(date, dateOrder(locale) === 'mdy' ? 'MM/DD/YYYY' : 'DD/MM/YYYY');
+}
+
+// offset (ms) of `timeZone` from UTC at the instant `utcMs`
+function zoneOffsetMs(utcMs, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  for (const p of fmt.formatToParts(new Date(utcMs))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return asUtc - (utcMs - (utcMs % 1000));
+}
+
+/**
+ * JotForm created_at ("YYYY-MM-DD HH:MM:SS", wall-clock time in the account's zone) -> the real
+ * instant as a Date, or null. timeZone defaults to JOTFORM_TIMEZONE, else this machine's zone.
+ */
+function parseJotformCreatedAt(value, timeZone = process.env.JOTFORM_TIMEZONE || '') {
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const [year, month, day, hour, minute, second] = m.slice(1).map(x => Number(x || 0));
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second);
+
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // two passes settle the offset across DST changes
+  let instant = wall - zoneOffsetMs(wall, timeZone);
+  instant = wall - zoneOffsetMs(instant, timeZone);
+  return new Date(instant);
+}
+
+// "YYYY-MM-DD HH:MM:SS" in this machine's zone — how submission timestamps go into the sheet
+function formatTimestamp(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '';
+  return `${formatDate(date, 'YYYY-MM-DD')} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// One line for logs and the date report
+function describeDateIssue(raw, parsed) {
+  switch (parsed.issue) {
+    case 'ambiguous':
+      return `"${raw}" is ambiguous: read as ${formatDisplayDate(parsed.date)}, could be ${formatDisplayDate(parsed.alternative)}`;
+    case 'swapped':
+      return `"${raw}" is not a valid ${dateOrder().toUpperCase()} date; read the other way round as ${formatDisplayDate(parsed.date)}`;
+    case 'unparseable':
+      return `"${raw}" is not a date this tool understands`;
+    case 'empty':
+      return 'no date';
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  dateOrder,
+  parseDate,
+  formatDate,
+  formatDisplayDate,
+  parseJotformCreatedAt,
+  formatTimestamp,
+  describeDateIssue
+};
@@ -1,9 +1,56 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  // Now pass folderPath as argument to generateWorksheets
-  generateWorksheets: (folderPath) => ipcRenderer.invoke('generateWorksheets', folderPath),
+  // Now pass folderPath as argument to generateWorksheets; options holds the selected row keys and
+  // generator flags ({ keys, days, last, job, force, dry, debug })
+  generateWorksheets: (folderPath, options) => ipcRenderer.invoke('generateWorksheets', folderPath, options),
+  // Row browser: mapped sheet rows with their generation status
+  listSheetRows: () => ipcRenderer.invoke('listSheetRows'),
+  cancelGeneration: () => ipcRenderer.invoke('cancelGeneration'),
+  // Per-row progress pushed while generateWorksheets runs; returns an unsubscribe function
+  onGenerateProgress: (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('generateProgress', listener);
+    return () => ipcRenderer.removeListener('generateProgress', listener);
+  },
+  // Background poller health ({ state, lastRunAt, lastSuccessAt, lastError, ... }) and controls
+  pollerStatus: () => ipcRenderer.invoke('pollerStatus'),
+  startPoller: () => ipcRenderer.invoke('startPoller'),
+  stopPoller: () => ipcRenderer.invoke('stopPoller'),
+  // Status pushed whenever the poller starts, stops, restarts or finishes a cycle; returns an unsubscribe function
+  onPollerStatus: (callback) => {
+    const listener = (event, status) => callback(status);
+    ipcRenderer.on('pollerStatus', listener);
+    return () => ipcRenderer.removeListener('pollerStatus', listener);
+  },
   // Folder picker dialog
   chooseOutputFolder: () => ipcRenderer.invoke('chooseOutputFolder'),
-  openOneDriveFolder: () => ipcRenderer.invoke('openOneDriveFolder')
+  openOneDriveFolder: () => ipcRenderer.invoke('openOneDriveFolder'),
+  // Sheet rows waiting to be re-sent after a failed append
+  listSheetsOutbox: () => ipcRenderer.invoke('listSheetsOutbox'),
+  replaySheetsOutbox: (id) => ipcRenderer.invoke('replaySheetsOutbox', id),
+  dropSheetsOutbox: (id) => ipcRenderer.invoke('dropSheetsOutbox', id),
+  // Reports written to the output folder; each resolves { ok, files, summary } or { ok: false, error }
+  generateTimesheet: (folderPath, options) => ipcRenderer.invoke('generateTimesheet', folderPath, options),
+  generateVariations: (folderPath, options) => ipcRenderer.invoke('generateVariations', folderPath, options),
+  exportJobBundle: (folderPath, options) => ipcRenderer.invoke('exportJobBundle', folderPath, options),
+  previewRetention: (folderPath, options) => ipcRenderer.invoke('previewRetention', folderPath, options),
+  applyRetention: (folderPath, options) => ipcRenderer.invoke('applyRetention', folderPath, options),
+  getSettings: () => ipcRenderer.invoke('getSettings'),
+  saveSettings: (values) => ipcRenderer.invoke('saveSettings', values),
+  // Encrypted credentials (admins only); each resolves { ok, status } or { ok: false, error }
+  credentialStatus: () => ipcRenderer.invoke('credentialStatus'),
+  importGoogleKey: () => ipcRenderer.invoke('importGoogleKey'),
+  setJotformKey: (apiKey) => ipcRenderer.invoke('setJotformKey', apiKey),
+  removeCredential: (kind) => ipcRenderer.invoke('removeCredential', kind),
+  // Authentication (handled in the main process)
+  authStatus: () => ipcRenderer.invoke('authStatus'),
+  createFirstAdmin: (email, password) => ipcRenderer.invoke('createFirstAdmin', email, password),
+  login: (email, password) => ipcRenderer.invoke('login', email, password),
+  logout: () => ipcRenderer.invoke('logout'),
+  // User administration (admins only)
+  listUsers: () => ipcRenderer.invoke('listUsers'),
+  addUser: (user) => ipcRenderer.invoke('addUser', user),
+  removeUser: (email) => ipcRenderer.invoke('removeUser', email),
+  resetPassword: (email, password) => ipcRenderer.invoke('resetPassword', email, password)
 });
\ No newline at end of file
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * export-job-bundle.js
+ *
+ * Close-out bundle for one job: every worksheet generated for the job number, the photos and
+ * signature archived beside each one (<worksheet>_attachments/, see attachments.js) and a cover
+ * sheet listing the visits in date order (templates/job_bundle_cover_1.docx), zipped as
+ *
+ *   00-index.docx
+ *   worksheets/<worksheet>.docx
+ *   attachments/<worksheet>/photo-1.jpg ...
+ *
+ *   node server/export-job-bundle.js --job J1001 [--output <dir>]
+ *
+ * Worksheets are found by name anywhere under the output folder — read back through
+ * OUTPUT_FILENAME_PATTERN (output-naming.js, " (2)" collision copies included), the default
+ * D-M-YYYY-Name-JobNo pattern and the older worksheet_<JobNo>_<date>.docx JotForm names — and
+ * through the generation ledger in WORKSHEET_STATE_DIR, which also finds worksheets written to an
+ * earlier output folder. Worksheets retention.js has archived are read back out of the monthly
+ * zips in <output>/archive (and any zip the ledger recorded for the job), attachments included.
+ * Job numbers match ignoring case and punctuation. The bundle is written to the output folder as
+ * job_<job>_bundle.zip.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const minimist = require('minimist');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const { normalizeJobNo } = require('./visit-rows');
+const { ledgerPath, loadLedger } = require('./generation-ledger');
+const { parseDate, formatDisplayDate } = require('./dates');
+const { DEFAULT_PATTERN, safeFilename, currentPattern, worksheetMatcher, parseWorksheetName, listWorksheetFiles } = require('./output-naming');
+const { attachmentsDirFor } = require('./attachments');
+const { writeZip } = require('./zip-files');
+const { ARCHIVE_DIR } = require('./retention');
+
+const argv = minimist(process.argv.slice(2), { string: ['job'] });
+const OUTPUT_DIR = argv.output ? path.resolve(argv.output) : path.join(__dirname, 'output');
+const STATE_DIR = process.env.WORKSHEET_STATE_DIR ? path.resolve(process.env.WORKSHEET_STATE_DIR) : __dirname;
+const TEMPLATE_PATH = path.join(__dirname, 'templates', 'job_bundle_cover_1.docx');
+
+/**
+ * Reads worksheet paths for one job: describe(file) is { file, name, date } when the file is one
+ * of the job's worksheets, else null. date is null for "nodate" worksheets.
+ */
+function worksheetNamesFor(folder, job) {
+  const target = normalizeJobNo(job);
+  const patterns = Array.from(new Set([currentPattern(), DEFAULT_PATTERN]));
+  const matchers = patterns.map(pattern => worksheetMatcher(job, pattern));
+  return (file) => {
+    const rel = path.relative(folder, file).split(path.sep).join('/');
+    const base = path.basename(file);
+    for (const candidate of rel.startsWith('..') ? [base] : [rel, base]) {
+      for (const match of matchers) {
+        const found = match(candidate);
+        if (found) return Object.assign({ file }, found);
+      }
+    }
+    // older worksheet_<JobNo>_<date> JotForm names
+    const guess = parseWorksheetName(base);
+    return guess && normalizeJobNo(guess.job) === target ? { file, name: guess.name, date: guess.date } : null;
+  };
+}
+
+function listAttachments(file) {
+  const dir = attachmentsDirFor(file);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => fs.statSync(path.join(dir, f)).isFile()).map(f => ({ name: f, file: path.join(dir, f) }));
+}
+
+const archivesIn = (folder) => {
+  const dir = path.join(folder, ARCHIVE_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.zip')).map(f => path.join(dir, f));
+};
+
+/**
+ * The job's worksheets inside one retention zip (<output>/archive/worksheets_YYYY-MM.zip, entries
+ * named by their path under <output>), with file set to where each one was before archiving and
+ * the document and its attachments read into buffers.
+ */
+function readArchivedWorksheets(zipPath, describe) {
+  let zip;
+  try {
+    zip = new PizZip(fs.readFileSync(zipPath));
+  } catch (e) {
+    console.warn('Could not read archive', zipPath, e && e.message);
+    return [];
+  }
+  const outputDir = path.dirname(path.dirname(zipPath));
+  const names = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+  const found = [];
+  for (const name of names) {
+    if (!name.toLowerCase().endsWith('.docx') || name.split('/').some(part => part.endsWith('_attachments'))) continue;
+    const info = describe(path.join(outputDir, ...name.split('/')));
+    if (!info) continue;
+    const prefix = `${path.posix.join(path.posix.dirname(name), path.posix.basename(name, path.posix.extname(name)))}_attachments/`;
+    found.push(Object.assign(info, {
+      archive: zipPath,
+      buffer: zip.file(name).asNodeBuffer(),
+      attachments: names
+        .filter(n => n.startsWith(prefix) && !n.slice(prefix.length).includes('/'))
+        .map(n => ({ name: path.posix.basename(n), buffer: zip.file(n).asNodeBuffer() })),
+      written: zip.files[name].date.getTime()
+    }));
+  }
+  return found;
+}
+
+/**
+ * The job's worksheets, oldest first (undated last). Returns { job, worksheets, notes } where each
+ * worksheet is { file, name, date, attachments }.
+ */
+function findWorksheets(folder, job) {
+  const target = normalizeJobNo(job);
+  const describe = worksheetNamesFor(folder, job);
+  const found = new Map();
+  const add = (info) => {
+    if (info && !found.has(path.resolve(info.file))) found.set(path.resolve(info.file), info);
+  };
+
+  listWorksheetFiles(folder).forEach(file => add(describe(file)));
+
+  const ledger = loadLedger(ledgerPath(STATE_DIR));
+  const archives = new Set(archivesIn(folder).map(zip => path.resolve(zip)));
+  let ledgerJob = '';
+  for (const entry of Object.values(ledger.entries)) {
+    if (normalizeJobNo(entry.job) !== target) continue;
+    if (entry.archivedTo && fs.existsSync(entry.archivedTo)) archives.add(path.resolve(entry.archivedTo));
+    if (!entry.path || !fs.existsSync(entry.path)) continue;
+    ledgerJob = ledgerJob || entry.job;
+    add(describe(entry.path) || { file: entry.path, name: entry.name, date: parseDate(entry.date).date });
+  }
+  // a worksheet still (or again) on disk wins over its archived copy
+  archives.forEach(zip => readArchivedWorksheets(zip, describe).forEach(add));
+
+  const notes = [];
+  const worksheets = Array.from(found.values()).map(info => Object.assign(info, {
+    attachments: info.attachments || listAttachments(info.file),
+    written: info.written || fs.statSync(info.file).mtimeMs
+  }));
+  // same-day visits in the order they were written, so "name (2)" follows "name"
+  worksheets.sort((a, b) => (a.date && b.date ? (a.date - b.date) || (a.written - b.written) : (a.date ? -1 : (b.date ? 1 : 0))));
+  for (const w of worksheets) {
+    if (!w.date) notes.push(`${path.basename(w.file)}: no visit date, listed last`);
+  }
+
+  return { job: String(ledgerJob || job).trim(), worksheets, notes };
+}
+
+function coverSheet(bundle) {
+  if (!fs.existsSync(TEMPLATE_PATH)) throw new Error(`Bundle cover template not found at: ${TEMPLATE_PATH}`);
+  const doc = new Docxtemplater(new PizZip(fs.readFileSync(TEMPLATE_PATH, 'binary')), { paragraphLoop: true, linebreaks: true });
+  doc.render({
+    JOB_NO: bundle.job,
+    GENERATED_AT: formatDisplayDate(new Date()),
+    WORKSHEET_COUNT: bundle.worksheets.length,
+    ATTACHMENT_COUNT: bundle.worksheets.reduce((sum, w) => sum + w.attachments.length, 0),
+    VISITS: bundle.worksheets.map((w, i) => ({
+      N: i + 1,
+      DATE: w.date ? formatDisplayDate(w.date) : 'no date',
+      NAME: w.name || '-',
+      FILE: w.entryName,
+      ATTACHMENTS: w.attachments.length ? `${w.attachments.length} file(s)` : '-'
+    })),
+    HAS_NOTES: bundle.notes.length > 0,
+    NOTES: bundle.notes.map(note => ({ NOTE: note }))
+  });
+  return doc.getZip().generate({ type: 'nodebuffer' });
+}
+
+async function main() {
+  const job = String(argv.job || '').trim();
+  if (!job) throw new Error('Usage: export-job-bundle.js --job <job number>');
+
+  const bundle = findWorksheets(OUTPUT_DIR, job);
+  if (!bundle.worksheets.length) throw new Error(`No worksheets found for job ${job} in ${OUTPUT_DIR}`);
+
+  // ledger entries from other folders can share a file name; number the later ones
+  const used = new Set();
+  for (const [i, w] of bundle.worksheets.entries()) {
+    const name = path.basename(w.file);
+    w.entryName = used.has(name.toLowerCase()) ? `${i + 1}-${name}` : name;
+    used.add(w.entryName.toLowerCase());
+  }
+
+  fs.ensureDirSync(OUTPUT_DIR);
+  const file = path.join(OUTPUT_DIR, `job_${safeFilename(bundle.job)}_bundle.zip`);
+  const entries = [{ name: '00-index.docx', buffer: coverSheet(bundle) }];
+  for (const w of bundle.worksheets) {
+    entries.push(w.buffer ? { name: `worksheets/${w.entryName}`, buffer: w.buffer } : { name: `worksheets/${w.entryName}`, file: w.file });
+    const folder = path.basename(w.entryName, '.docx');
+    w.attachments.forEach(a => entries.push(Object.assign({}, a, { name: `attachments/${folder}/${a.name}` })));
+  }
+  await writeZip(file, entries);
+
+  const attachments = bundle.worksheets.reduce((sum, w) => sum + w.attachments.length, 0);
+  console.log(`Job ${bundle.job}: ${bundle.worksheets.length} worksheet(s), ${attachments} attachment(s)`);
+  bundle.worksheets.forEach(w => console.log('  ', w.date ? formatDisplayDate(w.date) : 'no date', w.file, w.archive ? `(from ${w.archive})` : ''));
+  if (bundle.notes.length) console.warn(`\nCheck before sending:\n  ${bundle.notes.join('\n  ')}`);
+  console.log('Wrote', file);
+
+  const archived = bundle.worksheets.filter(w => w.archive).length;
+  const summary = { job: bundle.job, worksheets: bundle.worksheets.length, archived, attachments, notes: bundle.notes };
+  if (typeof process.send === 'function' && process.connected) process.send({ type: 'report', report: 'bundle', files: [file], summary });
+  return { files: [file], summary };
+}
+
+if (require.main === module) {
+  // the IPC channel must not keep the process alive once the bundle is written
+  if (process.channel) process.channel.unref();
+  main().catch((err) => {
+    console.error('Job bundle export failed:', err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { worksheetNamesFor, findWorksheets };
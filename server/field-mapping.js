@@ -0,0 +1,190 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseDate, formatDisplayDate } = require('./dates');
+
+/**
+ * field-mapping.js
+ *
+ * Loads field-mapping.json (or FIELD_MAPPING_PATH) — the single list of template fields and the
+ * sheet columns / JotForm answers they come from — and applies it. Used by fillFromSheet.js
+ * (sheet rows), poll-jotform.js (submissions -> sheet row) and fillTemplate.js.
+ */
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, 'field-mapping.json');
+
+let cached = null;
+
+function normalizeKey(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Convert various possible JotForm field shapes into a plain string for Sheets
+function fieldToString(v) {
+  if (v === null || v === undefined) return '';
+
+  if (typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean') {
+    return String(v);
+  }
+
+  if (typeof v === 'object') {
+    // Date object — written the way the sheet's DATE column is (DATE_LOCALE, see dates.js)
+    if (v.datetime || (v.year && v.month && v.day)) {
+      const parsed = parseDate(v);
+      if (parsed.date) return formatDisplayDate(parsed.date);
+      return String(v.datetime || `${v.year}-${v.month}-${v.day}`);
+    }
+
+    // Address object
+    if (v.addr_line1 || v.addr_line2 || v.city || v.state || v.postal) {
+      const parts = [];
+      if (v.addr_line1) parts.push(v.addr_line1);
+      if (v.addr_line2) parts.push(v.addr_line2);
+      if (v.city) parts.push(v.city);
+      if (v.state) parts.push(v.state);
+      if (v.postal) parts.push(v.postal);
+      return parts.filter(Boolean).join(', ');
+    }
+
+    // Generic object: join values or fallback to JSON
+    try {
+      const vals = Object.values(v).filter(x => x !== undefined && x !== null).map(x => (typeof x === 'object' ? JSON.stringify(x) : String(x)));
+      if (vals.length) return vals.join(' | ');
+      return JSON.stringify(v);
+    } catch (e) {
+      return String(v);
+    }
+  }
+
+  return String(v);
+}
+
+const TRANSFORMS = {
+  text: fieldToString,
+  trim: (v) => String(v).trim(),
+  upper: (v) => String(v).toUpperCase(),
+  lower: (v) => String(v).toLowerCase(),
+  singleLine: (v) => String(v).replace(/\s*[\r\n]+\s*/g, ' ')
+};
+
+function loadFieldMapping(filePath = process.env.FIELD_MAPPING_PATH || DEFAULT_MAPPING_PATH) {
+  if (cached && cached.filePath === filePath) return cached.mapping;
+  if (!fs.existsSync(filePath)) throw new Error(`Field mapping not found at: ${filePath}`);
+
+  const mapping = fs.readJsonSync(filePath);
+  if (!mapping || typeof mapping.fields !== 'object') throw new Error(`Field mapping ${filePath} has no "fields" section`);
+  const defaultTransform = mapping.defaultTransform || ['text', 'trim'];
+  for (const [name, spec] of Object.entries(mapping.fields)) {
+    const chain = [].concat(spec.transform || defaultTransform);
+    for (const t of chain) {
+      if (!TRANSFORMS[t]) throw new Error(`Field mapping: unknown transform "${t}" on ${name}`);
+    }
+  }
+
+  cached = { filePath, mapping };
+  return mapping;
+}
+
+function transformValue(mapping, spec, value) {
+  const chain = [].concat(spec.transform || mapping.defaultTransform || ['text', 'trim']);
+  return chain.reduce((v, t) => TRANSFORMS[t](v), value);
+}
+
+// Build a lookup of normalized key -> original key, skipping the raw __row array
+function indexRecord(record) {
+  const index = {};
+  for (const k of Object.keys(record || {})) {
+    if (k === '__row') continue;
+    const nk = normalizeKey(k);
+    if (!(nk in index)) index[nk] = k;
+  }
+  return index;
+}
+
+function aliasesFor(spec) {
+  return (spec.parts ? [].concat(...spec.parts) : []).concat(spec.aliases || []);
+}
+
+/**
+ * Map a source record (sheet row object, JotForm answers, or an already-mapped fields object)
+ * to template fields. With { strict: true } throws when a required field matches nothing.
+ */
+function mapFields(record, { mapping = loadFieldMapping(), strict = false } = {}) {
+  if (strict) assertRequiredFields(Object.keys(record || {}), { mapping, columnCount: rawColumnCount(record) });
+
+  const index = indexRecord(record);
+  const rawRow = record && Array.isArray(record.__row) ? record.__row : null;
+
+  const pick = (spec, names) => {
+    for (const name of names) {
+      const key = index[normalizeKey(name)];
+      if (key === undefined) continue;
+      const v = transformValue(mapping, spec, record[key]);
+      if (v !== '') return v;
+    }
+    return '';
+  };
+
+  const out = {};
+  for (const [name, spec] of Object.entries(mapping.fields)) {
+    let value = '';
+    if (rawRow && Number.isInteger(spec.columnIndex)) {
+      const cell = rawRow[spec.columnIndex];
+      if (cell !== undefined && cell !== null) value = transformValue(mapping, spec, cell);
+    }
+    // an exact key (e.g. an already-mapped record) is authoritative, even when empty
+    if (!value && record && Object.prototype.hasOwnProperty.call(record, name)) {
+      out[name] = transformValue(mapping, spec, record[name]);
+      continue;
+    }
+    if (!value && spec.parts) {
+      value = spec.parts.map(aliases => pick(spec, aliases)).filter(Boolean).join(spec.join || ', ');
+    }
+    if (!value && spec.aliases) value = pick(spec, spec.aliases.concat(name));
+    out[name] = value;
+  }
+  return out;
+}
+
+function rawColumnCount(record) {
+  return record && Array.isArray(record.__row) ? record.__row.length : 0;
+}
+
+/**
+ * Required fields whose aliases match none of `keys` (sheet header or answer names).
+ */
+function findUnmatchedRequired(keys, { mapping = loadFieldMapping(), columnCount = 0 } = {}) {
+  const available = new Set((keys || []).filter(k => k !== '__row').map(normalizeKey));
+  const missing = [];
+  for (const [name, spec] of Object.entries(mapping.fields)) {
+    if (!spec.required) continue;
+    if (Number.isInteger(spec.columnIndex) && spec.columnIndex < columnCount) continue;
+    const names = aliasesFor(spec).concat(name);
+    if (!names.some(n => available.has(normalizeKey(n)))) missing.push(name);
+  }
+  return missing;
+}
+
+function assertRequiredFields(keys, options) {
+  const missing = findUnmatchedRequired(keys, options);
+  if (missing.length) {
+    throw new Error(`Field mapping: required field(s) ${missing.join(', ')} matched no column/answer ` +
+      `(available: ${(keys || []).filter(k => k !== '__row').join(', ') || 'none'}). Update field-mapping.json aliases.`);
+  }
+}
+
+/**
+ * Row values in the spreadsheet's header order (mapping.sheetColumns).
+ */
+function buildSheetRow(fields, { mapping = loadFieldMapping() } = {}) {
+  return (mapping.sheetColumns || []).map(col => fields[col.field] || '');
+}
+
+module.exports = {
+  loadFieldMapping,
+  mapFields,
+  findUnmatchedRequired,
+  assertRequiredFields,
+  buildSheetRow,
+  fieldToString,
+  normalizeKey
+};
@@ -0,0 +1,75 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * file-lock.js
+ *
+ * Cross-process lock files for the JSON stores in WORKSHEET_STATE_DIR, so the app, the poller and
+ * the webhook never overwrite each other's changes. A lock is created exclusively ('wx') and holds
+ * its owner's pid; one left by a process that has gone is taken over. An empty lock is one still
+ * being written (wx creates the file before the pid goes in) unless it has stayed empty for
+ * STALE_EMPTY_LOCK_MS.
+ */
+
+const STALE_EMPTY_LOCK_MS = 10 * 1000;
+const DEFAULT_WAIT_MS = 5000;
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+};
+
+// true when this process now holds lockFile, false when a live process does
+function tryLock(lockFile) {
+  fs.ensureDirSync(path.dirname(lockFile));
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    let holder = 0;
+    let age = 0;
+    try {
+      holder = Number(fs.readFileSync(lockFile, 'utf8').trim());
+      age = Date.now() - fs.statSync(lockFile).mtimeMs;
+    } catch (e) {}
+    if (holder ? isAlive(holder) : age < STALE_EMPTY_LOCK_MS) return false;
+    console.warn(`Removing stale lock ${lockFile} (pid ${holder || 'unknown'} is not running)`);
+    fs.removeSync(lockFile);
+  }
+  return false;
+}
+
+// release lockFile if this process holds it
+function unlock(lockFile) {
+  try {
+    if (fs.readFileSync(lockFile, 'utf8').trim() === String(process.pid)) fs.unlinkSync(lockFile);
+  } catch (e) {}
+}
+
+const pause = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Run task() holding lockFile, waiting up to waitMs for another process to let go of it. For short
+ * synchronous read-modify-write steps only: the wait blocks this process.
+ */
+function withFileLock(lockFile, task, { waitMs = DEFAULT_WAIT_MS } = {}) {
+  const deadline = Date.now() + waitMs;
+  while (!tryLock(lockFile)) {
+    if (Date.now() > deadline) throw new Error(`${lockFile} is held by another process`);
+    Atomics.wait(pause, 0, 0, 10);
+  }
+  try {
+    return task();
+  } finally {
+    unlock(lockFile);
+  }
+}
+
+module.exports = { tryLock, unlock, withFileLock };
@@ -1,77 +1,104 @@
-// Final authoritative generator — deterministic British D-M-YYYY filenames only.
+// Final authoritative generator — filenames and folders from OUTPUT_FILENAME_PATTERN (output-naming.js).
 // Includes lock-file protection to avoid concurrent runs.
 const fs = require('fs-extra');
 const path = require('path');
-const { google } = require('googleapis');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
+const ImageModule = require('docxtemplater-image-module-free');
 const minimist = require('minimist');
+const { createRowSource, readRows } = require('./row-sources');
+const { mapFields, assertRequiredFields } = require('./field-mapping');
+const { selectTemplate, stampTemplateInfo } = require('./template-registry');
+const { ledgerPath, loadLedger, saveLedger, rowIdentity, ledgerKeyFor, contentHash, classifyRow, recordGeneration } = require('./generation-ledger');
+const { formatDate, describeDateIssue } = require('./dates');
+const { parseVisitDate, normalizeJobNo } = require('./visit-rows');
+const { worksheetImages } = require('./attachments');
+const { materialsTemplateData } = require('./materials');
+const { runRetentionPolicy } = require('./retention');
+const { outputPathFor: namedOutputPath, availablePath, isCollisionVariant } = require('./output-naming');
 
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-const argv = minimist(process.argv.slice(2));
+// job numbers stay strings so leading zeros (--job 0123) survive
+const argv = minimist(process.argv.slice(2), { string: ['job', 'select', 'output'] });
 const SHEET_ID = process.env.GOOGLE_SHEET_ID;
 const CREDS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || path.join(__dirname, 'google-sheets-creds.json');
-const TEMPLATE_PATH = path.join(__dirname, 'templates', 'worksheet_template_10.docx');
 const OUTPUT_DIR = argv.output ? path.resolve(argv.output) : path.join(__dirname, 'output');
-const SHEET_RANGE = process.env.GOOGLE_SHEET_RANGE || 'Form Responses 1';
+const SHEET_RANGE = process.env.GOOGLE_SHEET_RANGE || process.env.SHEET_TAB || 'Form Responses 1';
+// --source file.csv / file.xlsx reads a local export instead of the Google Sheet
+const SOURCE = argv.source || process.env.ROW_SOURCE || '';
 
 const LAST_N = Number(argv.last || argv.lastN || argv.max || 0);
-const PRUNE_N = Number(argv.prune || 0);
+// --job <number>: only rows for this job (compared ignoring case and punctuation)
+const JOB_FILTER = argv.job ? String(argv.job) : '';
 const FORCE = !!argv.force;
 const DRY = !!argv.dry || !!argv['dry-run'];
 const DEBUG = !!argv.debug;
-const DAYS = Number(argv.days || argv['since-days'] || process.env.DEFAULT_DAYS || 7);
+// --days 0 means every row, so only a missing option falls back to DEFAULT_DAYS
+const DAYS_ARG = argv.days !== undefined ? argv.days : argv['since-days'];
+const DAYS = Number(DAYS_ARG !== undefined ? DAYS_ARG : (process.env.DEFAULT_DAYS || 7));
+
+const POLL = !!argv.poll;
+// --list: print/send every sheet row with its ledger status (read-only, used by the app's row browser)
+const LIST = !!argv.list;
+// --select <file.json>: generate exactly these row keys (as returned by --list), ignoring --days/--last
+const SELECT_PATH = argv.select ? path.resolve(String(argv.select)) : '';
+const POLL_INTERVAL_MS = Number(argv.interval || process.env.POLL_INTERVAL_MS || 60000);
+
+// Lock and generation ledger live in WORKSHEET_STATE_DIR (userData when spawned by the app) so the
+// one-off UI run and the background poller share the same lock.
+const STATE_DIR = process.env.WORKSHEET_STATE_DIR ? path.resolve(process.env.WORKSHEET_STATE_DIR) : __dirname;
+const LOCK_PATH = path.join(STATE_DIR, '.generator.lock');
+const LEDGER_PATH = ledgerPath(STATE_DIR);
 
 // Lock-file to prevent concurrent runs
-const LOCK_PATH = path.join(__dirname, '.generator.lock');
-if (fs.existsSync(LOCK_PATH)) {
-  console.error('Another generator run appears active (lock present). Exiting.');
-  process.exit(1);
+function isProcessAlive(pid) {
+  try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
 }
-try { fs.writeFileSync(LOCK_PATH, String(process.pid)); } catch (e) {}
-function removeLock() { try { if (fs.existsSync(LOCK_PATH)) fs.unlinkSync(LOCK_PATH); } catch (e) {} }
-process.on('exit', removeLock);
-process.on('SIGINT', () => process.exit(1));
-process.on('SIGTERM', () => process.exit(1));
-
-const FINAL_DATE_REGEX = /^\d{1,2}-\d{1,2}-\d{4}$/;
 
-function safeFilename(str) {
-  return String(str || '').replace(/[\/\\?%*:|"<>]/g, '-').trim();
+function acquireLock() {
+  if (fs.existsSync(LOCK_PATH)) {
+    let holder = 0;
+    try { holder = Number(fs.readFileSync(LOCK_PATH, 'utf8').trim()); } catch (e) {}
+    if (holder && holder !== process.pid && isProcessAlive(holder)) return false;
+    console.warn(`Removing stale generator lock (pid ${holder || 'unknown'} is not running).`);
+  }
+  try { fs.ensureDirSync(STATE_DIR); fs.writeFileSync(LOCK_PATH, String(process.pid)); } catch (e) {}
+  return true;
 }
 
-async function getRows() {
-  if (!SHEET_ID) throw new Error('Missing GOOGLE_SHEET_ID in .env!');
-  if (!CREDS_PATH) throw new Error('Missing GOOGLE_CREDENTIALS_PATH in .env!');
-  if (!fs.existsSync(CREDS_PATH)) throw new Error(`Credentials file not found at: ${CREDS_PATH}`);
-
-  const creds = require(path.resolve(CREDS_PATH));
-  const auth = new google.auth.GoogleAuth({
-    credentials: creds,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-  });
-  const sheets = google.sheets({ version: 'v4', auth });
+// Only remove the lock if this process holds it — in poll mode another run may own it between cycles.
+function removeLock() {
+  try {
+    if (fs.existsSync(LOCK_PATH) && fs.readFileSync(LOCK_PATH, 'utf8').trim() === String(process.pid)) fs.unlinkSync(LOCK_PATH);
+  } catch (e) {}
+}
+process.on('exit', removeLock);
 
-  console.log(`Using spreadsheetId=${SHEET_ID} range="${SHEET_RANGE}"`);
+if (!POLL && !LIST && !argv.stale && !argv['date-report']) {
+  if (!acquireLock()) {
+    console.error('Another generator run appears active (lock present). Exiting.');
+    process.exit(1);
+  }
+  process.on('SIGINT', () => process.exit(1));
+  process.on('SIGTERM', () => process.exit(1));
+}
 
-  const response = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: SHEET_RANGE,
-  });
+// Structured progress for the app's progress bar (no-op when run from a terminal or detached)
+function emitProgress(event) {
+  if (typeof process.send !== 'function' || !process.connected) return;
+  try { process.send(Object.assign({ type: 'progress' }, event)); } catch (e) {}
+}
 
-  const values = response.data.values || [];
-  const [header, ...rows] = values;
-  if (!header) return [];
+async function getRows() {
+  const source = createRowSource({ source: SOURCE, sheetId: SHEET_ID, range: SHEET_RANGE, credentialsPath: CREDS_PATH, sheetName: argv.sheet });
+  console.log(`Reading rows from ${source.describe()}`);
 
-  const mappedRows = rows.map(row =>
-    header.reduce((obj, key, i) => {
-      obj[key] = row[i] || '';
-      return obj;
-    }, { __row: row })
-  );
+  const mappedRows = await readRows(source);
 
   if (mappedRows.length) {
+    // fail loudly when the form/sheet wording drifted away from field-mapping.json
+    assertRequiredFields(Object.keys(mappedRows[0]));
     console.log('Sample mapped row (first):', mappedRows[0]);
     console.log('Mapped to template fields (sample):', mapSheetRowToTemplateFields(mappedRows[0]));
   }
@@ -79,211 +106,382 @@ async function getRows() {
   return mappedRows;
 }
 
+function dateIssueFor(row, fields, parsed) {
+  return {
+    row: row.__index || null,
+    name: fields.NAME || '',
+    job: fields.JOB_NO || '',
+    raw: parsed.raw,
+    issue: parsed.issue,
+    message: describeDateIssue(parsed.raw, parsed)
+  };
+}
+
+// Print the rows whose date needed a guess or couldn't be read, and pass them to the app
+function reportDateIssues(issues) {
+  if (!issues.length) return;
+  console.warn(`\nDate problems in ${issues.length} row(s) — check these in the sheet:`);
+  for (const i of issues) {
+    console.warn(`  row ${i.row || '?'} ${i.name || 'NONAME'} ${i.job || 'NOJOBNO'}: ${i.message}`);
+  }
+  emitProgress({ stage: 'dates', issues });
+}
+
 /**
- * Deterministic parser — numeric strings ARE ALWAYS day-first (DMY).
- * Recognises numeric DMY, ISO, and common textual month formats.
+ * Map sheet row to template fields — aliases, the SUPPLIER_O/SUPPLIER column-index fallbacks and
+ * transforms all live in field-mapping.json.
  */
-function parseDateDeterministic(s) {
-  if (!s) return { date: null, kind: null };
-  const str = String(s).trim();
-
-  // 1) numeric DMY (allow leading zeros)
-  let m = str.match(/^0*(\d{1,2})[\/\-\.\s]0*(\d{1,2})[\/\-\.\s](\d{2,4})$/);
-  if (m) {
-    const day = Number(m[1]), month = Number(m[2]), rawYear = Number(m[3]);
-    const year = rawYear < 100 ? 2000 + rawYear : rawYear;
-    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-      const d = new Date(year, month - 1, day);
-      if (d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day) return { date: d, kind: 'dmy' };
+function mapSheetRowToTemplateFields(row) {
+  return mapFields(row);
+}
+
+// Where this row's worksheet goes under OUTPUT_FILENAME_PATTERN (output-naming.js), before any collision suffix
+function outputPathFor(data) {
+  const parsed = parseVisitDate(data);
+  const outputFile = namedOutputPath(OUTPUT_DIR, data, parsed.date);
+  console.log(`[filename-debug] raw="${parsed.raw}" kind="${parsed.kind || ''}" parsed="${parsed.date ? parsed.date.toISOString() : ''}" output="${outputFile}"`);
+  return outputFile;
+}
+
+/**
+ * The path a row writes to: its own earlier file when that still fits the pattern, otherwise the
+ * pattern path — or "<name> (2).docx", ... when the ledger has already given that name to another
+ * row (two visits by one engineer to one job on the same day).
+ */
+function claimOutputPath(basePath, { key, ledger }) {
+  const entry = ledger && key ? ledger.entries[key] : null;
+  if (entry && entry.path && isCollisionVariant(entry.path, basePath)) return entry.path;
+  if (!ledger) return basePath;
+
+  const claimed = new Set();
+  for (const [otherKey, other] of Object.entries(ledger.entries)) {
+    if (otherKey !== key && other.path) claimed.add(path.resolve(other.path).toLowerCase());
+  }
+  const outputFile = availablePath(basePath, (candidate) => claimed.has(path.resolve(candidate).toLowerCase()));
+  if (outputFile !== basePath) console.log('Name already used by another row, writing:', outputFile);
+  return outputFile;
+}
+
+/**
+ * Renders one worksheet. With a ledger entry key the ledger decides: new and changed rows are
+ * (re)generated, unchanged and archived rows are skipped, and a file that predates the ledger is
+ * adopted as-is. --force regenerates regardless.
+ */
+function createDocx(data, { key = null, ledger = null } = {}) {
+  const template = selectTemplate(data);
+  if (!fs.existsSync(template.path)) throw new Error(`Template not found at: ${template.path}`);
+
+  const outputFile = claimOutputPath(outputPathFor(data), { key, ledger });
+  const hash = contentHash(data, template);
+  const tracked = !!(ledger && key);
+  const entry = tracked ? ledger.entries[key] : null;
+  const status = tracked ? classifyRow(ledger, key, hash) : (fs.existsSync(outputFile) ? 'unchanged' : 'new');
+
+  if (!FORCE) {
+    if (status === 'unchanged') {
+      console.log('Skipping unchanged row:', entry ? entry.path : outputFile);
+      return { skipped: true, status, path: entry ? entry.path : outputFile, template };
+    }
+    if (status === 'archived') {
+      console.log('Skipping archived row:', entry.path, 'in', entry.archivedTo);
+      return { skipped: true, status, path: entry.path, template };
+    }
+    if (status === 'new' && fs.existsSync(outputFile)) {
+      console.log('Skipping existing file:', outputFile);
+      if (tracked && !DRY) recordGeneration(ledger, key, { hash, path: outputFile, template, fields: data });
+      return { skipped: true, status: 'existing', path: outputFile, template };
     }
-    return { date: null, kind: null };
   }
 
-  // 2) ISO yyyy-mm-dd
-  m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if (m) {
-    const year = Number(m[1]), month = Number(m[2]), day = Number(m[3]);
-    const d = new Date(year, month - 1, day);
-    if (d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day) return { date: d, kind: 'iso' };
-    return { date: null, kind: null };
+  if (DRY) {
+    console.log(`[dry-run] would write (${status}):`, outputFile);
+    return { skipped: false, status, path: outputFile, dry: true, template };
   }
 
-  // 3) textual months e.g. "5 Jan 2026", "January 5 2026", "5th January 2026"
-  const monthNames = {
-    january:1, february:2, march:3, april:4, may:5, june:6,
-    july:7, august:8, september:9, october:10, november:11, december:12,
-    jan:1, feb:2, mar:3, apr:4, may:5, jun:6, jul:7, aug:8, sep:9, sept:9, oct:10, nov:11, dec:12
-  };
-  const cleaned = str.replace(/,/g,' ').replace(/\s+/g,' ').trim();
-  m = cleaned.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\s+(\d{4})$/i);
-  if (m) {
-    const day = Number(m[1]), month = monthNames[m[2].toLowerCase()], year = Number(m[3]);
-    if (month && day >=1 && day <=31) {
-      const d = new Date(year, month -1, day);
-      if (d.getFullYear() === year && d.getMonth() === month -1 && d.getDate() === day) return { date: d, kind: 'text' };
+  fs.ensureDirSync(path.dirname(outputFile));
+  const content = fs.readFileSync(template.path, 'binary');
+  const zip = new PizZip(content);
+  // sheet rows carry no photos; the module only keeps {%PHOTO}/{%SIGNATURE} placeholders parsing
+  const images = worksheetImages(null, template.images);
+  const doc = new Docxtemplater(zip, {
+    paragraphLoop: true,
+    linebreaks: true,
+    modules: [new ImageModule({ centered: false, getImage: images.getImage, getSize: images.getSize })]
+  });
+  doc.render(Object.assign({}, data, materialsTemplateData(data), images.data, { TEMPLATE_ID: template.id, TEMPLATE_VERSION: template.version }));
+  stampTemplateInfo(doc.getZip(), template);
+  const buf = doc.getZip().generate({ type: 'nodebuffer' });
+
+  fs.writeFileSync(outputFile, buf);
+  console.log(`Wrote (${status}, template ${template.id}@${template.version}):`, outputFile);
+
+  // a corrected date/name/job changes the filename — drop the superseded copy from the output folder
+  if (entry && entry.path && path.resolve(entry.path) !== path.resolve(outputFile) &&
+      !path.relative(OUTPUT_DIR, path.resolve(entry.path)).startsWith('..') && fs.existsSync(entry.path)) {
+    try { fs.unlinkSync(entry.path); console.log('Removed superseded worksheet:', entry.path); } catch (e) {
+      console.warn('Could not remove superseded worksheet', entry.path, e && e.message);
     }
   }
-  m = cleaned.match(/^([A-Za-z]{3,9})\s+(\d{1,2})(?:st|nd|rd|th)?\s+(\d{4})$/i);
-  if (m) {
-    const month = monthNames[m[1].toLowerCase()], day = Number(m[2]), year = Number(m[3]);
-    if (month && day >=1 && day <=31) {
-      const d = new Date(year, month -1, day);
-      if (d.getFullYear() === year && d.getMonth() === month -1 && d.getDate() === day) return { date: d, kind: 'text' };
+
+  if (tracked) recordGeneration(ledger, key, { hash, path: outputFile, template, fields: data });
+  return { skipped: false, status, path: outputFile, template };
+}
+
+/**
+ * --days: keep rows dated within the last DAYS days. Rows whose date can't be read can't be
+ * placed, so they are left out — but reported, together with ambiguous or swapped dates on rows
+ * that are (or by the other reading would be) inside the window.
+ */
+function filterRowsByDays(rows) {
+  const cutoff = DAYS > 0 ? Date.now() - (DAYS * 24 * 60 * 60 * 1000) : -Infinity;
+  const inWindow = (d) => !!d && d.getTime() >= cutoff;
+  const kept = [];
+  const issues = [];
+  for (const r of rows) {
+    const mapped = mapSheetRowToTemplateFields(r);
+    const parsed = parseVisitDate(mapped);
+    const keep = inWindow(parsed.date);
+    if (DEBUG) {
+      console.log('--- row debug ---');
+      console.log('raw DATE field:', parsed.raw);
+      console.log('parsed kind/date:', parsed.kind, parsed.date ? parsed.date.toISOString() : '', parsed.issue || '');
+      console.log('kept (within last', DAYS, 'days)?', keep);
     }
+    if (keep) kept.push(r);
+    if (parsed.issue && (!parsed.date || keep || inWindow(parsed.alternative))) issues.push(dateIssueFor(r, mapped, parsed));
   }
-
-  return { date: null, kind: null };
+  if (DAYS > 0) console.log(`After --days ${DAYS} filter: ${kept.length} rows`);
+  reportDateIssues(issues);
+  return kept;
 }
 
-function formatDateForFilename(date) {
-  if (!date || !(date instanceof Date) || Number.isNaN(date.getTime())) return '';
-  return `${String(date.getDate())}-${String(date.getMonth() + 1)}-${String(date.getFullYear())}`;
+async function readSelectedRows() {
+  let rows = await getRows();
+  emitProgress({ stage: 'read', total: rows.length });
+  if (!rows.length) { console.log('No rows in sheet!'); return []; }
+  console.log(`Total rows read from sheet: ${rows.length}`);
+
+  const readCount = rows.length;
+  if (SELECT_PATH) {
+    const keys = new Set(fs.readJsonSync(SELECT_PATH));
+    rows = rows.filter(r => keys.has(rowIdentity(r, mapSheetRowToTemplateFields(r))));
+    console.log(`Selected rows: ${rows.length} of ${keys.size} requested`);
+  } else {
+    rows = filterRowsByDays(rows);
+    if (LAST_N > 0) rows = rows.slice(-LAST_N);
+    if (JOB_FILTER) {
+      rows = rows.filter(r => normalizeJobNo(mapSheetRowToTemplateFields(r).JOB_NO) === normalizeJobNo(JOB_FILTER));
+      console.log(`Rows matched job filter="${JOB_FILTER}": ${rows.length}`);
+    }
+  }
+  emitProgress({ stage: 'filtered', total: readCount, kept: rows.length });
+  return rows;
 }
 
-function normalizeRawDateForFilename(raw) {
-  if (!raw) return null;
-  const s = String(raw).trim();
-  const parts = s.match(/^0*(\d{1,2})[\/\-\.\s]0*(\d{1,2})[\/\-\.\s](\d{2,4})$/);
-  if (!parts) return null;
-  let day = Number(parts[1]), month = Number(parts[2]), rawYear = Number(parts[3]);
-  const year = rawYear < 100 ? 2000 + rawYear : rawYear;
-  const d = new Date(year, month - 1, day);
-  if (d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day) return `${day}-${month}-${year}`;
-  return null;
+/**
+ * Reads the sheet, applies the --days / --last / --job filters and generates a worksheet per row that is
+ * new or has changed since the ledger last saw it. A failing row is reported and the run carries on.
+ */
+async function runOnce({ shouldStop = () => false } = {}) {
+  const rows = await readSelectedRows();
+  const ledger = loadLedger(LEDGER_PATH);
+  const summary = { generated: 0, skipped: 0, failed: 0, cancelled: false };
+
+  for (const [i, row] of rows.entries()) {
+    // rendering is synchronous — yield so a cancel message / SIGTERM can be handled between rows
+    await new Promise(resolve => setImmediate(resolve));
+    if (shouldStop()) {
+      console.log('Stop requested — leaving remaining rows for the next run.');
+      summary.cancelled = true;
+      break;
+    }
+    const tplData = mapSheetRowToTemplateFields(row);
+    const info = { index: i + 1, total: rows.length, name: tplData.NAME, job: tplData.JOB_NO, date: tplData.DATE };
+    try {
+      const out = createDocx(tplData, { key: ledgerKeyFor(ledger, row, tplData), ledger });
+      if (out.skipped) summary.skipped++; else summary.generated++;
+      emitProgress(Object.assign({ stage: 'row', status: out.skipped ? 'skipped' : 'generated', detail: out.status, path: out.path }, info));
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      summary.failed++;
+      console.error(`Row ${i + 1} (${tplData.NAME || 'NONAME'} ${tplData.JOB_NO || 'NOJOBNO'}) failed:`, message);
+      emitProgress(Object.assign({ stage: 'row', status: 'failed', error: message }, info));
+    }
+    if (!DRY) saveLedger(LEDGER_PATH, ledger);
+  }
+
+  emitProgress(Object.assign({ stage: 'done' }, summary));
+  return summary;
 }
 
 /**
- * Map sheet row to template fields (keeps supplier O and S handling)
+ * --list: every sheet row (no --days filter) with the fields the row browser shows, its ledger key
+ * and whether its worksheet is new/changed/archived/missing/unchanged.
  */
-function mapSheetRowToTemplateFields(row) {
-  const normalize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-  const normRow = {};
-  for (const k of Object.keys(row || {})) { if (k === '__row') continue; normRow[normalize(k)] = row[k]; }
-
-  const pick = (...names) => { for (const name of names) { const v = normRow[normalize(name)]; if (v !== undefined && v !== null && String(v).trim() !== '') return String(v).trim(); } return ''; };
-  const pickByIndex = (idx) => { const arr = row && row.__row ? row.__row : []; if (!Array.isArray(arr)) return ''; const v = arr[idx]; return (v !== undefined && v !== null && String(v).trim() !== '') ? String(v).trim() : ''; };
-
-  const addrParts = [
-    pick('Address - Street Address', 'Address - Street Address', 'street address', 'address'),
-    pick('Address - Street Address Line 2', 'Address - Street Address Line 2', 'street address line 2', 'address line 2'),
-    pick('Address - City', 'Address - City', 'city'),
-    pick('Address - State / Province', 'Address - State / Province', 'state', 'province'),
-    pick('Address - Postal / Zip Code', 'Address - Postal / Zip Code', 'postal', 'zip', 'postcode')
-  ].filter(Boolean);
-  const ADDRESS = addrParts.join(', ');
-  const supplierFromO = pickByIndex(14);
-  const supplierFromS = pickByIndex(18);
+async function listRows() {
+  const rows = await getRows();
+  const ledger = loadLedger(LEDGER_PATH);
+  const listed = rows.map(row => {
+    const fields = mapSheetRowToTemplateFields(row);
+    const key = ledgerKeyFor(ledger, row, fields);
+    const parsed = parseVisitDate(fields);
+    return {
+      key,
+      row: row.__index || null,
+      date: fields.DATE,
+      isoDate: formatDate(parsed.date, 'YYYY-MM-DD'),
+      dateIssue: parsed.issue ? describeDateIssue(parsed.raw, parsed) : '',
+      name: fields.NAME,
+      job: fields.JOB_NO,
+      customer: fields.CUSTOMER,
+      address: fields.ADDRESS,
+      status: classifyRow(ledger, key, contentHash(fields, selectTemplate(fields)))
+    };
+  });
 
-  return {
-    NAME: pick('Name','Full Name','full name','name'),
-    DATE: pick('Date','DATE','_created_at','date'),
-    JOB_NO: pick('Job Number','JOB NUMBER','Job No','job number','job_no'),
-    CUSTOMER: pick('Customer','Customer Name','CLIENT','client'),
-    ADDRESS,
-    WORKS_CARRIED_OUT: pick('Works carried out','WORKS CARRIED OUT','works carried out','works'),
-    HOURS: pick('Hours','HOURS','hour'),
-    WORK_STILL_TO_DO: pick('Work Still to do/Need to go back','WORK STILL TO DO/NEED TO GO BACK','Work Still to do','works still to do','to go back'),
-    WORKED_WITH: pick('Worked with','WORKED WITH','worked with'),
-    CERTIFICATE_SHARED: pick('Certificate Shared','CERTIFICATE_SHARED','certificate shared'),
-    MATERIALS: pick('Materials','MATERIALS'),
-    SUPPLIER_O: supplierFromO || pick('First Supplier','Supplier O','Supplier (1)','supplier1','supplier'),
-    EXTRAS: pick('VARIATIONS - Extras (works outside scope of works / specification of job)','VARIATIONS - Extras','Extras','EXTRAS','variations','works outside scope'),
-    HOURS_EXTRA: pick('Hours Extra','HOURS EXTRA','Hours Extra','hours extra'),
-    EXTRA_MATERIALS: pick('Extra Matierials','Extra Materials','EXTRA MATERIALS','Extra Materials','Extra Matierials'),
-    SUPPLIER: supplierFromS || pick('Supplier','SUPPLIER','Supplier for Extras','Supplier for extras','supplier for extras')
-  };
+  if (typeof process.send === 'function' && process.connected) process.send({ type: 'rows', rows: listed });
+  else console.log(JSON.stringify(listed, null, 2));
+  return listed;
 }
 
-function createDocx(data) {
-  if (!fs.existsSync(TEMPLATE_PATH)) throw new Error(`Template not found at: ${TEMPLATE_PATH}`);
-  fs.ensureDirSync(OUTPUT_DIR);
-  const content = fs.readFileSync(TEMPLATE_PATH, 'binary');
-  const zip = new PizZip(content);
-  const doc = new Docxtemplater(zip, { paragraphLoop: true, linebreaks: true });
-  doc.render(data);
-
-  const rawDateStr = data.DATE || '';
-  const parsed = parseDateDeterministic(rawDateStr);
-  const parsedDate = parsed.date;
-  const parsedKind = parsed.kind;
-
-  let formattedDate = null;
-  if (parsedDate) formattedDate = formatDateForFilename(parsedDate);
-  if (!formattedDate) {
-    const normalized = normalizeRawDateForFilename(rawDateStr);
-    if (normalized) formattedDate = normalized;
+/**
+ * --date-report: every row in the sheet (no --days window) whose date is ambiguous, swapped,
+ * missing or unreadable.
+ */
+async function reportDates() {
+  const rows = await getRows();
+  const issues = [];
+  for (const row of rows) {
+    const fields = mapSheetRowToTemplateFields(row);
+    const parsed = parseVisitDate(fields);
+    if (parsed.issue) issues.push(dateIssueFor(row, fields, parsed));
   }
-  const safeDate = formattedDate || 'nodate';
+  if (!issues.length) console.log(`All ${rows.length} row dates read cleanly.`);
+  reportDateIssues(issues);
+  return issues;
+}
 
-  if (safeDate !== 'nodate' && !FINAL_DATE_REGEX.test(safeDate)) {
-    console.error('FATAL: computed filename date does not match D-M-YYYY:', safeDate);
-    console.error(`[filename-debug] raw="${rawDateStr}" kind="${parsedKind}" parsed="${parsedDate ? parsedDate.toISOString() : ''}" formatted="${formattedDate || ''}"`);
-    throw new Error('Invalid filename date format - aborting');
+/**
+ * --stale: compare the selected rows with the ledger without writing anything.
+ */
+async function reportStale() {
+  const rows = await readSelectedRows();
+  const ledger = loadLedger(LEDGER_PATH);
+  const groups = { new: [], changed: [], missing: [] };
+
+  for (const row of rows) {
+    const fields = mapSheetRowToTemplateFields(row);
+    const key = ledgerKeyFor(ledger, row, fields);
+    const status = classifyRow(ledger, key, contentHash(fields, selectTemplate(fields)));
+    if (groups[status]) groups[status].push({ key, fields, entry: ledger.entries[key] });
   }
 
-  const safeName = safeFilename(data.NAME || 'NONAME');
-  const safeJobNumber = safeFilename(data.JOB_NO || 'NOJOBNO');
-  const outputFile = path.join(OUTPUT_DIR, `${safeDate}-${safeName}-${safeJobNumber}.docx`);
-  const buf = doc.getZip().generate({ type: 'nodebuffer' });
+  const describe = ({ fields, entry }) => `${fields.DATE || 'nodate'} ${fields.NAME || 'NONAME'} ${fields.JOB_NO || 'NOJOBNO'}${entry ? ` -> ${entry.path}` : ''}`;
+  console.log(`\nStale worksheets (row changed since generation): ${groups.changed.length}`);
+  groups.changed.forEach(g => console.log('  ' + describe(g)));
+  console.log(`Missing worksheets (generated but file gone): ${groups.missing.length}`);
+  groups.missing.forEach(g => console.log('  ' + describe(g)));
+  console.log(`Not yet generated: ${groups.new.length}`);
+  groups.new.forEach(g => console.log('  ' + describe(g)));
+  return groups;
+}
 
-  console.log(`[filename-debug] raw="${rawDateStr}" kind="${parsedKind || ''}" parsed="${parsedDate ? parsedDate.toISOString() : ''}" formatted="${formattedDate || ''}" final="${safeDate}" output="${outputFile}"`);
+// Cycle results for the app's poller supervisor (poller-supervisor.js); no-op from a terminal
+function emitPoll(event) {
+  if (typeof process.send !== 'function' || !process.connected) return;
+  try { process.send(Object.assign({ type: 'poll', at: new Date().toISOString() }, event)); } catch (e) {}
+}
 
-  if (fs.existsSync(outputFile) && !FORCE) {
-    console.log('Skipping existing file:', outputFile);
-    return { skipped: true, path: outputFile };
+/**
+ * --poll: re-read the sheet every POLL_INTERVAL_MS. The lock is only held while a cycle runs, so a
+ * manual run from the app can still go ahead between cycles (and a cycle is skipped while it does).
+ * Under the app's supervisor it stops on a { type: 'stop' } message or when the app goes away.
+ */
+function startPolling() {
+  let stopping = false;
+  let running = false;
+  let timer = null;
+
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    console.log('[poll] stop requested');
+    if (timer) clearTimeout(timer);
+    if (!running) process.exit(0);
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+  if (process.channel) {
+    process.on('message', (msg) => { if (msg && msg.type === 'stop') stop(); });
+    process.on('disconnect', stop);
   }
 
-  if (DRY) {
-    console.log('[dry-run] would write:', outputFile);
-    return { skipped: false, path: outputFile, dry: true };
-  }
+  const cycle = async () => {
+    timer = null;
+    if (stopping) return;
+    if (!acquireLock()) {
+      console.log('[poll] another generator run is active — skipping this cycle');
+      emitPoll({ event: 'skipped' });
+    } else {
+      running = true;
+      emitPoll({ event: 'start' });
+      try {
+        const summary = await runOnce({ shouldStop: () => stopping });
+        console.log(`[poll] cycle complete: ${summary.generated} generated, ${summary.skipped} skipped, ${summary.failed} failed`);
+        emitPoll({ event: 'complete', summary: { generated: summary.generated, skipped: summary.skipped, failed: summary.failed } });
+        if (summary.generated) await runRetentionPolicy(OUTPUT_DIR, { stateDir: STATE_DIR });
+      } catch (err) {
+        console.error('[poll] cycle failed:', err && err.message ? err.message : err);
+        emitPoll({ event: 'failed', error: err && err.message ? err.message : String(err) });
+      } finally {
+        removeLock();
+        running = false;
+      }
+    }
+    if (stopping) process.exit(0);
+    timer = setTimeout(cycle, POLL_INTERVAL_MS);
+  };
 
-  fs.writeFileSync(outputFile, buf);
-  return { skipped: false, path: outputFile };
+  console.log(`[poll] polling sheet every ${POLL_INTERVAL_MS} ms (output: ${OUTPUT_DIR})`);
+  cycle();
 }
 
-(async () => {
-  try {
-    let rows = await getRows();
-    if (!rows.length) { console.log('No rows in sheet!'); return; }
-    console.log(`Total rows read from sheet: ${rows.length}`);
-
-    if (DAYS > 0) {
-      const now = Date.now();
-      const cutoff = now - (DAYS * 24 * 60 * 60 * 1000);
-      const kept = [];
-      for (const r of rows) {
-        const mapped = mapSheetRowToTemplateFields(r);
-        const dateStr = mapped.DATE || r['Date'] || r['_created_at'] || '';
-        const parsed = parseDateDeterministic(dateStr);
-        const chosenDate = parsed.date;
-        const keep = chosenDate && chosenDate.getTime() >= cutoff;
-        if (DEBUG) {
-          console.log('--- row debug ---');
-          console.log('raw DATE field:', dateStr);
-          console.log('parsed kind/date:', parsed.kind, parsed.date ? parsed.date.toISOString() : '');
-          console.log('kept (within last', DAYS, 'days)?', keep);
-        }
-        if (keep) kept.push(r);
+if (POLL) {
+  startPolling();
+} else {
+  // the app asks for a cancel over IPC; stop after the current row so the ledger and lock stay consistent
+  let cancelRequested = false;
+  if (process.channel) {
+    process.channel.unref();
+    process.on('message', (msg) => {
+      if (msg && msg.type === 'cancel') {
+        console.log('Cancel requested by the app.');
+        cancelRequested = true;
       }
-      rows = kept;
-      console.log(`After --days ${DAYS} filter: ${rows.length} rows`);
-    }
-
-    if (LAST_N > 0) rows = rows.slice(-LAST_N);
+    });
+  }
 
-    let generatedCount = 0;
-    for (const [i, row] of rows.entries()) {
-      const tplData = mapSheetRowToTemplateFields(row);
-      const out = createDocx(tplData);
-      if (out && !out.skipped) generatedCount++;
+  (async () => {
+    try {
+      if (LIST) { await listRows(); return; }
+      if (argv.stale) { await reportStale(); return; }
+      if (argv['date-report']) { await reportDates(); return; }
+      const summary = await runOnce({ shouldStop: () => cancelRequested });
+      if (summary.cancelled) console.log(`\nCancelled. Worksheets generated before cancelling: ${summary.generated}`);
+      else console.log(`\nSuccess! Total worksheets generated: ${summary.generated}`);
+      if (summary.failed) {
+        console.error(`${summary.failed} row(s) failed — see messages above.`);
+        process.exitCode = 1;
+      }
+      // retention policy (RETENTION_MONTHS) after every run; a dry run only previews it
+      if (!summary.cancelled) await runRetentionPolicy(OUTPUT_DIR, { stateDir: STATE_DIR, dry: DRY });
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error('\nFailed:', message);
+      emitProgress({ stage: 'failed', error: message });
+      process.exit(1);
+    } finally {
+      removeLock();
     }
-
-    console.log(`\nSuccess! Total worksheets generated: ${generatedCount}`);
-  } catch (err) {
-    console.error('\nFailed:', err && err.message ? err.message : err);
-    process.exit(1);
-  } finally {
-    removeLock();
-  }
-})();
\ No newline at end of file
+  })();
+}
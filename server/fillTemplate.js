@@ -3,82 +3,79 @@ const fs = require('fs-extra');
 const path = require('path');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
+const ImageModule = require('docxtemplater-image-module-free');
+const { mapFields } = require('./field-mapping');
+const { selectTemplate, stampTemplateInfo } = require('./template-registry');
+const { formatDisplayDate } = require('./dates');
+const { worksheetImages } = require('./attachments');
+const { materialsTemplateData } = require('./materials');
+const { parseVisitDate } = require('./visit-rows');
+const { outputPathFor, availablePath } = require('./output-naming');
 
 /**
  * fillTemplate.js
  *
- * Exports an async function(main) that accepts a `mapped` object (from poller).
+ * Exports an async function(main) that accepts a `mapped` object (from poller) and optionally
+ * { attachments: { photos, signature } } — image paths placed at the template's {%PHOTO} (inside
+ * {#PHOTOS}) and {%SIGNATURE} placeholders, each scaled to fit (see attachments.js).
  * If run directly (CLI), it reads JSON from stdin and invokes main(mapped).
  *
  * Behavior:
- * - Uses server/templates/worksheet_template_10.docx as the template.
- * - Produces server/output/worksheet_<JOB_NO>_<DATE>.docx
+ * - Picks the template from templates/registry.json (default worksheet_template_12.docx).
+ * - Field names/aliases come from field-mapping.json; a required field with no match is an error.
+ * - MATERIALS / EXTRA_MATERIALS are also itemised into the MATERIAL_ITEMS / EXTRA_MATERIAL_ITEMS
+ *   table loops (materials.js).
+ * - Writes to server/output under OUTPUT_FILENAME_PATTERN (output-naming.js, same names as
+ *   fillFromSheet.js); an existing file is never overwritten, the new one gets " (2)", ...
  * - Does NOT run on require(), only when called.
  */
 
-const TEMPLATE_NAME = 'worksheet_template_10.docx';
-const TEMPLATE_PATH = path.join(__dirname, 'templates', TEMPLATE_NAME);
 const OUTPUT_DIR = path.join(__dirname, 'output');
 
-async function main(mapped = {}) {
+async function main(mapped = {}, { attachments = null } = {}) {
   try {
-    // Ensure template exists
-    if (!fs.existsSync(TEMPLATE_PATH)) {
-      throw new Error(`Template not found: ${TEMPLATE_PATH}`);
-    }
-
-    // Provide sensible defaults and map incoming keys (case-insensitive common keys)
-    const get = (keys, fallback = '') => {
-      for (const k of keys) {
-        if (mapped[k] !== undefined && mapped[k] !== null && String(mapped[k]).length) return mapped[k];
-        const low = k.toLowerCase();
-        const up = k.toUpperCase();
-        if (mapped[low] !== undefined && mapped[low] !== null && String(mapped[low]).length) return mapped[low];
-        if (mapped[up] !== undefined && mapped[up] !== null && String(mapped[up]).length) return mapped[up];
-      }
-      return fallback;
-    };
+    // Map incoming keys through field-mapping.json (accepts raw answers or already-mapped fields)
+    const fields = mapFields(mapped, { strict: true });
 
     // Compose the data object used by the docxtemplater template
-    const data = {
-      NAME: String(get(['NAME', 'name', 'Full Name', 'FullName'], 'No name provided')),
-      DATE: String(get(['DATE', 'date', '_created_at'], new Date().toISOString().slice(0, 10))),
-      JOB_NO: String(get(['JOB_NO', 'job_no', 'Job No', 'jobNo', 'JOBNO'], 'unknown')),
-      CUSTOMER: String(get(['CUSTOMER', 'customer', 'Client'], '')),
-      ADDRESS: String(get(['ADDRESS', 'address'], '')),
-      WORKS_CARRIED_OUT: String(get(['WORKS_CARRIED_OUT', 'works', 'works_carried_out'], '')),
-      HOURS: String(get(['HOURS', 'hours'], '')),
-      WORK_STILL_TO_DO: String(get(['WORK_STILL_TO_DO', 'to_do', 'work_still_to_do'], '')),
-      WORKED_WITH: String(get(['WORKED_WITH', 'worked_with'], '')),
-      CERTIFICATE_SHARED: String(get(['CERTIFICATE_SHARED', 'certificate_shared'], '')),
-      MATERIALS: String(get(['MATERIALS', 'materials'], '')),
-      EXTRAS: String(get(['EXTRAS', 'extras'], '')),
-      HOURS_EXTRA: String(get(['HOURS_EXTRA', 'hours_extra'], '')),
-      EXTRA_MATERIALS: String(get(['EXTRA_MATERIALS', 'extra_materials'], '')),
-      SUPPLIER: String(get(['SUPPLIER', 'supplier'], '')),
+    const data = Object.assign({}, fields, materialsTemplateData(fields), {
+      NAME: fields.NAME || 'No name provided',
+      DATE: fields.DATE || formatDisplayDate(new Date()),
+      JOB_NO: fields.JOB_NO || 'unknown',
       _raw_mapped: mapped
-    };
+    });
+
+    // Choose the template for this job and ensure it exists
+    const template = selectTemplate(data);
+    if (!fs.existsSync(template.path)) {
+      throw new Error(`Template not found: ${template.path}`);
+    }
+    data.TEMPLATE_ID = template.id;
+    data.TEMPLATE_VERSION = template.version;
+
+    // Photos and signature (if any) for the image placeholders
+    const images = worksheetImages(attachments, template.images);
+    Object.assign(data, images.data);
 
     // Read template and render
-    const content = fs.readFileSync(TEMPLATE_PATH, 'binary');
+    const content = fs.readFileSync(template.path, 'binary');
     const zip = new PizZip(content);
     const doc = new Docxtemplater(zip, {
       paragraphLoop: true,
       linebreaks: true,
+      modules: [new ImageModule({ centered: false, getImage: images.getImage, getSize: images.getSize })]
     });
 
     doc.render(data);
+    stampTemplateInfo(doc.getZip(), template);
 
-    // Ensure output folder exists
-    fs.ensureDirSync(OUTPUT_DIR);
-
-    // Create output file — sanitize filename parts
-    const safe = (s = '') => String(s).replace(/[\/\\:?<>|"]/g, '-').replace(/\s+/g, '_');
-    const outputFile = path.join(OUTPUT_DIR, `worksheet_${safe(data.JOB_NO)}_${safe(data.DATE)}.docx`);
+    // Output file from the naming pattern; a second visit with the same name gets a suffix
+    const outputFile = availablePath(outputPathFor(OUTPUT_DIR, data, parseVisitDate(data).date));
+    fs.ensureDirSync(path.dirname(outputFile));
     const buf = doc.getZip().generate({ type: 'nodebuffer' });
 
     fs.writeFileSync(outputFile, buf);
-    console.log('Generated:', outputFile);
+    console.log('Generated:', outputFile, `(template ${template.id}@${template.version})`);
 
     return outputFile;
   } catch (err) {
@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * generation-ledger.js
+ *
+ * Persistent record of every worksheet the generator has written, keyed by a stable row identity:
+ *
+ *   { "version": 1, "entries": { "<rowKey>": { hash, path, template, job, name, date, generatedAt, archivedTo? } } }
+ *
+ * The hash covers the mapped template fields plus the template id/version, so the generator can
+ * tell new rows from corrected ones (new hours, fixed address, new template) and unchanged ones.
+ * Lives in WORKSHEET_STATE_DIR (userData when run from the app).
+ */
+
+const LEDGER_FILE = 'generation-ledger.json';
+
+function ledgerPath(stateDir) {
+  return path.join(stateDir, LEDGER_FILE);
+}
+
+function loadLedger(filePath) {
+  try {
+    const data = fs.readJsonSync(filePath);
+    if (data && typeof data.entries === 'object') return data;
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn('Could not read generation ledger', filePath, e && e.message);
+  }
+  return { version: 1, entries: {} };
+}
+
+// write-then-rename so a crash mid-write never leaves a truncated ledger behind
+function saveLedger(filePath, ledger) {
+  fs.ensureDirSync(path.dirname(filePath));
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeJsonSync(tmp, ledger, { spaces: 2 });
+  fs.renameSync(tmp, filePath);
+}
+
+const norm = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Stable identity for a sheet row: the submission timestamp plus the sheet row number, both of
+ * which a row keeps when someone corrects it (a corrected name, job or hours shows up as a changed
+ * content hash instead). Timestamps only go down to the second, so the row number tells apart two
+ * submissions made in the same second.
+ */
+function rowIdentity(row, fields) {
+  if (fields && fields.TIMESTAMP) return `ts:${norm(fields.TIMESTAMP)}${row && row.__index ? `#${row.__index}` : ''}`;
+  if (row && row.__index) return `row:${row.__index}`;
+  return `fields:${norm(fields && fields.DATE)}|${norm(fields && fields.NAME)}|${norm(fields && fields.JOB_NO)}`;
+}
+
+/**
+ * rowIdentity() for a row about to be checked against `ledger`. Ledgers written before the row
+ * number was part of the key hold the row under "ts:<timestamp>" or "ts:<timestamp>|<name>"; the
+ * row takes over such an entry for its job (the same name first), so it isn't generated again.
+ */
+function ledgerKeyFor(ledger, row, fields) {
+  const key = rowIdentity(row, fields);
+  if (ledger.entries[key] || !(fields && fields.TIMESTAMP)) return key;
+
+  const ts = `ts:${norm(fields.TIMESTAMP)}`;
+  const legacy = Object.keys(ledger.entries)
+    .filter(k => k === ts || k.startsWith(`${ts}|`))
+    .filter(k => norm(ledger.entries[k].job) === norm(fields.JOB_NO));
+  const adopt = legacy.find(k => norm(ledger.entries[k].name) === norm(fields.NAME)) || legacy[0];
+  if (adopt) {
+    ledger.entries[key] = ledger.entries[adopt];
+    delete ledger.entries[adopt];
+  }
+  return key;
+}
+
+function contentHash(fields, template) {
+  const keys = Object.keys(fields || {}).sort();
+  const payload = keys.map(k => [k, String(fields[k] === undefined ? '' : fields[k])]);
+  payload.push(['__template', template ? `${template.id}@${template.version}` : '']);
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * 'new' (never generated), 'changed' (row or template differs), 'archived' (same content, the
+ * file was moved into a retention zip), 'missing' (same content but the file is gone) or
+ * 'unchanged'.
+ */
+function classifyRow(ledger, key, hash) {
+  const entry = ledger.entries[key];
+  if (!entry) return 'new';
+  if (entry.hash !== hash) return 'changed';
+  if (!entry.path || !fs.existsSync(entry.path)) return entry.archivedTo ? 'archived' : 'missing';
+  return 'unchanged';
+}
+
+function recordGeneration(ledger, key, { hash, path: outputPath, template, fields }) {
+  ledger.entries[key] = {
+    hash,
+    path: outputPath,
+    template: template ? `${template.id}@${template.version}` : '',
+    job: (fields && fields.JOB_NO) || '',
+    name: (fields && fields.NAME) || '',
+    date: (fields && fields.DATE) || '',
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// retention.js moved the worksheet at `outputPath` into `zipPath`
+function markArchived(ledger, outputPath, zipPath) {
+  const resolved = path.resolve(outputPath);
+  for (const entry of Object.values(ledger.entries)) {
+    if (entry.path && path.resolve(entry.path) === resolved) entry.archivedTo = zipPath;
+  }
+}
+
+module.exports = {
+  ledgerPath,
+  loadLedger,
+  saveLedger,
+  rowIdentity,
+  ledgerKeyFor,
+  contentHash,
+  classifyRow,
+  recordGeneration,
+  markArchived
+};
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * google-credentials.js
+ *
+ * The service-account key for the Sheets API. Inside the app the key is kept encrypted in userData
+ * (credential-vault.js) and handed to each worker in GOOGLE_CREDENTIALS_JSON, so it is never
+ * written out in plaintext; run from a terminal, the scripts read the key file at
+ * GOOGLE_CREDENTIALS_PATH as before.
+ */
+function loadGoogleCredentials(credentialsPath) {
+  if (process.env.GOOGLE_CREDENTIALS_JSON) {
+    try {
+      return JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
+    } catch (e) {
+      throw new Error('GOOGLE_CREDENTIALS_JSON is not valid JSON - import the key again in Settings.');
+    }
+  }
+  if (!credentialsPath) throw new Error('Missing GOOGLE_CREDENTIALS_PATH in .env!');
+  if (!fs.existsSync(credentialsPath)) throw new Error(`Credentials file not found at: ${credentialsPath}`);
+  return JSON.parse(fs.readFileSync(path.resolve(credentialsPath), 'utf8'));
+}
+
+module.exports = { loadGoogleCredentials };
@@ -0,0 +1,93 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * jotform-client.js
+ *
+ * The two JotForm API calls the poller and webhook make, against either:
+ *   - the live API (or any stand-in): JOTFORM_API_HOST is a host ("api.jotform.com", https assumed)
+ *     or a full base URL ("http://localhost:4010" for jotform-fixture-server.js)
+ *   - a fixtures directory read straight from disk: JOTFORM_FIXTURES_DIR or --fixtures <dir>
+ *
+ * A fixture file holds one submission as the API returns it ({ id, form_id, created_at, answers }),
+ * an array of them, or a recorded API response ({ content: ... }). See fixtures/jotform/.
+ */
+
+const DEFAULT_HOST = 'api.jotform.com';
+
+function apiBaseUrl(host = DEFAULT_HOST) {
+  const trimmed = String(host || DEFAULT_HOST).trim().replace(/\/+$/, '');
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+// Every submission in a fixtures directory, newest first (the API's order for orderby=created_at)
+function loadFixtureSubmissions(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`JotForm fixtures directory not found: ${dir}`);
+  const submissions = [];
+  for (const name of fs.readdirSync(dir).filter(n => n.toLowerCase().endsWith('.json')).sort()) {
+    let data = fs.readJsonSync(path.join(dir, name));
+    if (data && data.content !== undefined) data = data.content;
+    for (const s of Array.isArray(data) ? data : [data]) {
+      if (s && (s.id || s.submission_id)) submissions.push(s);
+    }
+  }
+  return submissions.sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+}
+
+function fixturesClient(dir) {
+  return {
+    describe: () => `fixtures in ${dir}`,
+
+    async listSubmissions(formId, { offset = 0, limit = 100 } = {}) {
+      return loadFixtureSubmissions(dir)
+        .filter(s => !formId || !s.form_id || String(s.form_id) === String(formId))
+        .slice(offset, offset + limit);
+    },
+
+    async fetchSubmission(submissionId) {
+      const found = loadFixtureSubmissions(dir).find(s => String(s.id || s.submission_id) === String(submissionId));
+      if (!found) throw new Error(`No fixture for submission ${submissionId}`);
+      return found;
+    }
+  };
+}
+
+function apiClient(apiKey, host) {
+  const base = apiBaseUrl(host);
+  const get = async (urlPath, params) => {
+    const resp = await axios.get(`${base}${urlPath}`, { params: Object.assign({ apiKey }, params), timeout: 10000 });
+    return resp.data;
+  };
+
+  return {
+    describe: () => base,
+
+    async listSubmissions(formId, { offset = 0, limit = 100 } = {}) {
+      const data = await get(`/form/${formId}/submissions`, { limit, offset, orderby: 'created_at' });
+      if (data && data.content) return data.content;
+      return [];
+    },
+
+    async fetchSubmission(submissionId) {
+      if (!apiKey) throw new Error('Missing JOTFORM_API_KEY');
+      const data = await get(`/submission/${submissionId}`);
+      if (data && data.content) return data.content;
+      throw new Error('Bad response from JotForm API');
+    }
+  };
+}
+
+/**
+ * Fixtures win when a directory is given; otherwise the API at `host`.
+ */
+function createJotformClient({
+  apiKey = process.env.JOTFORM_API_KEY || '',
+  host = process.env.JOTFORM_API_HOST || DEFAULT_HOST,
+  fixturesDir = process.env.JOTFORM_FIXTURES_DIR || ''
+} = {}) {
+  if (fixturesDir) return fixturesClient(path.resolve(fixturesDir));
+  return apiClient(apiKey, host);
+}
+
+module.exports = { createJotformClient, loadFixtureSubmissions, apiBaseUrl };
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * jotform-fixture-server.js
+ *
+ * A tiny stand-in for api.jotform.com that serves recorded submissions from a fixtures directory,
+ * so the poller and webhook can run end-to-end without a JotForm account:
+ *
+ *   node server/jotform-fixture-server.js [--port 4010] [--fixtures server/fixtures/jotform]
+ *   JOTFORM_API_HOST=http://localhost:4010 JOTFORM_API_KEY=test node server/poll-jotform.js
+ *
+ * Serves GET /form/:formId/submissions (limit/offset, newest first) and GET /submission/:id in the
+ * API's { responseCode, content } envelope. Fixtures are re-read on every request.
+ */
+const express = require('express');
+const path = require('path');
+const argv = require('minimist')(process.argv.slice(2));
+const { loadFixtureSubmissions } = require('./jotform-client');
+
+const PORT = Number(argv.port || process.env.JOTFORM_FIXTURE_PORT || 4010);
+const FIXTURES_DIR = path.resolve(String(argv.fixtures || process.env.JOTFORM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'jotform')));
+
+const app = express();
+
+app.use((req, res, next) => {
+  console.log(req.method, req.path, JSON.stringify(Object.assign({}, req.query, { apiKey: req.query.apiKey ? '[set]' : undefined })));
+  if (!req.query.apiKey) return res.status(401).json({ responseCode: 401, message: 'You\'re not authorized to use (/user) without an API key', content: null });
+  next();
+});
+
+app.get('/form/:formId/submissions', (req, res) => {
+  const offset = Number(req.query.offset || 0);
+  const limit = Number(req.query.limit || 20);
+  try {
+    const content = loadFixtureSubmissions(FIXTURES_DIR)
+      .filter(s => !s.form_id || String(s.form_id) === req.params.formId)
+      .slice(offset, offset + limit);
+    res.json({ responseCode: 200, message: 'success', content, resultSet: { offset, limit, count: content.length } });
+  } catch (err) {
+    res.status(500).json({ responseCode: 500, message: err.message, content: null });
+  }
+});
+
+app.get('/submission/:id', (req, res) => {
+  try {
+    const found = loadFixtureSubmissions(FIXTURES_DIR).find(s => String(s.id || s.submission_id) === req.params.id);
+    if (!found) return res.status(404).json({ responseCode: 404, message: 'Submission not found', content: null });
+    res.json({ responseCode: 200, message: 'success', content: found });
+  } catch (err) {
+    res.status(500).json({ responseCode: 500, message: err.message, content: null });
+  }
+});
+
+app.listen(PORT, () => console.log(`JotForm fixture server on http://localhost:${PORT} serving ${FIXTURES_DIR}`));
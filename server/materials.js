@@ -0,0 +1,121 @@
+/**
+ * materials.js
+ *
+ * Turns the free-text MATERIALS / EXTRA_MATERIALS answers into line items for the worksheet's
+ * materials tables:
+ *
+ *   "2x 20A MCB, 10m 2.5mm T&E"  ->  [{ QTY: '2',    DESCRIPTION: '20A MCB' },
+ *                                     { QTY: '10 m', DESCRIPTION: '2.5mm T&E' }]
+ *
+ * Entries are split on new lines, semicolons and commas (not "1,000"). Each entry needs a
+ * quantity marked as one — a count marker or a known unit: "2x MCB", "2 x MCB", "x2 MCB", "2 no.
+ * MCB", "qty 2 MCB", "10m cable", "3 lengths of trunking", "MCB x2", "MCB (x2)", "MCB qty 2",
+ * "T&E 10m", "2.5mm T&E x 10m". A bare number is part of the description ("2 gang box", "3 phase
+ * board"), so such an entry has no quantity. "... from CEF" / "... @ CEF" sets that item's supplier,
+ * otherwise the field's supplier (SUPPLIER_O for materials, SUPPLIER for extras) is used.
+ *
+ * If any entry has no recognisable quantity the whole answer is kept as one free-text row, so
+ * nothing an engineer wrote is ever split wrongly or dropped.
+ */
+
+// unit words allowed straight after a quantity, mapped to how they are shown
+const UNITS = {
+  m: 'm', mtr: 'm', mtrs: 'm', metre: 'm', metres: 'm', meter: 'm', meters: 'm',
+  length: 'length', lengths: 'lengths', box: 'box', boxes: 'boxes', pack: 'pack', packs: 'packs', pk: 'pack',
+  roll: 'roll', rolls: 'rolls', bag: 'bag', bags: 'bags', tin: 'tin', tins: 'tins', tube: 'tube', tubes: 'tubes',
+  pair: 'pair', pairs: 'pairs', set: 'set', sets: 'sets', l: 'L', ltr: 'L', litre: 'L', litres: 'L', kg: 'kg'
+};
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)';
+const COUNT_WORD = '(?:x|×|\\*)\\s*|(?:no\\.?|nr\\.?|off|pcs?)\\s+';
+
+const LEADING_COUNT = new RegExp(`^${NUMBER}\\s*(?:${COUNT_WORD})(.+)$`, 'i');
+const LEADING_X = new RegExp(`^(?:x|×)\\s*${NUMBER}\\s+(.+)$`, 'i');
+const LEADING_UNIT = new RegExp(`^${NUMBER}\\s*([a-z]+)\\.?\\s+(?:of\\s+)?(.+)$`, 'i');
+const LEADING_QTY = new RegExp(`^qty\\.?:?\\s*${NUMBER}\\s+(.+)$`, 'i');
+const TRAILING_X = new RegExp(`^(.+?)\\s*[-–]?\\s*\\(?(?:x|×)\\s*${NUMBER}\\)?$`, 'i');
+const TRAILING_X_UNIT = new RegExp(`^(.+?)\\s*[-–]?\\s*\\(?(?:x|×)\\s*${NUMBER}\\s*([a-z]+)\\.?\\)?$`, 'i');
+const TRAILING_QTY = new RegExp(`^(.+?)\\s*[-–]?\\s*\\(?qty\\.?:?\\s*${NUMBER}\\)?$`, 'i');
+const TRAILING_COUNT = new RegExp(`^(.+?)\\s+${NUMBER}\\s*(?:x|×|no\\.?|nr\\.?|off)$`, 'i');
+const TRAILING_UNIT = new RegExp(`^(.+?)\\s+${NUMBER}\\s*([a-z]+)\\.?$`, 'i');
+const ITEM_SUPPLIER = /^(.+?)\s+(?:from|@)\s+([^@]+)$/i;
+
+const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function splitEntries(text) {
+  return String(text || '')
+    .split(/\r?\n|;|,(?!\d)/)
+    .map(s => clean(s.replace(/^\s*(?:[-•*]|\d+[.)])\s+/, '')))
+    .filter(Boolean);
+}
+
+const toNumber = (s) => Number(String(s).replace(/,/g, ''));
+
+// { quantity, unit, description } for one entry, or null when it has no quantity
+function parseEntry(entry) {
+  let m = entry.match(LEADING_COUNT) || entry.match(LEADING_X) || entry.match(LEADING_QTY);
+  if (m) return { quantity: toNumber(m[1]), unit: '', description: clean(m[2]) };
+
+  m = entry.match(LEADING_UNIT);
+  if (m && UNITS[m[2].toLowerCase()]) return { quantity: toNumber(m[1]), unit: UNITS[m[2].toLowerCase()], description: clean(m[3]) };
+
+  m = entry.match(TRAILING_X) || entry.match(TRAILING_QTY) || entry.match(TRAILING_COUNT);
+  if (m) return { quantity: toNumber(m[2]), unit: '', description: clean(m[1]) };
+
+  m = entry.match(TRAILING_X_UNIT);
+  if (m && UNITS[m[3].toLowerCase()]) return { quantity: toNumber(m[2]), unit: UNITS[m[3].toLowerCase()], description: clean(m[1]) };
+
+  m = entry.match(TRAILING_UNIT);
+  if (m && UNITS[m[3].toLowerCase()]) return { quantity: toNumber(m[2]), unit: UNITS[m[3].toLowerCase()], description: clean(m[1]) };
+
+  return null;
+}
+
+const formatQuantity = (quantity, unit) => (unit ? `${quantity} ${unit}` : String(quantity));
+
+const lineItem = ({ quantity = null, unit = '', description = '', supplier = '' }) => ({
+  QTY: quantity === null ? '' : formatQuantity(quantity, unit),
+  QUANTITY: quantity,
+  UNIT: unit,
+  DESCRIPTION: description,
+  ITEM_SUPPLIER: supplier
+});
+
+/**
+ * Parse one free-text materials answer. Returns { items, itemised } — itemised is false when the
+ * text was kept as a single free-text row (or was empty, in which case items is []).
+ */
+function parseMaterials(text, { supplier = '' } = {}) {
+  const raw = clean(text);
+  if (!raw) return { items: [], itemised: false };
+  const fallback = { items: [lineItem({ description: String(text).trim(), supplier: clean(supplier) })], itemised: false };
+
+  const items = [];
+  for (const entry of splitEntries(text)) {
+    let body = entry;
+    let itemSupplier = clean(supplier);
+    const s = entry.match(ITEM_SUPPLIER);
+    if (s) {
+      body = clean(s[1]);
+      itemSupplier = clean(s[2]);
+    }
+    const parsed = parseEntry(body);
+    if (!parsed || !parsed.description || !(parsed.quantity > 0)) return fallback;
+    items.push(lineItem(Object.assign(parsed, { supplier: itemSupplier })));
+  }
+  return items.length ? { items, itemised: true } : fallback;
+}
+
+/**
+ * Loop data for the worksheet template: MATERIAL_ITEMS (MATERIALS, supplied by SUPPLIER_O) and
+ * EXTRA_MATERIAL_ITEMS (EXTRA_MATERIALS, supplied by SUPPLIER), each [{ QTY, DESCRIPTION,
+ * ITEM_SUPPLIER, QUANTITY, UNIT }].
+ */
+function materialsTemplateData(fields = {}) {
+  return {
+    MATERIAL_ITEMS: parseMaterials(fields.MATERIALS, { supplier: fields.SUPPLIER_O }).items,
+    EXTRA_MATERIAL_ITEMS: parseMaterials(fields.EXTRA_MATERIALS, { supplier: fields.SUPPLIER }).items
+  };
+}
+
+module.exports = { parseMaterials, materialsTemplateData };
@@ -0,0 +1,244 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseDate, formatDate } = require('./dates');
+
+/**
+ * output-naming.js
+ *
+ * Where a worksheet is written, relative to the output folder, from OUTPUT_FILENAME_PATTERN
+ * (default "{date:D-M-YYYY}-{name}-{job}"; ".docx" is added). "/" in the pattern makes folders,
+ * e.g. "{yyyy}/{mm}/{date:D-M-YYYY}-{name}-{job}". Tokens:
+ *
+ *   {date:FORMAT}  visit date in dates.js formatDate tokens (YYYY YY MM M DD D); {date} = D-M-YYYY
+ *   {yyyy} {mm} {dd}  parts of the visit date
+ *   {name} {job} {customer}  engineer, job number and customer from the mapped fields
+ *
+ * Values are made filename-safe, so a "/" in a job number never makes a folder. Missing values
+ * become nodate / NONAME / NOJOBNO / NOCUSTOMER. Used by fillFromSheet.js and fillTemplate.js; a
+ * second worksheet that would land on a taken name gets " (2)", " (3)", ... (availablePath).
+ */
+
+const DEFAULT_PATTERN = '{date:D-M-YYYY}-{name}-{job}';
+const DEFAULT_DATE_FORMAT = 'D-M-YYYY';
+const TOKEN = /\{(\w+)(?::([^}]*))?\}/g;
+const FIELD_TOKENS = { name: ['NAME', 'NONAME'], job: ['JOB_NO', 'NOJOBNO'], customer: ['CUSTOMER', 'NOCUSTOMER'] };
+const DATE_TOKENS = { date: null, yyyy: 'YYYY', mm: 'MM', dd: 'DD' };
+
+function safeFilename(str) {
+  return String(str || '').replace(/[/\\?%*:|"<>]/g, '-').trim();
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * What formatDate(..., format) can produce, anchored — the filename safety check. For D-M-YYYY
+ * this is the old FINAL_DATE_REGEX, /^\d{1,2}-\d{1,2}-\d{4}$/.
+ */
+function dateFormatRegex(format) {
+  const parts = { YYYY: '\\d{4}', YY: '\\d{2}', MM: '\\d{2}', M: '\\d{1,2}', DD: '\\d{2}', D: '\\d{1,2}' };
+  let source = '';
+  let last = 0;
+  String(format).replace(/YYYY|YY|MM|M|DD|D/g, (token, at) => {
+    source += escapeRegex(format.slice(last, at)) + parts[token];
+    last = at + token.length;
+  });
+  return new RegExp(`^${source}${escapeRegex(format.slice(last))}$`);
+}
+
+// a pattern's tokens as [{ text, name, format }] — throws on unknown tokens and unsafe paths
+function parsePattern(pattern) {
+  const source = String(pattern || '').trim() || DEFAULT_PATTERN;
+  if (path.isAbsolute(source) || /(^|[/\\])\.\.([/\\]|$)/.test(source)) {
+    throw new Error(`Output filename pattern must stay inside the output folder: ${source}`);
+  }
+  const tokens = [];
+  let last = 0;
+  let m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(source))) {
+    const name = m[1].toLowerCase();
+    if (!(name in FIELD_TOKENS) && !(name in DATE_TOKENS)) {
+      throw new Error(`Unknown token {${m[1]}} in output filename pattern; use ${Object.keys(DATE_TOKENS).concat(Object.keys(FIELD_TOKENS)).map(t => `{${t}}`).join(' ')}`);
+    }
+    if (m[2] && /[/\\?%*:|"<>]/.test(m[2])) throw new Error(`Date format in {${m[0].slice(1, -1)}} can't contain / \\ ? % * : | " < or >`);
+    if (m.index > last) tokens.push({ text: source.slice(last, m.index) });
+    tokens.push({ name, format: name === 'date' ? (m[2] || DEFAULT_DATE_FORMAT) : DATE_TOKENS[name] });
+    last = TOKEN.lastIndex;
+  }
+  if (last < source.length) tokens.push({ text: source.slice(last) });
+  if (!tokens.some(t => t.name)) throw new Error(`Output filename pattern has no tokens: ${source}`);
+  return tokens;
+}
+
+function currentPattern() {
+  return process.env.OUTPUT_FILENAME_PATTERN || DEFAULT_PATTERN;
+}
+
+/**
+ * The worksheet path for mapped fields visited on `date` (a Date, or null when the DATE can't be
+ * read): outputDir + the rendered pattern + ".docx". Throws when a rendered date fails the
+ * filename safety check.
+ */
+function outputPathFor(outputDir, fields, date, pattern = currentPattern()) {
+  const rel = parsePattern(pattern).map(token => {
+    if (token.text !== undefined) return token.text;
+    if (token.name in FIELD_TOKENS) {
+      const [field, missing] = FIELD_TOKENS[token.name];
+      return safeFilename(fields[field]) || missing;
+    }
+    const formatted = formatDate(date, token.format);
+    if (!formatted) return 'nodate';
+    if (!dateFormatRegex(token.format).test(formatted)) {
+      console.error(`FATAL: computed filename date does not match ${token.format}:`, formatted);
+      throw new Error('Invalid filename date format - aborting');
+    }
+    return safeFilename(formatted);
+  }).join('');
+
+  return path.join(outputDir, ...rel.split(/[/\\]+/).filter(Boolean)) + '.docx';
+}
+
+// "a/b.docx", 2 -> "a/b (2).docx"
+function withCollisionSuffix(file, n) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)} (${n})${ext}`;
+}
+
+// true for `base` itself and its " (n)" variants
+function isCollisionVariant(file, base) {
+  const resolved = path.resolve(base);
+  const ext = path.extname(resolved);
+  const stem = resolved.slice(0, resolved.length - ext.length);
+  return new RegExp(`^${escapeRegex(stem)}(?: \\(\\d+\\))?${escapeRegex(ext)}$`, 'i').test(path.resolve(file));
+}
+
+/**
+ * `file`, or the first "file (n)" that isTaken() says is free. isTaken defaults to "exists on
+ * disk"; fillFromSheet.js also counts names the ledger has given to other rows.
+ */
+function availablePath(file, isTaken = (candidate) => fs.existsSync(candidate)) {
+  if (!isTaken(file)) return file;
+  for (let n = 2; ; n++) {
+    const candidate = withCollisionSuffix(file, n);
+    if (!isTaken(candidate)) return candidate;
+  }
+}
+
+/**
+ * The pattern as a regex over paths relative to the output folder (collision suffix allowed), with
+ * a capture per token. jobSource, when given, replaces the {job} capture.
+ */
+function patternRegex(pattern, jobSource = null) {
+  const groups = [];
+  const source = parsePattern(pattern).map(token => {
+    if (token.text !== undefined) return token.text.split(/[/\\]+/).map(escapeRegex).join('[/\\\\]');
+    if (token.name === 'job' && jobSource) return `[^a-z0-9/\\\\]*${jobSource}[^a-z0-9/\\\\]*`;
+    groups.push(token);
+    // names keep their hyphens ("Mary-Jane"); a job number takes what the name leaves
+    if (token.name === 'job') return '([^/\\\\]+?)';
+    if (token.name in FIELD_TOKENS) return '([^/\\\\]+)';
+    return `(nodate|${dateFormatRegex(token.format).source.slice(1, -1)})`;
+  }).join('');
+  return { regex: new RegExp(`^${source}(?: \\(\\d+\\))?\\.docx$`, 'i'), groups };
+}
+
+function readGroups(m, groups) {
+  const values = {};
+  groups.forEach((token, i) => { values[token.name] = { value: m[i + 1], format: token.format }; });
+  return {
+    name: values.name ? values.name.value : '',
+    job: values.job ? values.job.value : '',
+    date: parseNamedDate(values)
+  };
+}
+
+/**
+ * Reads a path relative to the output folder back through the pattern, for one job: returns
+ * { name, date } when it is that job's worksheet (collision suffix allowed), else null. The job is
+ * compared ignoring case and punctuation, as visit-rows.js normalizeJobNo does.
+ */
+function worksheetMatcher(job, pattern = currentPattern()) {
+  const chars = String(job || '').toLowerCase().replace(/[^a-z0-9]/g, '').split('');
+  const { regex, groups } = patternRegex(pattern, chars.map(escapeRegex).join('[^a-z0-9]*'));
+  return (relPath) => {
+    const m = String(relPath).match(regex);
+    if (!m || !chars.length) return null;
+    const { name, date } = readGroups(m, groups);
+    return { name, date };
+  };
+}
+
+// worksheet_<JobNo>_<date> from fillTemplate.js before output-naming.js
+const LEGACY_JOTFORM_NAME = /^worksheet_(.+?)_(.+)\.docx$/i;
+
+/**
+ * { name, job, date } read back from any worksheet path relative to the output folder — the
+ * pattern, the default pattern, then old JotForm names — or null when it isn't a worksheet name.
+ * The job is a best guess when names and job numbers both contain the separator; match a known
+ * job with worksheetMatcher() instead.
+ */
+function parseWorksheetName(relPath, pattern = currentPattern()) {
+  const rel = String(relPath).split(/[/\\]+/).join('/');
+  const base = rel.split('/').pop();
+  for (const p of Array.from(new Set([pattern, DEFAULT_PATTERN]))) {
+    const { regex, groups } = patternRegex(p);
+    for (const candidate of [rel, base]) {
+      const m = candidate.match(regex);
+      if (m) return readGroups(m, groups);
+    }
+  }
+  const legacy = base.match(LEGACY_JOTFORM_NAME);
+  if (legacy) return { name: '', job: legacy[1], date: parseDate(legacy[2].replace(/_/g, ' ')).date };
+  return null;
+}
+
+// every .docx under folder, skipping <worksheet>_attachments folders and Word lock files
+function listWorksheetFiles(folder) {
+  if (!fs.existsSync(folder)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+    const full = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.endsWith('_attachments')) files.push(...listWorksheetFiles(full));
+    } else if (entry.name.toLowerCase().endsWith('.docx') && !entry.name.startsWith('~$')) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+// the visit date back from {date:FORMAT} (or {yyyy}/{mm}/{dd}) as a Date, or null
+function parseNamedDate(values) {
+  const parts = {};
+  for (const [name, { value, format }] of Object.entries(values)) {
+    if (!(name in DATE_TOKENS) || value === 'nodate') continue;
+    const tokens = [];
+    const source = dateFormatRegex(format).source.replace(/\\d\{[\d,]+\}/g, '(\\d+)');
+    format.replace(/YYYY|YY|MM|M|DD|D/g, t => tokens.push(t));
+    const m = value.match(new RegExp(source));
+    if (!m) continue;
+    tokens.forEach((t, i) => {
+      const n = Number(m[i + 1]);
+      if (t === 'YYYY') parts.year = n;
+      else if (t === 'YY' && parts.year === undefined) parts.year = 2000 + n;
+      else if (t === 'MM' || t === 'M') parts.month = n;
+      else parts.day = n;
+    });
+  }
+  if (!parts.year || !parts.month || !parts.day) return null;
+  return new Date(parts.year, parts.month - 1, parts.day);
+}
+
+module.exports = {
+  DEFAULT_PATTERN,
+  safeFilename,
+  dateFormatRegex,
+  parsePattern,
+  currentPattern,
+  outputPathFor,
+  availablePath,
+  isCollisionVariant,
+  worksheetMatcher,
+  parseWorksheetName,
+  listWorksheetFiles
+};
@@ -2,270 +2,298 @@
 /**
  * server/poll-jotform.js
  *
- * JotForm poller that builds a row matching your spreadsheet header order:
+ * JotForm poller that builds a row matching your spreadsheet header order
+ * (sheetColumns in field-mapping.json):
  * [Timestamp, NAME, DATE, Job Number, Address, WORKS CARRIED OUT, HOURS,
  *  Work Still to do/Need to go back, WORKED WITH, Certificate Shared, MATERIALS,
  *  SUPPLIER, VARIATIONS - Extras (works outside scope of works / specification of job),
- *  HOURS EXTRA, EXTRA MATERIALS:, SUPPLIER EXTRAS]
+ *  HOURS EXTRA, EXTRA MATERIALS:, SUPPLIER EXTRAS, Job Type]
  *
- * It converts non-string fields (dates/addresses) into sensible strings before appending.
+ * Each new submission goes through submission-pipeline.js (shared with webhook-jotform.js):
+ * answers are mapped through field-mapping.json, which also converts non-string fields
+ * (dates/addresses) into sensible strings, the worksheet is rendered (with photo uploads and the
+ * signature embedded, see attachments.js) and the row appended.
+ * Rows the sheet refused are kept in the sheets outbox and retried at the start of each poll.
+ *
+ * Each poll pages back through submissions (newest first, PAGE_SIZE at a time) until it reaches
+ * the checkpoint in poll-checkpoint.json, then processes anything not already in the processed
+ * set (processed-submissions.js). last_submission.txt is only read to migrate older installs.
+ * A poll that stops after JOTFORM_MAX_PAGES pages leaves the checkpoint where it was and records
+ * the page it reached; the next polls carry on from there until the checkpoint is reached.
+ *
+ * A submission that fails JOTFORM_MAX_ATTEMPTS polls in a row (default 5) is given up on: it no
+ * longer holds the checkpoint back and is listed at the start of every poll. Once the cause is
+ * fixed: node poll-jotform.js --retry <submissionId>
+ *
+ * Backfill: node poll-jotform.js --since 2026-09-01   (re-ingests that window once, then exits;
+ * submissions already processed are skipped)
+ *
+ * Offline: --fixtures fixtures/jotform (or JOTFORM_FIXTURES_DIR) reads recorded submissions from
+ * disk; JOTFORM_API_HOST=http://localhost:4010 talks to jotform-fixture-server.js instead.
  */
 require('dotenv').config();
-const axios = require('axios');
-const fs = require('fs');
+const fs = require('fs-extra');
 const path = require('path');
-const child_process = require('child_process');
+// submission ids are 19 digits: keep them as strings
+const argv = require('minimist')(process.argv.slice(2), { string: ['retry'] });
+const { submissionToRecord, processSubmission, flushSheetsOutbox } = require('./submission-pipeline');
+const { processedStorePath, createProcessedStore } = require('./processed-submissions');
+const { createJotformClient } = require('./jotform-client');
+const { parseDate, parseJotformCreatedAt, describeDateIssue } = require('./dates');
+const { tempDirFor, downloadSubmissionAttachments, removeTempDir } = require('./attachments');
 
 const FORM_ID = process.env.FORM_ID || '253362621119048';
 const API_KEY = process.env.JOTFORM_API_KEY || '';
-const API_HOST = process.env.JOTFORM_API_HOST || 'api.jotform.com';
-const API_BASE = `https://${API_HOST}`;
+// --fixtures <dir> (or JOTFORM_FIXTURES_DIR): read recorded submissions from disk instead of the API
+const FIXTURES_DIR = argv.fixtures ? path.resolve(String(argv.fixtures)) : (process.env.JOTFORM_FIXTURES_DIR || '');
 const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS || 15000);
+const PAGE_SIZE = 100;
+const MAX_PAGES = Number(process.env.JOTFORM_MAX_PAGES || 50);
+const MAX_ATTEMPTS = Number(process.env.JOTFORM_MAX_ATTEMPTS || 5);
+const CHECKPOINT_OVERLAP_MS = 10 * 60 * 1000;
+// a backlog poll re-reads this many submissions before where the last one stopped (deletions shift offsets)
+const BACKLOG_OVERLAP = 10;
+const STATE_DIR = process.env.WORKSHEET_STATE_DIR || __dirname;
+const CHECKPOINT_FILE = path.join(STATE_DIR, 'poll-checkpoint.json');
 const LAST_FILE = path.join(__dirname, 'last_submission.txt');
 const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID || '';
 const GOOGLE_CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || 'google-sheets-creds.json';
 
-if (!API_KEY) {
+if (!API_KEY && !FIXTURES_DIR) {
   console.error('Missing JOTFORM_API_KEY in .env — add it and restart this script.');
   process.exit(1);
 }
 
-async function listSubmissions() {
-  const url = `${API_BASE}/form/${FORM_ID}/submissions?apiKey=${API_KEY}&limit=50&orderby=created_at`;
-  const resp = await axios.get(url, { timeout: 10000 });
-  if (resp.data && resp.data.content) return resp.data.content;
-  return [];
-}
+// shared with webhook-jotform.js, so a submission taken in by either is never processed twice
+const processed = createProcessedStore(processedStorePath(STATE_DIR));
+const jotform = createJotformClient({ apiKey: API_KEY, fixturesDir: FIXTURES_DIR });
 
-function readLastProcessed() {
-  try { return fs.readFileSync(LAST_FILE, 'utf8').trim(); } catch (_) { return ''; }
-}
-function writeLastProcessed(id) {
-  try { fs.writeFileSync(LAST_FILE, String(id), 'utf8'); } catch (err) { console.warn('Could not write last file', err.message); }
-}
+// JotForm created_at is account-zone wall time (JOTFORM_TIMEZONE); compare real instants
+const createdAtInstant = (value) => {
+  const instant = parseJotformCreatedAt(value);
+  return instant ? instant.getTime() : null;
+};
+const createdAtMs = (s) => createdAtInstant(s && s.created_at);
 
-function mapSubmission(submission) {
-  const mapped = {};
-  if (submission && submission.answers) {
-    for (const k of Object.keys(submission.answers)) {
-      const ans = submission.answers[k];
-      const key = (ans.name || ans.text || `q${k}`).toString();
-      mapped[key] = ans.answer ?? ans.prettyFormat ?? ans.text ?? '';
-    }
-  } else if (submission) {
-    Object.assign(mapped, submission);
+// Submission ids are 19 digits — past Number precision and wrong as strings ('9' > '10'), so use BigInt
+function compareIds(a, b) {
+  try {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    return x < y ? -1 : (x > y ? 1 : 0);
+  } catch (_) {
+    return String(a).localeCompare(String(b));
   }
-  mapped._submission_id = submission.submission_id || submission.id;
-  mapped._created_at = submission.created_at || submission.created_at;
-  return mapped;
 }
 
-// Convert various possible JotForm field shapes into a plain string for Sheets
-function fieldToString(v) {
-  if (v === null || v === undefined) return '';
-
-  if (typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean') {
-    return String(v);
-  }
-
-  if (typeof v === 'object') {
-    // Date object
-    if (v.datetime) return String(v.datetime);
-    if (v.year && v.month && v.day) {
-      const mm = String(v.month).padStart(2, '0');
-      const dd = String(v.day).padStart(2, '0');
-      return `${v.year}-${mm}-${dd}`;
-    }
-
-    // Address object
-    if (v.addr_line1 || v.addr_line2 || v.city || v.state || v.postal) {
-      const parts = [];
-      if (v.addr_line1) parts.push(v.addr_line1);
-      if (v.addr_line2) parts.push(v.addr_line2);
-      if (v.city) parts.push(v.city);
-      if (v.state) parts.push(v.state);
-      if (v.postal) parts.push(v.postal);
-      return parts.filter(Boolean).join(', ');
-    }
-
-    // Generic object: join values or fallback to JSON
-    try {
-      const vals = Object.values(v).filter(x => x !== undefined && x !== null).map(x => (typeof x === 'object' ? JSON.stringify(x) : String(x)));
-      if (vals.length) return vals.join(' | ');
-      return JSON.stringify(v);
-    } catch (e) {
-      return String(v);
-    }
-  }
-
-  return String(v);
+function readCheckpoint() {
+  try { return fs.readJsonSync(CHECKPOINT_FILE); } catch (_) { return null; }
 }
-
-async function appendRowToSheet(rowValues) {
-  if (!GOOGLE_SHEET_ID) {
-    console.warn('GOOGLE_SHEET_ID not set; skipping sheet append');
-    return;
-  }
+// backlog: { offset, newestAt, oldestFailedAt } while a capped poll still has pages to read
+function writeCheckpoint(createdAt, backlog = null) {
   try {
-    const sheetsHelper = require('./append-to-sheets');
-    await sheetsHelper.appendRow(GOOGLE_SHEET_ID, rowValues, GOOGLE_CREDENTIALS_PATH);
+    fs.ensureDirSync(path.dirname(CHECKPOINT_FILE));
+    const data = { createdAt, updatedAt: new Date().toISOString() };
+    if (backlog) data.backlog = backlog;
+    fs.writeJsonSync(CHECKPOINT_FILE, data, { spaces: 2 });
   } catch (err) {
-    console.warn('appendRowToSheet failed:', err && err.message ? err.message : err);
+    console.warn('Could not write poll checkpoint', err.message);
   }
 }
+// Pre-checkpoint installs only kept the newest processed id here; read once to migrate
+function readLegacyLastProcessed() {
+  try { return fs.readFileSync(LAST_FILE, 'utf8').trim(); } catch (_) { return ''; }
+}
 
 /**
- * generate(mapped) - require() or spawn fallback for server/fillTemplate.js
+ * Where paging stops (newest-first): before `since` for a backfill, otherwise CHECKPOINT_OVERLAP_MS
+ * before the checkpoint (re-reading a little is harmless — the processed set skips repeats), or at
+ * the legacy last_submission.txt id. With none of those only the first page is read.
  */
-async function generate(mapped) {
-  const modulePath = path.join(__dirname, 'fillTemplate.js');
-  if (!fs.existsSync(modulePath)) {
-    console.warn('No fillTemplate.js found at server/fillTemplate.js — please create it or edit generate() to call your generator.');
-    return false;
+function stopCondition(since) {
+  if (since) return { describe: `created before ${new Date(since).toISOString()}`, reached: (s) => createdAtMs(s) !== null && createdAtMs(s) < since };
+
+  const checkpoint = readCheckpoint();
+  const checkpointMs = checkpoint && createdAtInstant(checkpoint.createdAt);
+  if (checkpointMs) {
+    const stopAt = checkpointMs - CHECKPOINT_OVERLAP_MS;
+    return { describe: `checkpoint ${checkpoint.createdAt}`, reached: (s) => createdAtMs(s) !== null && createdAtMs(s) < stopAt };
   }
 
-  try {
-    try { delete require.cache[require.resolve(modulePath)]; } catch (_) {}
-    const mod = require(modulePath);
-
-    const candidates = [];
-    if (typeof mod === 'function') candidates.push(mod);
-    if (mod && typeof mod.default === 'function') candidates.push(mod.default);
-    ['generate','fillTemplate','fill','create','run','main','process','createDocument'].forEach(name => {
-      if (mod && typeof mod[name] === 'function') candidates.push(mod[name]);
-    });
+  const legacyId = readLegacyLastProcessed();
+  if (legacyId) {
+    return { describe: `last_submission.txt id ${legacyId}`, reached: (s) => compareIds(s.submission_id || s.id, legacyId) <= 0 };
+  }
+  return { describe: 'first page (no checkpoint yet)', reached: () => false, firstPageOnly: true };
+}
 
-    if (candidates.length) {
-      const fn = candidates[0];
-      try {
-        const maybePromise = fn.length > 0 ? fn(mapped) : fn();
-        if (maybePromise && typeof maybePromise.then === 'function') await maybePromise;
-        return true;
-      } catch (err) {
-        console.warn('Calling exported generator function failed:', err && err.message ? err.message : err);
-      }
-    } else {
-      console.warn('fillTemplate.js found but no callable export detected. Will try spawning it as a CLI.');
+/**
+ * Page newest-first from `offset` until the stop condition or MAX_PAGES. Returns { submissions
+ * (oldest first), complete, nextOffset } — complete is false when paging was cut short, and
+ * nextOffset is where to carry on.
+ */
+async function fetchUnseen(stop, offset = 0) {
+  const collected = [];
+  for (let page = 0; page < MAX_PAGES; page++, offset += PAGE_SIZE) {
+    const batch = await jotform.listSubmissions(FORM_ID, { offset, limit: PAGE_SIZE });
+    let reached = false;
+    for (const s of batch) {
+      if (stop.reached(s)) { reached = true; break; }
+      collected.push(s);
+    }
+    if (reached || batch.length < PAGE_SIZE || stop.firstPageOnly) {
+      return { submissions: collected.reverse(), complete: true, nextOffset: 0 };
     }
-  } catch (err) {
-    console.warn('Error requiring fillTemplate.js (will try spawn fallback):', err && err.message ? err.message : err);
   }
+  return { submissions: collected.reverse(), complete: false, nextOffset: offset };
+}
 
+// Worksheet and sheet row for one submission; records the outcome and returns the stored entry
+async function processSubmissionOnce(s, source) {
+  const sid = s.submission_id || s.id;
+  const record = submissionToRecord(s);
+
+  console.log('Processing submission', sid);
+  const tempDir = tempDirFor(sid);
   try {
-    return await new Promise((resolve) => {
-      const cp = child_process.spawn(process.execPath, [modulePath], { stdio: ['pipe','inherit','inherit'] });
-      cp.on('error', (e) => {
-        console.warn('Failed to spawn fillTemplate.js:', e && e.message ? e.message : e);
-        resolve(false);
-      });
-      cp.on('exit', (code) => {
-        resolve(code === 0);
-      });
-      try { cp.stdin.write(JSON.stringify(mapped)); } catch (_) {}
-      try { cp.stdin.end(); } catch (_) {}
-    });
+    const attachments = await downloadSubmissionAttachments(s, { destDir: tempDir, apiKey: API_KEY });
+    const result = await processSubmission(record, { attachments, sheetId: GOOGLE_SHEET_ID, credentialsPath: GOOGLE_CREDENTIALS_PATH });
+    console.log('Worksheet for', sid, ':', result.outputFile);
+    return processed.record(sid, { status: 'done', source, outputFile: result.outputFile });
   } catch (err) {
-    console.warn('Spawn fallback failed:', err && err.message ? err.message : err);
-    return false;
+    const message = err && err.message ? err.message : String(err);
+    console.error('Generator failed for', sid, message);
+    const entry = processed.record(sid, { status: 'failed', source, error: message });
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      console.error(`Giving up on submission ${sid} after ${entry.attempts} attempts; once fixed run: node poll-jotform.js --retry ${sid}`);
+    }
+    return entry;
+  } finally {
+    await removeTempDir(tempDir);
   }
 }
 
-async function processNew() {
-  try {
-    const submissions = await listSubmissions();
-    if (!submissions || !submissions.length) return;
-
-    // newest-first -> process oldest-first
-    submissions.reverse();
+function reportGivenUp() {
+  const givenUp = processed.failed(MAX_ATTEMPTS);
+  if (!givenUp.length) return;
+  console.warn(`${givenUp.length} submission(s) given up after ${MAX_ATTEMPTS} failed attempts (retry with --retry <id>):`);
+  givenUp.forEach(f => console.warn(`  ${f.id}: ${f.error}`));
+}
 
-    const last = readLastProcessed();
-    let newestSeen = last;
+/**
+ * One poll: process every submission newer than the checkpoint (or, with `since`, in the backfill
+ * window) that isn't already in the processed set. The checkpoint moves to the newest submission
+ * seen, but never past one that failed (until it has been given up on), so a failure is retried on
+ * the next poll — and not at all while a capped poll's backlog is still being read.
+ */
+async function processNew({ since = null } = {}) {
+  // rows whose sheet append failed earlier go out first, in their original order
+  await flushSheetsOutbox();
+  try {
+    reportGivenUp();
+    const previous = readCheckpoint();
+    const previousMs = previous ? createdAtInstant(previous.createdAt) : null;
+    const backlog = !since && previous && previous.backlog ? previous.backlog : null;
+
+    const stop = stopCondition(since);
+    const startOffset = backlog ? Math.max(0, backlog.offset - BACKLOG_OVERLAP) : 0;
+    const { submissions, complete, nextOffset } = await fetchUnseen(stop, startOffset);
+    console.log(`Fetched ${submissions.length} submission(s)${backlog ? ` from offset ${startOffset}` : ''} back to ${stop.describe}`);
+
+    // created_at strings as JotForm gives them (account-zone wall time, what the checkpoint holds)
+    let newestAt = backlog ? backlog.newestAt : null;
+    let oldestFailedAt = backlog ? backlog.oldestFailedAt : null;
+    const track = (s, failed) => {
+      const ms = createdAtMs(s);
+      if (ms === null) return;
+      if (newestAt === null || ms > createdAtInstant(newestAt)) newestAt = s.created_at;
+      if (failed && (oldestFailedAt === null || ms < createdAtInstant(oldestFailedAt))) oldestFailedAt = s.created_at;
+    };
 
     for (const s of submissions) {
       const sid = s.submission_id || s.id;
       if (!sid) continue;
-      if (last && sid <= last) continue;
-
-      const mapped = mapSubmission(s);
-
-      // DEBUG: show mapped object to verify keys
-      console.log('Mapped submission:', JSON.stringify(mapped, null, 2));
-
-      console.log('Processing submission', sid);
-      try {
-        const ok = await generate(mapped);
-        if (ok) {
-          newestSeen = sid;
-
-          // Build row in exact header order
-          const timestamp = fieldToString(mapped._created_at || mapped.Timestamp || mapped.timestamp || new Date().toISOString());
-          const name = fieldToString(mapped.name || mapped.NAME || mapped.Name || mapped['Full Name'] || mapped['Full name'] || mapped.your_name || '');
-          const dateField = fieldToString(mapped.date || mapped.meeting_date || mapped.DATE || mapped._created_at || mapped.datetime || '');
-          const jobNumber = fieldToString(mapped.jobNumber || mapped['Job Number'] || mapped['JOB NUMBER'] || mapped.jobNumber || mapped.jobNumber || mapped['jobNumber'] || '');
-          const addressStr = fieldToString(mapped.address || mapped.Address || mapped.addr || mapped['Address'] || '');
-          const worksCarried = fieldToString(mapped.worksCarried || mapped['WORKS CARRIED OUT'] || mapped['Works carried out'] || mapped.worksCarried || mapped.worksCarried || '');
-          const hours = fieldToString(mapped.hours || mapped.HOURS || mapped['HOURS'] || mapped.hours || '');
-          const workStill = fieldToString(
-            mapped['Work Still to do/Need to go back'] ||
-            mapped['work still to do/need to go back'] ||
-            mapped.workStill ||
-            mapped['WORK STILL TO DO/NEED TO GO BACK'] ||
-            mapped.work_still_to_do ||
-            mapped.WORK_STILL_TO_DO ||
-            mapped['Work Still to do'] ||
-            ''
-          );
-          const workedWith = fieldToString(mapped.workedWith || mapped['WORKED WITH'] || mapped['Worked With'] || mapped.workedWith || '');
-          const certificateShared = fieldToString(mapped.certificateShared || mapped['Certificate Shared'] || mapped.CERTIFICATE_SHARED || '');
-          const materials = fieldToString(mapped.materials || mapped.MATERIALS || mapped['MATERIALS'] || '');
-          const supplier = fieldToString(mapped.supplier || mapped.SUPPLIER || mapped.supplierFor || mapped['SUPPLIER EXTRAS'] || '');
-          const variations = fieldToString(mapped.variations || mapped.extras || mapped['VARIATIONS - Extras (works outside scope of works / specification of job)'] || mapped.VARIATIONS || '');
-          const hoursExtra = fieldToString(mapped.hoursExtra || mapped['HOURS EXTRA'] || mapped.HOURS_EXTRA || mapped.hoursExtra || '');
-          const extraMaterials = fieldToString(mapped.extraMatierials || mapped['EXTRA MATERIALS:'] || mapped.extraMaterials || mapped.EXTRA_MATERIALS || '');
-          const supplierExtras = fieldToString(mapped.supplierFor || mapped['SUPPLIER EXTRAS'] || mapped.supplierExtras || '');
-
-          const row = [
-            timestamp,
-            name,
-            dateField,
-            jobNumber,
-            addressStr,
-            worksCarried,
-            hours,
-            workStill,
-            workedWith,
-            certificateShared,
-            materials,
-            supplier,
-            variations,
-            hoursExtra,
-            extraMaterials,
-            supplierExtras
-          ];
+      const entry = processed.get(sid);
+      if (entry && entry.status === 'done') {
+        track(s, false);
+        continue;
+      }
+      // given up on: listed by reportGivenUp(), no longer retried or holding the checkpoint back
+      if (entry && entry.status === 'failed' && entry.attempts >= MAX_ATTEMPTS) {
+        track(s, false);
+        continue;
+      }
+      const result = await processSubmissionOnce(s, since ? 'backfill' : 'poller');
+      track(s, result.status === 'failed' && result.attempts < MAX_ATTEMPTS);
+    }
 
-          console.log('Appending row to sheet:', JSON.stringify(row));
-          await appendRowToSheet(row);
-        } else {
-          console.warn('Generator returned false/failed for', sid);
-        }
-      } catch (err) {
-        console.error('Generator failed for', sid, err && err.message ? err.message : err);
+    if (!complete) {
+      if (since) {
+        console.warn(`Backfill stopped after ${MAX_PAGES} pages; older submissions in the window were not read. Raise JOTFORM_MAX_PAGES or use a later --since.`);
+      } else {
+        // the checkpoint stays put until the pages below have been read
+        console.warn(`Stopped paging after ${MAX_PAGES} pages at offset ${nextOffset}; the next poll carries on from there.`);
+        writeCheckpoint(previous ? previous.createdAt : null, { offset: nextOffset, newestAt, oldestFailedAt });
       }
+      return;
     }
 
-    if (newestSeen && newestSeen !== last) writeLastProcessed(newestSeen);
+    let nextAt = oldestFailedAt !== null && createdAtInstant(oldestFailedAt) < createdAtInstant(newestAt) ? oldestFailedAt : newestAt;
+    // a backfill never moves the checkpoint backwards
+    if (since && previousMs !== null && (nextAt === null || createdAtInstant(nextAt) < previousMs)) nextAt = previous.createdAt;
+    const nextMs = nextAt !== null ? createdAtInstant(nextAt) : null;
+    if ((nextMs !== null && nextMs !== previousMs) || backlog) {
+      // a backfill leaves a regular poll's unfinished backlog in place
+      writeCheckpoint(nextAt !== null ? nextAt : (previous ? previous.createdAt : null), since && previous ? previous.backlog : null);
+    }
 
   } catch (err) {
     console.error('Poll error', err && err.message ? err.message : err);
   }
 }
 
+// --since <date>: any date dates.js understands (YYYY-MM-DD, or D/M/YYYY in DATE_LOCALE order); returns ms or throws
+function parseSince(value) {
+  const parsed = parseDate(String(value));
+  if (!parsed.date) throw new Error(`--since expects a date such as 2026-09-01, got "${value}"`);
+  if (parsed.issue) console.warn('--since:', describeDateIssue(value, parsed));
+  return parsed.date.getTime();
+}
+
+// --retry <id>: run one submission again, whatever its failure count
+async function retrySubmission(id) {
+  const submission = await jotform.fetchSubmission(id);
+  const entry = await processSubmissionOnce(submission, 'retry');
+  if (entry.status !== 'done') throw new Error(`Submission ${id} failed again: ${entry.error}`);
+}
+
 async function run() {
-  console.log('Starting JotForm poller for form', FORM_ID, 'using host', API_HOST, 'poll interval', POLL_INTERVAL_MS, 'ms');
-  await processNew();
-  setInterval(processNew, POLL_INTERVAL_MS);
+  if (argv.retry) {
+    await flushSheetsOutbox();
+    await retrySubmission(String(argv.retry));
+    return;
+  }
+  if (argv.since) {
+    const since = parseSince(argv.since);
+    console.log('Backfilling JotForm form', FORM_ID, 'from', new Date(since).toDateString());
+    await processNew({ since });
+    return;
+  }
+
+  console.log('Starting JotForm poller for form', FORM_ID, 'using', jotform.describe() + ',', 'poll interval', POLL_INTERVAL_MS, 'ms');
+  // chain timeouts so a long paging run never overlaps the next poll
+  const loop = async () => {
+    await processNew();
+    setTimeout(loop, POLL_INTERVAL_MS);
+  };
+  loop();
 }
 
-if (require.main === module) run();
+if (require.main === module) {
+  run().catch((err) => {
+    console.error('Failed:', err && err.message ? err.message : err);
+    process.exit(1);
+  });
+}
 
-module.exports = { run };
\ No newline at end of file
+module.exports = { run, processNew };
\ No newline at end of file
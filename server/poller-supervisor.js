@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * poller-supervisor.js
+ *
+ * Runs the background sheet poller (fillFromSheet.js --poll) as a child of the Electron main
+ * process and keeps an eye on it:
+ *
+ * - stdout/stderr go to <logDir>/poller.log, rotated to poller.log.1 ... poller.log.<keep> once
+ *   the file passes maxLogBytes
+ * - a worker that exits without being asked to is restarted after 2s, 4s, 8s ... (at most
+ *   maxBackoffMs); the delay resets once a worker has stayed up for stableAfterMs
+ * - the worker's { type: 'poll' } messages give the health shown in the app: last run, last
+ *   success, last error and the last cycle's counts
+ *
+ * launch() is called for every start and returns { command, args, env }, so a restart picks up
+ * saved settings and credentials. onStatus(status) is called whenever the status changes.
+ */
+
+const STOP_GRACE_MS = 10000;
+
+// Append-only log file that rolls over at maxBytes, keeping `keep` old files
+function createRotatingLog(file, { maxBytes = 1024 * 1024, keep = 5 } = {}) {
+  let size = 0;
+  try { size = fs.statSync(file).size; } catch (e) {}
+
+  const rotate = () => {
+    for (let n = keep - 1; n >= 1; n--) {
+      if (fs.existsSync(`${file}.${n}`)) fs.moveSync(`${file}.${n}`, `${file}.${n + 1}`, { overwrite: true });
+    }
+    if (fs.existsSync(file)) fs.moveSync(file, `${file}.1`, { overwrite: true });
+    size = 0;
+  };
+
+  return {
+    file,
+    write(stream, text) {
+      const stamp = new Date().toISOString();
+      const lines = String(text).split(/\r?\n/).filter(Boolean).map(line => `${stamp} [${stream}] ${line}\n`).join('');
+      if (!lines) return;
+      try {
+        if (size + Buffer.byteLength(lines) > maxBytes && size > 0) rotate();
+        fs.appendFileSync(file, lines);
+        size += Buffer.byteLength(lines);
+      } catch (e) {
+        console.warn('[poller] could not write log', file, e && e.message);
+      }
+    }
+  };
+}
+
+function createPollerSupervisor({
+  launch,
+  logDir,
+  onStatus = () => {},
+  maxLogBytes = 1024 * 1024,
+  keepLogs = 5,
+  minBackoffMs = 2000,
+  maxBackoffMs = 5 * 60 * 1000,
+  stableAfterMs = 60 * 1000
+}) {
+  fs.ensureDirSync(logDir);
+  const log = createRotatingLog(path.join(logDir, 'poller.log'), { maxBytes: maxLogBytes, keep: keepLogs });
+
+  let child = null;
+  let wanted = false;
+  let startAfterStop = false;
+  let restartTimer = null;
+  let stableTimer = null;
+  let failures = 0;
+
+  const status = {
+    state: 'stopped', // stopped | running | restarting | stopping
+    pid: null,
+    startedAt: null,
+    restarts: 0,
+    nextRestartAt: null,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastError: null, // { at, message }
+    lastSummary: null,
+    logFile: log.file
+  };
+
+  const update = (changes) => {
+    Object.assign(status, changes);
+    try { onStatus(Object.assign({}, status)); } catch (e) {}
+  };
+
+  const recordError = (message) => {
+    log.write('supervisor', message);
+    update({ lastError: { at: new Date().toISOString(), message } });
+  };
+
+  const handleMessage = (msg) => {
+    if (!msg || msg.type !== 'poll') return;
+    if (msg.event === 'start') update({ lastRunAt: msg.at });
+    else if (msg.event === 'complete') {
+      update({ lastSuccessAt: msg.at, lastSummary: msg.summary });
+      if (msg.summary && msg.summary.failed) recordError(`${msg.summary.failed} row(s) failed in the last cycle - see the log`);
+    } else if (msg.event === 'failed') recordError(`Cycle failed: ${msg.error}`);
+  };
+
+  const scheduleRestart = () => {
+    const delay = Math.min(maxBackoffMs, minBackoffMs * Math.pow(2, failures));
+    failures++;
+    log.write('supervisor', `restarting in ${Math.round(delay / 1000)}s`);
+    update({ state: 'restarting', nextRestartAt: new Date(Date.now() + delay).toISOString() });
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      update({ restarts: status.restarts + 1 });
+      start();
+    }, delay);
+  };
+
+  function start() {
+    // the worker is finishing its cycle after stop(): start again once it has exited
+    if (status.state === 'stopping') {
+      startAfterStop = true;
+      return Object.assign({}, status);
+    }
+    wanted = true;
+    if (child || restartTimer) return Object.assign({}, status);
+
+    let launchSpec;
+    try {
+      launchSpec = launch();
+    } catch (err) {
+      recordError(`Could not start the poller: ${err.message}`);
+      update({ state: 'stopped' });
+      wanted = false;
+      return Object.assign({}, status);
+    }
+    const { command, args, env } = launchSpec;
+
+    const proc = spawn(command, args, { env, stdio: ['ignore', 'pipe', 'pipe', 'ipc'] });
+    child = proc;
+    log.write('supervisor', `started pid=${proc.pid} ${path.basename(args[0] || '')}`);
+    proc.stdout.on('data', (data) => log.write('out', data.toString()));
+    proc.stderr.on('data', (data) => log.write('err', data.toString()));
+    proc.on('message', handleMessage);
+    proc.on('error', (err) => recordError(`Poller process error: ${err.message}`));
+    proc.on('close', (code, signal) => {
+      if (child !== proc) return;
+      child = null;
+      clearTimeout(stableTimer);
+      log.write('supervisor', `pid=${proc.pid} exited (${signal || `code ${code}`})`);
+      if (!wanted) {
+        update({ state: 'stopped', pid: null, nextRestartAt: null });
+        if (startAfterStop) {
+          startAfterStop = false;
+          start();
+        }
+        return;
+      }
+      recordError(`Poller stopped unexpectedly (${signal || `exit code ${code}`})`);
+      update({ pid: null });
+      scheduleRestart();
+    });
+
+    // a worker that stays up this long resets the backoff
+    stableTimer = setTimeout(() => { failures = 0; }, stableAfterMs);
+    update({ state: 'running', pid: proc.pid, startedAt: new Date().toISOString(), nextRestartAt: null });
+    return Object.assign({}, status);
+  }
+
+  /**
+   * Ask the worker to stop after its current cycle; kill it if it hasn't within STOP_GRACE_MS.
+   * Resolves once it has exited. A start() meanwhile is held until then, and cancelled by another
+   * stop().
+   */
+  function stop() {
+    wanted = false;
+    startAfterStop = false;
+    failures = 0;
+    if (restartTimer) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    const proc = child;
+    if (!proc) {
+      update({ state: 'stopped', pid: null, nextRestartAt: null });
+      return Promise.resolve(Object.assign({}, status));
+    }
+    update({ state: 'stopping' });
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        log.write('supervisor', `pid=${proc.pid} did not stop in time; killing it`);
+        try { proc.kill(); } catch (e) {}
+      }, STOP_GRACE_MS);
+      proc.once('close', () => {
+        clearTimeout(timer);
+        resolve(Object.assign({}, status));
+      });
+      try { proc.send({ type: 'stop' }); } catch (e) { try { proc.kill(); } catch (_) {} }
+    });
+  }
+
+  // Stop, then start again with a fresh launch() (new settings or credentials)
+  async function restart() {
+    await stop();
+    return start();
+  }
+
+  return {
+    start,
+    stop,
+    restart,
+    isWanted: () => wanted || startAfterStop,
+    status: () => Object.assign({}, status)
+  };
+}
+
+module.exports = { createPollerSupervisor, createRotatingLog };
@@ -0,0 +1,76 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+/**
+ * processed-submissions.js
+ *
+ * Persistent record of the JotForm submission ids that have been turned into a worksheet and
+ * sheet row, so retried webhook deliveries (and the poller) don't process one twice:
+ *
+ *   { "version": 1, "submissions": { "<submission_id>": { status, source, outputFile, error, attempts, processedAt } } }
+ *
+ * status is 'done' or 'failed'; only 'done' counts as processed, so a failed submission is retried
+ * on the next delivery. attempts counts the failures in a row, so the poller can give up on a
+ * submission that keeps failing (poll-jotform.js --retry <id> runs it again by hand).
+ * Lives in WORKSHEET_STATE_DIR (userData when run from the app); the webhook and the poller both
+ * record into it, so each update re-reads and rewrites it under processed-submissions.json.lock.
+ */
+
+const STORE_FILE = 'processed-submissions.json';
+
+function processedStorePath(stateDir) {
+  return path.join(stateDir, STORE_FILE);
+}
+
+function createProcessedStore(filePath) {
+  const load = () => {
+    try {
+      const data = fs.readJsonSync(filePath);
+      if (data && typeof data.submissions === 'object') return data;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('Could not read processed submissions', filePath, e && e.message);
+    }
+    return { version: 1, submissions: {} };
+  };
+
+  // write-then-rename so a crash mid-write never loses the whole record
+  const save = (data) => {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeJsonSync(tmp, data, { spaces: 2 });
+    fs.renameSync(tmp, filePath);
+  };
+
+  return {
+    get(id) {
+      return load().submissions[String(id)] || null;
+    },
+
+    isProcessed(id) {
+      const entry = this.get(id);
+      return !!(entry && entry.status === 'done');
+    },
+
+    record(id, { status = 'done', source = '', outputFile = '', error = '' } = {}) {
+      return withFileLock(`${filePath}.lock`, () => {
+        const data = load();
+        const previous = data.submissions[String(id)];
+        const attempts = status === 'failed' ? ((previous && previous.status === 'failed' && previous.attempts) || 0) + 1 : 0;
+        data.submissions[String(id)] = { status, source, outputFile, error, attempts, processedAt: new Date().toISOString() };
+        save(data);
+        return data.submissions[String(id)];
+      });
+    },
+
+    // failed submissions with at least `minAttempts` failures, as [{ id, ...entry }]
+    failed(minAttempts = 1) {
+      const { submissions } = load();
+      return Object.keys(submissions)
+        .filter(id => submissions[id].status === 'failed' && (submissions[id].attempts || 1) >= minAttempts)
+        .map(id => Object.assign({ id }, submissions[id]));
+    }
+  };
+}
+
+module.exports = { processedStorePath, createProcessedStore };
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * replay-fixtures.js
+ *
+ * Replays recorded JotForm submissions as webhook deliveries, oldest first, to exercise the whole
+ * path (webhook -> field mapping -> sheet row -> worksheet) on a laptop:
+ *
+ *   JOTFORM_FIXTURES_DIR=server/fixtures/jotform PORT=3000 node server/webhook-jotform.js
+ *   node server/replay-fixtures.js [--url http://localhost:3000/jotform-webhook]
+ *        [--fixtures server/fixtures/jotform] [--only <submissionId>] [--repeat 2] [--delay 250]
+ *
+ * Each POST carries submission_id plus the recorded answers, so it also works when the webhook
+ * can't look the submission up. With JOTFORM_WEBHOOK_SECRET set, requests are HMAC-signed the way
+ * webhook-jotform.js expects; --repeat > 1 re-sends each one (with a fresh signature) to check
+ * duplicates are ignored.
+ */
+require('dotenv').config();
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const argv = require('minimist')(process.argv.slice(2));
+const { loadFixtureSubmissions } = require('./jotform-client');
+
+const URL = argv.url || `http://localhost:${process.env.PORT || 3000}/jotform-webhook`;
+const FIXTURES_DIR = path.resolve(String(argv.fixtures || process.env.JOTFORM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'jotform')));
+const REPEAT = Math.max(1, Number(argv.repeat || 1));
+const DELAY_MS = Number(argv.delay || 250);
+const SECRET = process.env.JOTFORM_WEBHOOK_SECRET || '';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function signedHeaders(body) {
+  if (!SECRET) return {};
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return { 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `sha256=${signature}` };
+}
+
+async function main() {
+  let submissions = loadFixtureSubmissions(FIXTURES_DIR).reverse();
+  if (argv.only) submissions = submissions.filter(s => String(s.id || s.submission_id) === String(argv.only));
+  if (!submissions.length) throw new Error(`No fixtures to replay in ${FIXTURES_DIR}`);
+
+  console.log(`Replaying ${submissions.length} submission(s) x${REPEAT} to ${URL}`);
+  let failures = 0;
+  for (const s of submissions) {
+    const id = String(s.id || s.submission_id);
+    for (let attempt = 1; attempt <= REPEAT; attempt++) {
+      // a fresh nonce keeps a repeat from being rejected as a replayed signature before the id check
+      const body = JSON.stringify(Object.assign({}, s, { submission_id: id, formID: s.form_id, replayNonce: crypto.randomBytes(4).toString('hex') }));
+      try {
+        const resp = await axios.post(URL, body, {
+          headers: Object.assign({ 'Content-Type': 'application/json' }, signedHeaders(body)),
+          timeout: 10000,
+          validateStatus: () => true
+        });
+        console.log(`${id} #${attempt}: ${resp.status} ${String(resp.data).trim()}`);
+        if (resp.status >= 400) failures++;
+      } catch (err) {
+        failures++;
+        console.error(`${id} #${attempt}: request failed:`, err.message);
+      }
+      await sleep(DELAY_MS);
+    }
+  }
+  if (failures) {
+    console.error(`${failures} delivery(ies) failed`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error('Failed:', err && err.message ? err.message : err);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * report-timesheet.js
+ *
+ * Weekly timesheet per engineer from the same rows fillFromSheet.js reads: hours and extra hours
+ * per day, the jobs visited and who they worked with, written as an XLSX workbook (a summary sheet
+ * plus one sheet of visits per engineer) and a docx summary (templates/timesheet_template_1.docx).
+ *
+ *   node server/report-timesheet.js [--week 2026-10-12] [--engineer "Steven Smith"]
+ *        [--output <dir>] [--source rows.csv|rows.xlsx] [--sheet <name>]
+ *
+ * --week is any date in the week wanted (weeks run Monday to Sunday); without it the last
+ * complete week is reported. Files are timesheet_<monday YYYY-MM-DD>[_<engineer>].xlsx/.docx.
+ *
+ * HOURS / HOURS EXTRA may be written "7.5", "8 hrs", "7h30" or "7:30"; anything else counts as 0
+ * and is listed in the report's notes, as are visits whose DATE needed a guess or can't be read.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const minimist = require('minimist');
+const ExcelJS = require('exceljs');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const { sourceOptions, parseHours, readVisits } = require('./visit-rows');
+const { parseDate, formatDate, formatDisplayDate, describeDateIssue } = require('./dates');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const argv = minimist(process.argv.slice(2), { string: ['week', 'engineer'] });
+const OUTPUT_DIR = argv.output ? path.resolve(argv.output) : path.join(__dirname, 'output');
+const TEMPLATE_PATH = path.join(__dirname, 'templates', 'timesheet_template_1.docx');
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const NOBODY = /^(none|no|no one|nobody|alone|n\/?a|-)$/i;
+
+const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+const round2 = (n) => Math.round(n * 100) / 100;
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+const unique = (list) => Array.from(new Set(list.filter(Boolean)));
+
+// Monday of the week containing `date`
+function weekStartFor(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+function resolveWeek(value) {
+  if (!value) return addDays(weekStartFor(new Date()), -7);
+  const parsed = parseDate(String(value));
+  if (!parsed.date) throw new Error(`--week: "${value}" is not a date`);
+  if (parsed.issue) console.warn(`--week: ${describeDateIssue(value, parsed)}`);
+  return weekStartFor(parsed.date);
+}
+
+// "Bob, Dave & Sam" -> ['Bob', 'Dave', 'Sam']
+function coworkers(value) {
+  return unique(String(value || '').split(/,|&|\/|\+|\band\b/i).map(clean).filter(n => n && !NOBODY.test(n)));
+}
+
+const jobLabel = (visit) => [visit.job, visit.customer || visit.address].filter(Boolean).join(' — ');
+
+/**
+ * Group the week's visits by engineer. Returns { weekStart, weekEnd, engineers, notes } with an
+ * entry per day (Monday first) for each engineer.
+ */
+function buildTimesheet(visits, weekStart, { engineer = '' } = {}) {
+  const weekEnd = addDays(weekStart, 6);
+  const weekEndExclusive = addDays(weekStart, 7);
+  const inWeek = (d) => d && d >= weekStart && d < weekEndExclusive;
+  const wanted = clean(engineer).toLowerCase();
+  const byName = new Map();
+  const notes = [];
+
+  for (const { row, fields, date } of visits) {
+    const name = clean(fields.NAME);
+    if (!name || (wanted && name.toLowerCase() !== wanted)) continue;
+    const where = `Row ${row.__index || '?'} (${name}${fields.JOB_NO ? `, job ${fields.JOB_NO}` : ''})`;
+
+    if (!date.date) {
+      // only mention undated rows submitted during the week or the week after
+      const submitted = parseDate(fields.TIMESTAMP).date;
+      if (submitted && submitted >= weekStart && submitted < addDays(weekStart, 14)) {
+        notes.push(`${where}: ${describeDateIssue(date.raw, date)} — not included`);
+      }
+      continue;
+    }
+    if (!inWeek(date.date)) continue;
+    if (date.issue) notes.push(`${where}: ${describeDateIssue(date.raw, date)}`);
+
+    const hours = parseHours(fields.HOURS);
+    const extra = parseHours(fields.HOURS_EXTRA);
+    if (hours.issue) notes.push(`${where}: ${hours.issue}`);
+    if (extra.issue) notes.push(`${where}: extra ${extra.issue}`);
+
+    const key = name.toLowerCase();
+    if (!byName.has(key)) {
+      byName.set(key, {
+        name,
+        days: DAY_NAMES.map((dayName, i) => ({ dayName, date: addDays(weekStart, i), visits: [] }))
+      });
+    }
+    const dayIndex = Math.round((date.date - weekStart) / 86400000);
+    byName.get(key).days[dayIndex].visits.push({
+      row: row.__index || null,
+      date: date.date,
+      job: clean(fields.JOB_NO),
+      customer: clean(fields.CUSTOMER),
+      address: clean(fields.ADDRESS),
+      hours: hours.hours,
+      extraHours: extra.hours,
+      workedWith: coworkers(fields.WORKED_WITH)
+    });
+  }
+
+  const engineers = Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name)).map(e => {
+    for (const day of e.days) {
+      day.hours = round2(day.visits.reduce((sum, v) => sum + v.hours, 0));
+      day.extraHours = round2(day.visits.reduce((sum, v) => sum + v.extraHours, 0));
+      day.jobs = unique(day.visits.map(jobLabel));
+      day.workedWith = unique([].concat(...day.visits.map(v => v.workedWith)));
+    }
+    const all = [].concat(...e.days.map(d => d.visits));
+    e.totals = {
+      hours: round2(e.days.reduce((sum, d) => sum + d.hours, 0)),
+      extraHours: round2(e.days.reduce((sum, d) => sum + d.extraHours, 0)),
+      visits: all.length,
+      jobs: unique(all.map(v => v.job)),
+      workedWith: unique([].concat(...all.map(v => v.workedWith)))
+    };
+    return e;
+  });
+
+  return { weekStart, weekEnd, engineers, notes };
+}
+
+const dayHeader = (day) => `${day.dayName.slice(0, 3)} ${formatDate(day.date, 'DD/MM')}`;
+const hoursCell = (n, day) => (day && !day.visits.length ? '' : n);
+
+// Excel sheet names: at most 31 characters, none of []:*?/\ and unique in the workbook
+function sheetName(name, used) {
+  const base = name.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Engineer';
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} ${n}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+async function writeXlsx(timesheet, filePath) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Worksheet Generator';
+  workbook.created = new Date();
+  const used = new Set(['summary', 'notes']);
+
+  const summary = workbook.addWorksheet('Summary');
+  const days = timesheet.engineers.length ? timesheet.engineers[0].days : DAY_NAMES.map((dayName, i) => ({ dayName, date: addDays(timesheet.weekStart, i) }));
+  summary.columns = [{ header: 'Engineer', key: 'name', width: 24 }]
+    .concat(days.map((day, i) => ({ header: dayHeader(day), key: `d${i}`, width: 11 })))
+    .concat([
+      { header: 'Total hours', key: 'hours', width: 12 },
+      { header: 'Extra hours', key: 'extraHours', width: 12 },
+      { header: 'Visits', key: 'visits', width: 8 },
+      { header: 'Jobs', key: 'jobs', width: 30 },
+      { header: 'Worked with', key: 'workedWith', width: 30 }
+    ]);
+  for (const e of timesheet.engineers) {
+    const row = { name: e.name, hours: e.totals.hours, extraHours: e.totals.extraHours, visits: e.totals.visits, jobs: e.totals.jobs.join(', '), workedWith: e.totals.workedWith.join(', ') };
+    e.days.forEach((day, i) => { row[`d${i}`] = hoursCell(day.hours, day); });
+    summary.addRow(row);
+  }
+  summary.getRow(1).font = { bold: true };
+  summary.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+
+  for (const e of timesheet.engineers) {
+    const sheet = workbook.addWorksheet(sheetName(e.name, used));
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Day', key: 'day', width: 11 },
+      { header: 'Job', key: 'job', width: 12 },
+      { header: 'Customer / address', key: 'where', width: 40 },
+      { header: 'Hours', key: 'hours', width: 8 },
+      { header: 'Extra hours', key: 'extraHours', width: 11 },
+      { header: 'Worked with', key: 'workedWith', width: 28 }
+    ];
+    for (const day of e.days) {
+      for (const v of day.visits) {
+        sheet.addRow({ date: formatDisplayDate(day.date), day: day.dayName, job: v.job, where: v.customer || v.address, hours: v.hours, extraHours: v.extraHours, workedWith: v.workedWith.join(', ') });
+      }
+    }
+    const total = sheet.addRow({ date: 'Total', hours: e.totals.hours, extraHours: e.totals.extraHours });
+    total.font = { bold: true };
+    sheet.getRow(1).font = { bold: true };
+  }
+
+  if (timesheet.notes.length) {
+    const notes = workbook.addWorksheet('Notes');
+    notes.columns = [{ header: 'Check in the sheet', key: 'note', width: 100 }];
+    timesheet.notes.forEach(note => notes.addRow({ note }));
+    notes.getRow(1).font = { bold: true };
+  }
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+function writeDocx(timesheet, filePath) {
+  if (!fs.existsSync(TEMPLATE_PATH)) throw new Error(`Timesheet template not found at: ${TEMPLATE_PATH}`);
+  const doc = new Docxtemplater(new PizZip(fs.readFileSync(TEMPLATE_PATH, 'binary')), { paragraphLoop: true, linebreaks: true });
+  doc.render({
+    WEEK_LABEL: `${formatDisplayDate(timesheet.weekStart)} to ${formatDisplayDate(timesheet.weekEnd)}`,
+    GENERATED_AT: formatDisplayDate(new Date()),
+    HAS_ENGINEERS: timesheet.engineers.length > 0,
+    ENGINEERS: timesheet.engineers.map(e => ({
+      NAME: e.name,
+      TOTAL_HOURS: e.totals.hours,
+      TOTAL_EXTRA: e.totals.extraHours,
+      VISIT_COUNT: e.totals.visits,
+      WORKED_WITH: e.totals.workedWith.join(', ') || '-',
+      DAYS: e.days.map(day => ({
+        DAY: day.dayName,
+        DATE: formatDisplayDate(day.date),
+        JOBS: day.jobs.join('\n'),
+        HOURS: hoursCell(day.hours, day),
+        EXTRA_HOURS: hoursCell(day.extraHours, day),
+        WORKED_WITH: day.workedWith.join(', ')
+      }))
+    })),
+    HAS_NOTES: timesheet.notes.length > 0,
+    NOTES: timesheet.notes.map(note => ({ NOTE: note }))
+  });
+  fs.writeFileSync(filePath, doc.getZip().generate({ type: 'nodebuffer' }));
+}
+
+async function main() {
+  const weekStart = resolveWeek(argv.week);
+  const engineer = clean(argv.engineer);
+  const visits = await readVisits(sourceOptions(argv));
+  const timesheet = buildTimesheet(visits, weekStart, { engineer });
+
+  const suffix = engineer ? `_${engineer.replace(/[/\\?%*:|"<>]/g, '-')}` : '';
+  const base = path.join(OUTPUT_DIR, `timesheet_${formatDate(weekStart, 'YYYY-MM-DD')}${suffix}`);
+  fs.ensureDirSync(OUTPUT_DIR);
+  await writeXlsx(timesheet, `${base}.xlsx`);
+  writeDocx(timesheet, `${base}.docx`);
+  const files = [`${base}.xlsx`, `${base}.docx`];
+
+  console.log(`Timesheet ${formatDisplayDate(timesheet.weekStart)} to ${formatDisplayDate(timesheet.weekEnd)}:`);
+  if (!timesheet.engineers.length) console.log('  no visits this week');
+  for (const e of timesheet.engineers) {
+    console.log(`  ${e.name}: ${e.totals.hours} h + ${e.totals.extraHours} h extra over ${e.totals.visits} visit(s)`);
+  }
+  if (timesheet.notes.length) console.warn(`\nCheck in the sheet:\n  ${timesheet.notes.join('\n  ')}`);
+  files.forEach(f => console.log('Wrote', f));
+
+  const summary = {
+    week: formatDate(weekStart, 'YYYY-MM-DD'),
+    engineers: timesheet.engineers.map(e => ({ name: e.name, hours: e.totals.hours, extraHours: e.totals.extraHours, visits: e.totals.visits })),
+    notes: timesheet.notes
+  };
+  if (typeof process.send === 'function' && process.connected) process.send({ type: 'report', report: 'timesheet', files, summary });
+  return { files, summary };
+}
+
+if (require.main === module) {
+  // the IPC channel must not keep the process alive once the report is written
+  if (process.channel) process.channel.unref();
+  main().catch((err) => {
+    console.error('Timesheet failed:', err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { coworkers, weekStartFor, buildTimesheet };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * report-variations.js
+ *
+ * Variations schedule for one job: every visit on the job that recorded work outside scope
+ * (VARIATIONS - Extras, HOURS EXTRA, EXTRA MATERIALS / SUPPLIER EXTRAS), oldest first, with totals
+ * for extra hours and extra materials, rendered from templates/variations_template_1.docx.
+ * Rows are read and mapped exactly as fillFromSheet.js does (visit-rows.js); extra materials are
+ * itemised by materials.js.
+ *
+ *   node server/report-variations.js --job J1001 [--output <dir>] [--source rows.csv|rows.xlsx]
+ *        [--sheet <name>]
+ *
+ * Job numbers match ignoring case and punctuation ("j-1001" finds J1001). The file is written as
+ * variations_<job>.docx.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const minimist = require('minimist');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const { sourceOptions, normalizeJobNo, parseHours, readVisits } = require('./visit-rows');
+const { parseMaterials } = require('./materials');
+const { formatDisplayDate, describeDateIssue } = require('./dates');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const argv = minimist(process.argv.slice(2), { string: ['job'] });
+const OUTPUT_DIR = argv.output ? path.resolve(argv.output) : path.join(__dirname, 'output');
+const TEMPLATE_PATH = path.join(__dirname, 'templates', 'variations_template_1.docx');
+
+const clean = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+const round2 = (n) => Math.round(n * 100) / 100;
+const firstOf = (visits, field) => (visits.find(v => clean(v.fields[field])) || { fields: {} }).fields[field] || '';
+
+/**
+ * Sum itemised materials with the same description, unit and supplier; free-text rows are kept
+ * as they are.
+ */
+function totalMaterials(items) {
+  const totals = new Map();
+  const freeText = [];
+  for (const item of items) {
+    if (item.QUANTITY === null) {
+      freeText.push(item);
+      continue;
+    }
+    const key = [item.DESCRIPTION.toLowerCase(), item.UNIT, item.ITEM_SUPPLIER.toLowerCase()].join('|');
+    const existing = totals.get(key);
+    if (existing) existing.QUANTITY = round2(existing.QUANTITY + item.QUANTITY);
+    else totals.set(key, Object.assign({}, item));
+  }
+  const summed = Array.from(totals.values()).map(item => Object.assign(item, { QTY: item.UNIT ? `${item.QUANTITY} ${item.UNIT}` : String(item.QUANTITY) }));
+  return summed.concat(freeText);
+}
+
+/**
+ * The job's visits with extras, oldest first. Returns { job, customer, address, visitCount,
+ * variations, totals, notes }.
+ */
+function buildVariations(visits, job) {
+  const onJob = visits.filter(v => normalizeJobNo(v.fields.JOB_NO) === normalizeJobNo(job));
+  const notes = [];
+  const variations = [];
+
+  for (const { row, fields, date } of onJob) {
+    const extraHours = parseHours(fields.HOURS_EXTRA);
+    const materials = parseMaterials(fields.EXTRA_MATERIALS, { supplier: fields.SUPPLIER });
+    if (!clean(fields.EXTRAS) && !extraHours.hours && !extraHours.issue && !materials.items.length) continue;
+
+    const where = `Row ${row.__index || '?'} (${clean(fields.NAME) || 'no name'})`;
+    if (date.issue) notes.push(`${where}: ${describeDateIssue(date.raw, date)}`);
+    if (extraHours.issue) notes.push(`${where}: extra ${extraHours.issue}`);
+
+    variations.push({
+      date: date.date,
+      dateText: date.date ? formatDisplayDate(date.date) : clean(fields.DATE) || 'no date',
+      name: clean(fields.NAME),
+      extras: String(fields.EXTRAS || '').trim(),
+      extraHours: extraHours.hours,
+      materials: materials.items
+    });
+  }
+
+  // undated visits last, in sheet order
+  variations.sort((a, b) => (a.date && b.date ? a.date - b.date : (a.date ? -1 : (b.date ? 1 : 0))));
+
+  return {
+    job: clean(firstOf(onJob, 'JOB_NO')) || clean(job),
+    customer: clean(firstOf(onJob, 'CUSTOMER')),
+    address: clean(firstOf(onJob, 'ADDRESS')),
+    visitCount: onJob.length,
+    variations,
+    totals: {
+      extraHours: round2(variations.reduce((sum, v) => sum + v.extraHours, 0)),
+      materials: totalMaterials([].concat(...variations.map(v => v.materials)))
+    },
+    notes
+  };
+}
+
+function writeDocx(schedule, filePath) {
+  if (!fs.existsSync(TEMPLATE_PATH)) throw new Error(`Variations template not found at: ${TEMPLATE_PATH}`);
+  const doc = new Docxtemplater(new PizZip(fs.readFileSync(TEMPLATE_PATH, 'binary')), { paragraphLoop: true, linebreaks: true });
+  doc.render({
+    JOB_NO: schedule.job,
+    CUSTOMER: schedule.customer || '-',
+    ADDRESS: schedule.address || '-',
+    GENERATED_AT: formatDisplayDate(new Date()),
+    VISIT_COUNT: schedule.visitCount,
+    VARIATION_COUNT: schedule.variations.length,
+    HAS_VARIATIONS: schedule.variations.length > 0,
+    VARIATIONS: schedule.variations.map(v => ({
+      DATE: v.dateText,
+      NAME: v.name || '-',
+      EXTRAS: v.extras || '-',
+      HOURS_EXTRA: v.extraHours,
+      MATERIAL_ITEMS: v.materials
+    })),
+    TOTAL_EXTRA_HOURS: schedule.totals.extraHours,
+    MATERIAL_TOTALS: schedule.totals.materials,
+    HAS_NOTES: schedule.notes.length > 0,
+    NOTES: schedule.notes.map(note => ({ NOTE: note }))
+  });
+  fs.writeFileSync(filePath, doc.getZip().generate({ type: 'nodebuffer' }));
+}
+
+async function main() {
+  const job = clean(argv.job);
+  if (!job) throw new Error('Usage: report-variations.js --job <job number>');
+
+  const visits = await readVisits(sourceOptions(argv));
+  const schedule = buildVariations(visits, job);
+  if (!schedule.visitCount) throw new Error(`No rows found for job ${job}`);
+
+  fs.ensureDirSync(OUTPUT_DIR);
+  const file = path.join(OUTPUT_DIR, `variations_${schedule.job.replace(/[/\\?%*:|"<>]/g, '-')}.docx`);
+  writeDocx(schedule, file);
+
+  console.log(`Job ${schedule.job}: ${schedule.variations.length} of ${schedule.visitCount} visit(s) recorded extras, ${schedule.totals.extraHours} extra hour(s)`);
+  if (schedule.notes.length) console.warn(`\nCheck in the sheet:\n  ${schedule.notes.join('\n  ')}`);
+  console.log('Wrote', file);
+
+  const summary = {
+    job: schedule.job,
+    customer: schedule.customer,
+    visits: schedule.visitCount,
+    variations: schedule.variations.length,
+    extraHours: schedule.totals.extraHours,
+    materials: schedule.totals.materials.length,
+    notes: schedule.notes
+  };
+  if (typeof process.send === 'function' && process.connected) process.send({ type: 'report', report: 'variations', files: [file], summary });
+  return { files: [file], summary };
+}
+
+if (require.main === module) {
+  // the IPC channel must not keep the process alive once the report is written
+  if (process.channel) process.channel.unref();
+  main().catch((err) => {
+    console.error('Variations schedule failed:', err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { buildVariations, totalMaterials };
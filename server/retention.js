@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * retention.js
+ *
+ * Retention policy for the output folder: worksheets whose visit is more than RETENTION_MONTHS
+ * months old are moved, with their <worksheet>_attachments folders, into one zip per visit month:
+ *
+ *   <output>/archive/worksheets_YYYY-MM.zip      (worksheets_YYYY-MM (2).zip for a later run)
+ *
+ * Nothing is ever deleted without being archived first, and worksheets for open jobs stay where
+ * they are: a job is open when it is listed in RETENTION_OPEN_JOBS (comma-separated) or has a
+ * worksheet newer than the cutoff. Files that don't read back as worksheet names (output-naming.js)
+ * are left alone. Archived worksheets are marked in the generation ledger so they are not
+ * generated again.
+ *
+ * fillFromSheet.js applies the policy after every generation run (a dry run only previews it);
+ * the app previews and applies it on demand through this script:
+ *
+ *   node server/retention.js [--output <dir>] [--months N] [--apply [--plan <planId>]]
+ *
+ * Without --apply only the preview is printed. The preview's planId fingerprints the files it
+ * would archive; passing it with --apply archives exactly that plan and refuses if the folder has
+ * changed since (the app always does). RETENTION_MONTHS unset or 0 turns the policy off.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const minimist = require('minimist');
+const { normalizeJobNo } = require('./visit-rows');
+const { ledgerPath, loadLedger, saveLedger, markArchived } = require('./generation-ledger');
+const { parseDate, formatDate } = require('./dates');
+const { parseWorksheetName, worksheetMatcher, availablePath, listWorksheetFiles } = require('./output-naming');
+const { attachmentsDirFor } = require('./attachments');
+const { writeZip } = require('./zip-files');
+const { tryLock, unlock } = require('./file-lock');
+
+const ARCHIVE_DIR = 'archive';
+
+function retentionPolicy(env = process.env) {
+  return {
+    months: Math.max(0, Math.floor(Number(env.RETENTION_MONTHS) || 0)),
+    openJobs: String(env.RETENTION_OPEN_JOBS || '').split(',').map(s => s.trim()).filter(Boolean)
+  };
+}
+
+// the same day `months` months before `now` (clamped to the month's last day)
+function cutoffFor(months, now = new Date()) {
+  const cutoff = new Date(now.getFullYear(), now.getMonth() - months, 1);
+  const lastDay = new Date(cutoff.getFullYear(), cutoff.getMonth() + 1, 0).getDate();
+  cutoff.setDate(Math.min(now.getDate(), lastDay));
+  return cutoff;
+}
+
+/**
+ * Every worksheet under outputDir as { file, rel, job, date, dated } — job and date from the
+ * generation ledger when it wrote the file, else read back from the file name. Undated worksheets
+ * are aged by file time (dated: false). Unrecognised .docx files are returned separately.
+ */
+function scanWorksheets(outputDir, ledger) {
+  const fromLedger = new Map();
+  for (const entry of Object.values(ledger.entries)) {
+    if (entry.path) fromLedger.set(path.resolve(entry.path), entry);
+  }
+
+  const worksheets = [];
+  const unrecognised = [];
+  for (const file of listWorksheetFiles(outputDir)) {
+    const rel = path.relative(outputDir, file).split(path.sep).join('/');
+    if (rel.split('/')[0] === ARCHIVE_DIR) continue;
+    const entry = fromLedger.get(path.resolve(file));
+    const named = parseWorksheetName(rel);
+    if (!entry && !named) {
+      unrecognised.push(rel);
+      continue;
+    }
+    const date = (entry && parseDate(entry.date).date) || (named && named.date) || null;
+    worksheets.push({
+      file,
+      rel,
+      job: (entry && entry.job) || (named && named.job) || '',
+      date: date || new Date(fs.statSync(file).mtimeMs),
+      dated: !!date
+    });
+  }
+  return { worksheets, unrecognised };
+}
+
+/**
+ * What applying the policy would do, without touching anything:
+ * { outputDir, months, cutoff, archives: [{ month, zip, worksheets }], kept: { recent, open },
+ *   openJobs, unrecognised, notes }.
+ */
+function planRetention(outputDir, { months, openJobs = [], stateDir, now = new Date() }) {
+  const ledger = loadLedger(ledgerPath(stateDir));
+  const cutoff = cutoffFor(months, now);
+  const { worksheets, unrecognised } = scanWorksheets(outputDir, ledger);
+
+  const recent = worksheets.filter(w => w.date >= cutoff);
+  const open = new Map(openJobs.map(job => [normalizeJobNo(job), job]));
+  recent.forEach(w => { if (w.job && !open.has(normalizeJobNo(w.job))) open.set(normalizeJobNo(w.job), w.job); });
+  // listed jobs are also matched by name, in case a file name's job was misread
+  const listedMatchers = openJobs.map(job => worksheetMatcher(job));
+  const isOpen = (w) => open.has(normalizeJobNo(w.job)) || listedMatchers.some(match => match(w.rel) || match(path.basename(w.rel)));
+
+  const notes = [];
+  const byMonth = new Map();
+  let keptOpen = 0;
+  for (const w of worksheets.filter(w => w.date < cutoff)) {
+    if (isOpen(w)) {
+      keptOpen++;
+      continue;
+    }
+    if (!w.job) notes.push(`${w.rel}: no job number in the name, archived by visit date only`);
+    if (!w.dated) notes.push(`${w.rel}: no visit date, aged by file time (${formatDate(w.date, 'YYYY-MM-DD')})`);
+    const month = formatDate(w.date, 'YYYY-MM');
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    const attachments = attachmentsDirFor(w.file);
+    byMonth.get(month).push(Object.assign({}, w, { attachments: fs.existsSync(attachments) ? attachments : null }));
+  }
+
+  const archives = Array.from(byMonth.keys()).sort().map(month => ({
+    month,
+    zip: path.join(outputDir, ARCHIVE_DIR, `worksheets_${month}.zip`),
+    worksheets: byMonth.get(month).sort((a, b) => a.date - b.date)
+  }));
+
+  return {
+    outputDir,
+    months,
+    cutoff,
+    archives,
+    kept: { recent: recent.length, open: keptOpen },
+    openJobs: Array.from(open.values()).sort(),
+    unrecognised,
+    notes
+  };
+}
+
+// fingerprint of what a plan would archive: which worksheets (and attachment folders) go into which zip
+function planId(plan) {
+  const files = plan.archives.map(a => [a.month, a.worksheets.map(w => `${w.rel}${w.attachments ? '+' : ''}`)]);
+  return crypto.createHash('sha1').update(JSON.stringify([plan.months, files])).digest('hex');
+}
+
+// remove now-empty {yyyy}/{mm} folders between `dir` and the output folder
+function removeEmptyFolders(dir, outputDir) {
+  let current = path.resolve(dir);
+  const root = path.resolve(outputDir);
+  while (current !== root && !path.relative(root, current).startsWith('..')) {
+    if (fs.readdirSync(current).length) return;
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * Archive what planRetention() found: each month's zip is written in full before any of its
+ * worksheets are removed. Returns the zips written.
+ */
+async function applyRetention(plan, { stateDir }) {
+  const written = [];
+  for (const archive of plan.archives) {
+    const zipPath = availablePath(archive.zip);
+    const entries = [];
+    for (const w of archive.worksheets) {
+      entries.push({ name: w.rel, file: w.file });
+      if (w.attachments) {
+        const relDir = path.relative(plan.outputDir, w.attachments).split(path.sep).join('/');
+        for (const f of fs.readdirSync(w.attachments)) {
+          if (fs.statSync(path.join(w.attachments, f)).isFile()) entries.push({ name: `${relDir}/${f}`, file: path.join(w.attachments, f) });
+        }
+      }
+    }
+    fs.ensureDirSync(path.dirname(zipPath));
+    await writeZip(zipPath, entries);
+    console.log(`Archived ${archive.worksheets.length} worksheet(s) from ${archive.month} into ${zipPath}`);
+
+    const ledgerFile = ledgerPath(stateDir);
+    const ledger = loadLedger(ledgerFile);
+    for (const w of archive.worksheets) {
+      fs.removeSync(w.file);
+      if (w.attachments) fs.removeSync(w.attachments);
+      markArchived(ledger, w.file, zipPath);
+      removeEmptyFolders(path.dirname(w.file), plan.outputDir);
+    }
+    saveLedger(ledgerFile, ledger);
+    written.push(zipPath);
+  }
+  return written;
+}
+
+function printPlan(plan) {
+  const count = plan.archives.reduce((sum, a) => sum + a.worksheets.length, 0);
+  console.log(`Retention: archive worksheets older than ${plan.months} month(s) (before ${formatDate(plan.cutoff, 'YYYY-MM-DD')})`);
+  for (const archive of plan.archives) {
+    console.log(`  ${path.relative(plan.outputDir, archive.zip)}: ${archive.worksheets.length} worksheet(s)`);
+    archive.worksheets.forEach(w => console.log(`    ${w.rel}${w.attachments ? ' (+ attachments)' : ''}`));
+  }
+  console.log(`${count} to archive; kept ${plan.kept.recent} recent and ${plan.kept.open} old worksheet(s) for open jobs`);
+  if (plan.unrecognised.length) console.log(`Left alone (not worksheet names): ${plan.unrecognised.join(', ')}`);
+  if (plan.notes.length) console.warn(`Check:\n  ${plan.notes.join('\n  ')}`);
+}
+
+// what the app shows: the plan without Date objects or absolute paths
+function planSummary(plan, written = null) {
+  return {
+    planId: planId(plan),
+    months: plan.months,
+    cutoff: formatDate(plan.cutoff, 'YYYY-MM-DD'),
+    archives: plan.archives.map(a => ({ month: a.month, zip: path.basename(a.zip), worksheets: a.worksheets.map(w => w.rel) })),
+    kept: plan.kept,
+    openJobs: plan.openJobs,
+    unrecognised: plan.unrecognised,
+    notes: plan.notes,
+    applied: !!written
+  };
+}
+
+/**
+ * The policy as fillFromSheet.js runs it after generating: off when RETENTION_MONTHS is 0, preview
+ * only on a dry run. Never throws — a failed archive run is logged and the worksheets stay put.
+ */
+async function runRetentionPolicy(outputDir, { stateDir, dry = false }) {
+  const policy = retentionPolicy();
+  if (!policy.months) return null;
+  try {
+    const plan = planRetention(outputDir, Object.assign({ stateDir }, policy));
+    if (!plan.archives.length) return plan;
+    printPlan(plan);
+    if (dry) console.log('[dry-run] nothing archived');
+    else await applyRetention(plan, { stateDir });
+    return plan;
+  } catch (err) {
+    console.error('Retention failed, nothing more archived:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+module.exports = { ARCHIVE_DIR, retentionPolicy, cutoffFor, planRetention, planId, applyRetention, runRetentionPolicy };
+
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+  const argv = minimist(process.argv.slice(2), { string: ['plan'] });
+  const OUTPUT_DIR = argv.output ? path.resolve(argv.output) : path.join(__dirname, 'output');
+  const STATE_DIR = process.env.WORKSHEET_STATE_DIR ? path.resolve(process.env.WORKSHEET_STATE_DIR) : __dirname;
+  const LOCK_PATH = path.join(STATE_DIR, '.generator.lock');
+
+  // the IPC channel must not keep the process alive once the run is done
+  if (process.channel) process.channel.unref();
+
+  // archiving moves files the generator may be writing: share fillFromSheet.js's lock, created
+  // exclusively so a run that takes it first is never overwritten (file-lock.js)
+  const acquireLock = () => tryLock(LOCK_PATH);
+  const releaseLock = () => unlock(LOCK_PATH);
+
+  (async () => {
+    const policy = retentionPolicy();
+    const months = argv.months !== undefined ? Math.floor(Number(argv.months)) : policy.months;
+    if (!Number.isInteger(months) || months < 1) {
+      throw new Error('Retention is off: set RETENTION_MONTHS or pass --months N (1 or more).');
+    }
+    // plan under the lock when applying, so nothing is generated between the check and the archive
+    if (argv.apply && !acquireLock()) throw new Error('A generation run is in progress; try again when it has finished.');
+    let plan;
+    let written = null;
+    try {
+      plan = planRetention(OUTPUT_DIR, { months, openJobs: policy.openJobs, stateDir: STATE_DIR });
+      printPlan(plan);
+      if (argv.apply && argv.plan !== undefined && argv.plan !== planId(plan)) {
+        throw new Error('The output folder has changed since the preview; preview again before archiving.');
+      }
+      if (argv.apply && plan.archives.length) written = await applyRetention(plan, { stateDir: STATE_DIR });
+    } finally {
+      if (argv.apply) releaseLock();
+    }
+
+    const summary = planSummary(plan, argv.apply ? (written || []) : null);
+    if (typeof process.send === 'function' && process.connected) process.send({ type: 'report', report: 'retention', files: written || [], summary });
+  })().catch((err) => {
+    console.error('Retention failed:', err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
+}
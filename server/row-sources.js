@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { google } = require('googleapis');
+const { loadGoogleCredentials } = require('./google-credentials');
+
+/**
+ * Row sources for the sheet generator.
+ *
+ * Every source produces a plain 2D array of cell strings (header row first). readRows() turns
+ * that into the objects the rest of the pipeline has always used: one object per data row keyed
+ * by header text, plus `__row` holding the raw cell array for the column-index fallbacks in
+ * mapSheetRowToTemplateFields().
+ *
+ * createRowSource({ source }) picks the implementation:
+ * - "*.csv"           -> local CSV export (e.g. from the JotForm dashboard)
+ * - "*.xlsx"/"*.xlsm" -> local Excel workbook (first sheet, or `sheetName`)
+ * - anything else     -> Google Sheets (GOOGLE_SHEET_ID / GOOGLE_SHEET_RANGE)
+ */
+
+function googleSheetSource({ sheetId, range, credentialsPath }) {
+  return {
+    name: 'google-sheets',
+    describe: () => `spreadsheetId=${sheetId} range="${range}"`,
+    async readValues() {
+      if (!sheetId) throw new Error('Missing GOOGLE_SHEET_ID in .env!');
+
+      const creds = loadGoogleCredentials(credentialsPath);
+      const auth = new google.auth.GoogleAuth({
+        credentials: creds,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
+      });
+      const sheets = google.sheets({ version: 'v4', auth });
+      const response = await sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range });
+      return response.data.values || [];
+    }
+  };
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, doubled quotes, embedded newlines, CRLF and a UTF-8 BOM.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const str = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (inQuotes) {
+      if (ch === '"' && str[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+      continue;
+    }
+    if (ch === '"') inQuotes = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && str[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  // drop blank lines (a lone empty field) so they don't become empty data rows
+  return rows.filter(r => r.length > 1 || String(r[0] || '').trim() !== '');
+}
+
+function csvFileSource(filePath) {
+  return {
+    name: 'csv',
+    describe: () => `CSV file "${filePath}"`,
+    async readValues() {
+      if (!fs.existsSync(filePath)) throw new Error(`CSV file not found at: ${filePath}`);
+      return parseCsv(await fs.readFile(filePath, 'utf8'));
+    }
+  };
+}
+
+// Excel stores dates as real dates; render them the way the sheet shows them (UK day-first).
+function excelCellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const date = `${value.getUTCDate()}/${value.getUTCMonth() + 1}/${value.getUTCFullYear()}`;
+    const hasTime = value.getUTCHours() || value.getUTCMinutes() || value.getUTCSeconds();
+    if (!hasTime) return date;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if (value.text !== undefined) return excelCellToString(value.text);
+    if (value.result !== undefined) return excelCellToString(value.result);
+    if (value.error) return '';
+  }
+  return String(value);
+}
+
+function xlsxFileSource(filePath, { sheetName } = {}) {
+  return {
+    name: 'xlsx',
+    describe: () => `Excel file "${filePath}"${sheetName ? ` sheet="${sheetName}"` : ''}`,
+    async readValues() {
+      if (!fs.existsSync(filePath)) throw new Error(`Excel file not found at: ${filePath}`);
+      const ExcelJS = require('exceljs');
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(filePath);
+      const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+      if (!sheet) throw new Error(`Worksheet "${sheetName || '(first)'}" not found in ${filePath}`);
+
+      const values = [];
+      sheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based and sparse
+        const cells = [];
+        for (let c = 1; c < row.values.length; c++) cells.push(excelCellToString(row.values[c]));
+        values.push(cells);
+      });
+      return values;
+    }
+  };
+}
+
+function createRowSource({ source, sheetId, range, credentialsPath, sheetName } = {}) {
+  const ext = source ? path.extname(source).toLowerCase() : '';
+  if (ext === '.csv') return csvFileSource(path.resolve(source));
+  if (ext === '.xlsx' || ext === '.xlsm') return xlsxFileSource(path.resolve(source), { sheetName });
+  if (source) throw new Error(`Unsupported row source "${source}" (expected a .csv or .xlsx file)`);
+  return googleSheetSource({ sheetId, range, credentialsPath });
+}
+
+function valuesToRows(values) {
+  const [header, ...rows] = values || [];
+  if (!header) return [];
+  return rows.map((row, n) => {
+    const obj = header.reduce((acc, key, i) => {
+      acc[key] = row[i] || '';
+      return acc;
+    }, { __row: row });
+    // 1-based sheet row number (header is row 1); non-enumerable so it never reaches the mapping
+    Object.defineProperty(obj, '__index', { value: n + 2, enumerable: false });
+    return obj;
+  });
+}
+
+async function readRows(source) {
+  return valuesToRows(await source.readValues());
+}
+
+module.exports = {
+  createRowSource,
+  googleSheetSource,
+  csvFileSource,
+  xlsxFileSource,
+  parseCsv,
+  valuesToRows,
+  readRows
+};
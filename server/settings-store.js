@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parsePattern } = require('./output-naming');
+
+/**
+ * settings-store.js
+ *
+ * App settings edited on the Settings page, used only from the Electron main process. They live in
+ * settings.json under userData and reach every worker as environment variables (applyToEnv), so
+ * the server scripts keep reading process.env as they do from a terminal:
+ *
+ *   { "version": 1, "values": { GOOGLE_SHEET_ID, ... }, "seededFrom": ".env", "updatedAt", "updatedBy" }
+ *
+ * On first run the file is seeded from whatever .env main.js loaded; after that .env is not read
+ * for these keys. A blank value means "use the worker's own default". Credentials are not settings:
+ * they are imported into credential-vault.js.
+ */
+
+const isInt = (value, min, max) => /^\d+$/.test(value) && Number(value) >= min && (max === undefined || Number(value) <= max);
+
+const SETTINGS = [
+  {
+    key: 'GOOGLE_SHEET_ID',
+    label: 'Google Sheet ID',
+    help: 'The long ID in the sheet URL, between /d/ and /edit.',
+    required: true,
+    validate: (v) => (/^[A-Za-z0-9_-]{20,}$/.test(v) ? null : 'Paste the ID from the sheet URL (letters, digits, - and _).')
+  },
+  {
+    key: 'GOOGLE_SHEET_RANGE',
+    label: 'Sheet range',
+    help: 'Tab (and optional range) the form responses are in.',
+    placeholder: 'Form Responses 1'
+  },
+  {
+    key: 'SHEET_TAB',
+    label: 'Sheet tab',
+    help: 'Used when no sheet range is set.',
+    placeholder: 'Form Responses 1'
+  },
+  {
+    key: 'FORM_ID',
+    label: 'JotForm form ID',
+    placeholder: '253362621119048',
+    validate: (v) => (/^\d{6,}$/.test(v) ? null : 'Digits only, from the form URL.')
+  },
+  {
+    key: 'POLL_INTERVAL_MS',
+    label: 'Poll interval (ms)',
+    help: 'How often the background poller re-reads the sheet.',
+    placeholder: '60000',
+    validate: (v) => (isInt(v, 10000) ? null : 'Whole number of milliseconds, 10000 or more.')
+  },
+  {
+    key: 'DEFAULT_DAYS',
+    label: 'Days back (default)',
+    help: 'Rows dated within this many days are generated when no days option is given.',
+    placeholder: '7',
+    validate: (v) => (isInt(v, 1, 3650) ? null : 'Whole number of days from 1 to 3650.')
+  },
+  {
+    key: 'DATE_LOCALE',
+    label: 'Date order (locale)',
+    help: 'en-GB reads 05/10 as 5 October, en-US as May 10.',
+    placeholder: 'en-GB',
+    validate: (v) => {
+      try {
+        return Intl.getCanonicalLocales(v).length ? null : 'A locale such as en-GB or en-US.';
+      } catch (e) {
+        return 'A locale such as en-GB or en-US.';
+      }
+    }
+  },
+  {
+    key: 'JOTFORM_TIMEZONE',
+    label: 'JotForm account time zone',
+    placeholder: 'Europe/London',
+    validate: (v) => {
+      try {
+        Intl.DateTimeFormat('en-GB', { timeZone: v });
+        return null;
+      } catch (e) {
+        return 'Not a time zone name (e.g. Europe/London).';
+      }
+    }
+  },
+  {
+    key: 'OUTPUT_FILENAME_PATTERN',
+    label: 'Worksheet file name',
+    help: 'Tokens: {date:D-M-YYYY} {yyyy} {mm} {dd} {name} {job} {customer}; / makes folders.',
+    placeholder: '{date:D-M-YYYY}-{name}-{job}',
+    validate: (v) => {
+      try {
+        parsePattern(v);
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    }
+  },
+  {
+    key: 'RETENTION_MONTHS',
+    label: 'Archive worksheets older than (months)',
+    help: 'Blank or 0 keeps everything in the output folder.',
+    placeholder: '0',
+    validate: (v) => (isInt(v, 0, 240) ? null : 'Whole number of months from 0 to 240.')
+  },
+  {
+    key: 'RETENTION_OPEN_JOBS',
+    label: 'Open jobs (never archived)',
+    help: 'Job numbers separated by commas.'
+  }
+];
+
+const KEYS = SETTINGS.map(s => s.key);
+
+// Field descriptions for the Settings page (no validators)
+function settingsSchema() {
+  return SETTINGS.map(({ validate, ...field }) => Object.assign({ type: 'text' }, field));
+}
+
+/**
+ * Trim every known key and check it. Returns { values, errors } where errors maps a key to its
+ * message; unknown keys are dropped.
+ */
+function validateSettings(input = {}) {
+  const values = {};
+  const errors = {};
+  for (const setting of SETTINGS) {
+    const value = String(input[setting.key] === undefined || input[setting.key] === null ? '' : input[setting.key]).trim();
+    values[setting.key] = value;
+    if (!value) {
+      if (setting.required) errors[setting.key] = `${setting.label} is required.`;
+      continue;
+    }
+    const error = setting.validate ? setting.validate(value) : null;
+    if (error) errors[setting.key] = error;
+  }
+  return { values, errors };
+}
+
+function createSettingsStore(filePath) {
+  const load = () => {
+    try {
+      const data = fs.readJsonSync(filePath);
+      if (data && typeof data.values === 'object') return data;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[settings] could not read settings file', filePath, e && e.message);
+    }
+    return null;
+  };
+
+  // write-then-rename so a crash mid-write never leaves a truncated settings file behind
+  const save = (data) => {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeJsonSync(tmp, data, { spaces: 2 });
+    fs.renameSync(tmp, filePath);
+  };
+
+  return {
+    /**
+     * First run only: copy the known keys from env (the .env main.js loaded) into settings.json.
+     * Returns true when it seeded.
+     */
+    seedFromEnv(env, source = '.env') {
+      if (load()) return false;
+      const values = {};
+      for (const key of KEYS) values[key] = env[key] ? String(env[key]) : '';
+      save({ version: 1, values, seededFrom: source, updatedAt: new Date().toISOString(), updatedBy: '' });
+      console.log(`[settings] first run: seeded ${filePath} from ${source}`);
+      return true;
+    },
+
+    get() {
+      const data = load();
+      const values = {};
+      for (const key of KEYS) values[key] = data && data.values[key] ? String(data.values[key]) : '';
+      return values;
+    },
+
+    /**
+     * Validate and store. Returns { ok: true, values } or { ok: false, errors } — nothing is
+     * written unless every field is valid.
+     */
+    update(input, { by = '' } = {}) {
+      const { values, errors } = validateSettings(input);
+      if (Object.keys(errors).length) return { ok: false, errors };
+      const data = load() || { version: 1 };
+      save(Object.assign(data, { values, updatedAt: new Date().toISOString(), updatedBy: by }));
+      return { ok: true, values };
+    },
+
+    /**
+     * Put the settings into env for a child process: set values win, blank ones are removed so a
+     * stale .env value can't leak through.
+     */
+    applyToEnv(env) {
+      const values = this.get();
+      for (const key of KEYS) {
+        if (values[key]) env[key] = values[key];
+        else delete env[key];
+      }
+      return env;
+    }
+  };
+}
+
+module.exports = { SETTINGS_KEYS: KEYS, settingsSchema, validateSettings, createSettingsStore };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { tryLock, unlock, withFileLock } = require('./file-lock');
+
+/**
+ * sheets-outbox.js
+ *
+ * On-disk queue for Google Sheets appends that failed (network down, quota, expired credentials).
+ * submission-pipeline.js queues the row instead of dropping it; the poller and webhook flush the
+ * queue as they run, so rows survive restarts and go out once the sheet is reachable again:
+ *
+ *   { "version": 1, "items": [{ id, sheetId, row, submissionId, attempts, lastError, createdAt, nextAttemptAt }] }
+ *
+ * Each failed retry doubles the wait (RETRY_BASE_MS, capped at RETRY_MAX_MS). Items stay queued
+ * until they are sent or dropped by hand. Lives in WORKSHEET_STATE_DIR (userData from the app).
+ *
+ * The webhook, the poller and the app's replay worker can all flush the same file, so sending is
+ * serialised: one send at a time in a process, and across processes through sheets-outbox.json.lock
+ * (a flush finding it held by a live process skips; nothing is sent twice). Every change to the
+ * file — queueing, dropping, updating a row after a send — re-reads and rewrites it under
+ * sheets-outbox.json.write.lock, held only for that moment, so no process's change is lost.
+ *
+ * CLI:
+ *   node sheets-outbox.js list             queued rows as JSON
+ *   node sheets-outbox.js flush            send the rows that are due
+ *   node sheets-outbox.js replay [id]      send one row (or all) now, ignoring the backoff
+ *   node sheets-outbox.js drop <id>        remove a row without sending it
+ */
+
+const OUTBOX_FILE = 'sheets-outbox.json';
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+function outboxPath(stateDir) {
+  return path.join(stateDir, OUTBOX_FILE);
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+}
+
+// Default sender: the same helper the pipeline uses for a first attempt
+async function appendWithSheetsApi(sheetId, row) {
+  const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH || 'google-sheets-creds.json';
+  await require('./append-to-sheets').appendRow(sheetId, row, credentialsPath);
+}
+
+function createSheetsOutbox(filePath, { append = appendWithSheetsApi } = {}) {
+  const load = () => {
+    try {
+      const data = fs.readJsonSync(filePath);
+      if (data && Array.isArray(data.items)) return data;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('Could not read sheets outbox', filePath, e && e.message);
+    }
+    return { version: 1, items: [] };
+  };
+
+  // write-then-rename so a crash mid-write never loses queued rows
+  const save = (data) => {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeJsonSync(tmp, data, { spaces: 2 });
+    fs.renameSync(tmp, filePath);
+  };
+
+  // held for a whole send, so two processes never send the same row (a lock left by a dead
+  // process is taken over, see file-lock.js)
+  const lockPath = `${filePath}.lock`;
+  const acquireLock = () => tryLock(lockPath);
+  const releaseLock = () => unlock(lockPath);
+
+  // held only while the file is re-read, changed and written back
+  const withWriteLock = (change) => withFileLock(`${filePath}.write.lock`, () => {
+    const data = load();
+    const result = change(data);
+    save(data);
+    return result;
+  });
+
+  // re-read the file and change just one item, so rows queued by anyone else are kept
+  const updateItem = (id, change) => withWriteLock((data) => {
+    const item = data.items.find(i => i.id === id);
+    if (!item) return null;
+    if (change(item) === false) data.items = data.items.filter(i => i.id !== id);
+    return item;
+  });
+
+  // one send at a time in this process
+  let queue = Promise.resolve();
+  const serialise = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // try to send the given items; sent ones are removed, failed ones rescheduled
+  const send = (pickIds) => serialise(async () => {
+    const summary = { sent: 0, failed: 0, remaining: 0 };
+    if (!acquireLock()) {
+      summary.remaining = load().items.length;
+      summary.busy = true;
+      console.log('[outbox] another process is sending queued rows — skipping');
+      return summary;
+    }
+    try {
+      // chosen under the lock, so a row another process has just sent isn't picked again
+      for (const id of pickIds(load().items)) {
+        const item = load().items.find(i => i.id === id);
+        if (!item) continue;
+        try {
+          await append(item.sheetId, item.row);
+          updateItem(id, () => false);
+          summary.sent++;
+          console.log(`[outbox] sent queued row ${id}${item.submissionId ? ` (submission ${item.submissionId})` : ''}`);
+        } catch (err) {
+          const updated = updateItem(id, (i) => {
+            i.attempts = (i.attempts || 0) + 1;
+            i.lastError = err && err.message ? err.message : String(err);
+            i.nextAttemptAt = new Date(Date.now() + retryDelay(i.attempts)).toISOString();
+          });
+          summary.failed++;
+          if (updated) console.warn(`[outbox] row ${id} failed again (attempt ${updated.attempts}, next at ${updated.nextAttemptAt}):`, updated.lastError);
+        }
+      }
+    } finally {
+      releaseLock();
+    }
+    summary.remaining = load().items.length;
+    return summary;
+  });
+
+  return {
+    list() {
+      return load().items;
+    },
+
+    enqueue({ sheetId, row, submissionId = '', error = '' }) {
+      const item = {
+        id: crypto.randomBytes(6).toString('hex'),
+        sheetId,
+        row,
+        submissionId: submissionId ? String(submissionId) : '',
+        attempts: 1,
+        lastError: error,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: new Date(Date.now() + retryDelay(1)).toISOString()
+      };
+      const waiting = withWriteLock((data) => data.items.push(item));
+      console.warn(`[outbox] queued sheet row ${item.id} for retry (${waiting} waiting)`);
+      return item;
+    },
+
+    // send every item whose backoff has elapsed
+    flush() {
+      return send(items => items.filter(i => Date.parse(i.nextAttemptAt) <= Date.now()).map(i => i.id));
+    },
+
+    // send one item (or all) immediately
+    replay(id) {
+      const ids = load().items.map(i => i.id);
+      if (id && !ids.includes(id)) return Promise.resolve({ sent: 0, failed: 0, remaining: ids.length, error: `No queued row with id ${id}` });
+      return send(items => items.map(i => i.id).filter(i => !id || i === id));
+    },
+
+    drop(id) {
+      return withWriteLock((data) => {
+        const before = data.items.length;
+        data.items = data.items.filter(i => i.id !== id);
+        return data.items.length !== before;
+      });
+    }
+  };
+}
+
+module.exports = { outboxPath, createSheetsOutbox, retryDelay };
+
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+  const argv = require('minimist')(process.argv.slice(2));
+  const [command = 'list', id] = argv._.map(String);
+  const outbox = createSheetsOutbox(outboxPath(process.env.WORKSHEET_STATE_DIR || __dirname));
+  if (process.channel) process.channel.unref();
+
+  // results go over IPC when the app runs this, otherwise to stdout
+  const report = (result) => {
+    if (typeof process.send === 'function' && process.connected) process.send({ type: 'outbox', result, items: outbox.list() });
+    else console.log(JSON.stringify(result, null, 2));
+  };
+
+  (async () => {
+    try {
+      if (command === 'list') report(outbox.list());
+      else if (command === 'flush') report(await outbox.flush());
+      else if (command === 'replay') report(await outbox.replay(id));
+      else if (command === 'drop') {
+        if (!id) throw new Error('Usage: sheets-outbox.js drop <id>');
+        if (!outbox.drop(id)) throw new Error(`No queued row with id ${id}`);
+        report({ dropped: id });
+      } else {
+        throw new Error(`Unknown command "${command}" (use list, flush, replay or drop)`);
+      }
+    } catch (err) {
+      console.error('Failed:', err && err.message ? err.message : err);
+      process.exitCode = 1;
+    }
+  })();
+}
@@ -0,0 +1,112 @@
+const { mapFields, buildSheetRow } = require('./field-mapping');
+const fillTemplate = require('./fillTemplate');
+const { outboxPath, createSheetsOutbox } = require('./sheets-outbox');
+const { parseJotformCreatedAt, formatTimestamp } = require('./dates');
+const { archiveAttachments } = require('./attachments');
+
+/**
+ * submission-pipeline.js
+ *
+ * The one way a JotForm submission is turned into output, shared by webhook-jotform.js and
+ * poll-jotform.js so both produce the same row and worksheet:
+ *
+ *   answers -> field-mapping.json fields -> header-ordered sheet row (sheetColumns)
+ *           -> worksheet rendered by fillTemplate.js (with any photos/signature embedded and
+ *              archived beside it, see attachments.js) -> row appended to the Google Sheet
+ *
+ * A submission that can't be mapped or rendered throws; a failed sheet append is queued in the
+ * sheets outbox (sheets-outbox.js) and retried by flushSheetsOutbox().
+ */
+
+const GOOGLE_CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || 'google-sheets-creds.json';
+const outbox = createSheetsOutbox(outboxPath(process.env.WORKSHEET_STATE_DIR || __dirname));
+
+/**
+ * Flatten a JotForm submission (API shape with `answers`) into { answerName: value }, plus
+ * _submission_id and _created_at. Anything without `answers` (e.g. a raw webhook body) is copied.
+ */
+function submissionToRecord(submission) {
+  const record = {};
+  if (submission && submission.answers) {
+    for (const k of Object.keys(submission.answers)) {
+      const ans = submission.answers[k];
+      const key = (ans.name || ans.text || `q${k}`).toString();
+      record[key] = ans.answer ?? ans.prettyFormat ?? ans.text ?? '';
+    }
+  } else if (submission) {
+    Object.assign(record, submission);
+  }
+  if (submission) {
+    record._submission_id = submission.submission_id || submission.id || record._submission_id;
+    // created_at is in the JotForm account's zone (JOTFORM_TIMEZONE); the sheet wants local time
+    const createdAt = submission.created_at || record._created_at;
+    const instant = parseJotformCreatedAt(createdAt);
+    record._created_at = instant ? formatTimestamp(instant) : createdAt;
+  }
+  return record;
+}
+
+/**
+ * Append one row; on failure the row is queued in the outbox rather than lost.
+ * Returns 'appended', 'queued' or 'skipped' (no sheet configured).
+ */
+async function appendRowToSheet(rowValues, { sheetId = process.env.GOOGLE_SHEET_ID || '', credentialsPath = GOOGLE_CREDENTIALS_PATH, submissionId = '' } = {}) {
+  if (!sheetId) {
+    console.warn('GOOGLE_SHEET_ID not set; skipping sheet append');
+    return 'skipped';
+  }
+  try {
+    const sheetsHelper = require('./append-to-sheets');
+    await sheetsHelper.appendRow(sheetId, rowValues, credentialsPath);
+    return 'appended';
+  } catch (err) {
+    const message = err && err.message ? err.message : String(err);
+    console.warn('appendRowToSheet failed:', message);
+    outbox.enqueue({ sheetId, row: rowValues, submissionId, error: message });
+    return 'queued';
+  }
+}
+
+// Retry queued rows whose backoff has elapsed; never throws
+async function flushSheetsOutbox() {
+  try {
+    if (!outbox.list().length) return null;
+    return await outbox.flush();
+  } catch (err) {
+    console.warn('Sheets outbox flush failed:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+/**
+ * Map, render and append one submission record (see submissionToRecord).
+ * options.attachments ({ photos, signature } from downloadSubmissionAttachments) are embedded in
+ * the worksheet and copied to <worksheet>_attachments/; the caller removes the downloaded copies.
+ * Returns { submissionId, fields, row, outputFile, attachmentsDir, appended } where appended is the
+ * appendRowToSheet() outcome.
+ */
+async function processSubmission(record, { attachments = null, ...sheetOptions } = {}) {
+  const submissionId = record._submission_id || '';
+
+  // aliases for every column live in field-mapping.json; throws if a required field matches no answer
+  const fields = mapFields(record, { strict: true });
+  if (!fields.TIMESTAMP) fields.TIMESTAMP = formatTimestamp(new Date());
+
+  const outputFile = await fillTemplate(fields, { attachments });
+  const attachmentsDir = await archiveAttachments(outputFile, attachments);
+  if (attachmentsDir) console.log('Attachments archived to', attachmentsDir);
+
+  // Build row in exact header order
+  const row = buildSheetRow(fields);
+  console.log('Appending row to sheet:', JSON.stringify(row));
+  const appended = await appendRowToSheet(row, Object.assign({ submissionId }, sheetOptions));
+
+  return { submissionId, fields, row, outputFile, attachmentsDir, appended };
+}
+
+module.exports = {
+  submissionToRecord,
+  appendRowToSheet,
+  flushSheetsOutbox,
+  processSubmission
+};
@@ -0,0 +1,144 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * template-registry.js
+ *
+ * Chooses the worksheet template for a row from templates/registry.json (or TEMPLATE_REGISTRY_PATH):
+ *
+ *   {
+ *     "default": "worksheet",
+ *     "templates": {
+ *       "worksheet":    { "file": "worksheet_template_12.docx", "version": "12",
+ *                         "images": { "PHOTO": { "maxWidth": 600, "maxHeight": 450 } } },
+ *       "installation": { "file": "installation_template_1.docx", "version": "1" }
+ *     },
+ *     "rules": [
+ *       { "template": "installation", "field": "JOB_TYPE", "contains": "install" },
+ *       { "template": "installation", "field": "JOB_NO", "prefix": "INS" }
+ *     ]
+ *   }
+ *
+ * Rules are checked in order against the mapped template fields (case-insensitive) and support
+ * "equals", "contains", "prefix" and "matches" (a regular expression). The first match wins;
+ * otherwise — or when the matched template's file is missing — the default template is used.
+ * The shipped registry routes installation, testing and service jobs to their own layouts on the
+ * Job Type column (JOB_TYPE), which the poller and webhook write as the last sheet column.
+ *
+ * "images" optionally sets the pixel box each image placeholder ({%PHOTO}, {%SIGNATURE}) is scaled
+ * to fit; see attachments.js for the defaults.
+ */
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_REGISTRY_PATH = path.join(TEMPLATES_DIR, 'registry.json');
+
+let cached = null;
+const warnedMissing = new Set();
+
+function loadTemplateRegistry(filePath = process.env.TEMPLATE_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  if (cached && cached.filePath === filePath) return cached.registry;
+  if (!fs.existsSync(filePath)) throw new Error(`Template registry not found at: ${filePath}`);
+
+  const registry = fs.readJsonSync(filePath);
+  const templates = registry.templates || {};
+  if (!registry.default || !templates[registry.default]) {
+    throw new Error(`Template registry ${filePath} must name a "default" template that exists in "templates"`);
+  }
+  for (const rule of registry.rules || []) {
+    if (!templates[rule.template]) throw new Error(`Template registry rule refers to unknown template "${rule.template}"`);
+  }
+
+  cached = { filePath, registry, baseDir: path.dirname(filePath) };
+  return registry;
+}
+
+function ruleMatches(rule, fields) {
+  const value = String((fields && fields[rule.field]) || '').trim().toLowerCase();
+  if (!value) return false;
+  if (rule.equals !== undefined) return value === String(rule.equals).toLowerCase();
+  if (rule.contains !== undefined) return value.includes(String(rule.contains).toLowerCase());
+  if (rule.prefix !== undefined) return value.startsWith(String(rule.prefix).toLowerCase());
+  if (rule.matches !== undefined) return new RegExp(rule.matches, 'i').test(value);
+  return false;
+}
+
+function describeTemplate(id, registry) {
+  const entry = registry.templates[id];
+  const baseDir = cached ? cached.baseDir : TEMPLATES_DIR;
+  return {
+    id,
+    version: String(entry.version || ''),
+    file: entry.file,
+    path: path.resolve(baseDir, entry.file),
+    images: entry.images || {}
+  };
+}
+
+/**
+ * Returns { id, version, file, path, images } for the template that should render `fields`.
+ */
+function selectTemplate(fields, { registry = loadTemplateRegistry() } = {}) {
+  const rule = (registry.rules || []).find(r => ruleMatches(r, fields));
+  if (rule) {
+    const chosen = describeTemplate(rule.template, registry);
+    if (fs.existsSync(chosen.path)) return chosen;
+    if (!warnedMissing.has(chosen.path)) {
+      warnedMissing.add(chosen.path);
+      console.warn(`Template "${chosen.id}" file not found at ${chosen.path}; using default "${registry.default}".`);
+    }
+  }
+  return describeTemplate(registry.default, registry);
+}
+
+const escapeXml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Records the template id/version in the generated document's properties (File > Info in Word).
+ */
+function stampTemplateInfo(zip, template) {
+  const description = `Generated from template "${template.id}" version ${template.version || 'unversioned'} (${template.file})`;
+  const corePath = 'docProps/core.xml';
+  const existing = zip.file(corePath);
+
+  if (existing) {
+    let xml = existing.asText();
+    if (/<dc:description[^>]*>[\s\S]*?<\/dc:description>|<dc:description\s*\/>/.test(xml)) {
+      xml = xml.replace(/<dc:description[^>]*>[\s\S]*?<\/dc:description>|<dc:description\s*\/>/, `<dc:description>${escapeXml(description)}</dc:description>`);
+    } else {
+      xml = xml.replace('</cp:coreProperties>', `<dc:description>${escapeXml(description)}</dc:description></cp:coreProperties>`);
+    }
+    zip.file(corePath, xml);
+    return;
+  }
+
+  zip.file(corePath,
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    `<dc:description>${escapeXml(description)}</dc:description>` +
+    '</cp:coreProperties>');
+
+  const typesFile = zip.file('[Content_Types].xml');
+  if (typesFile) {
+    const types = typesFile.asText();
+    if (!types.includes('/docProps/core.xml')) {
+      zip.file('[Content_Types].xml', types.replace('</Types>',
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml" /></Types>'));
+    }
+  }
+  const relsFile = zip.file('_rels/.rels');
+  if (relsFile) {
+    const rels = relsFile.asText();
+    if (!rels.includes('docProps/core.xml')) {
+      zip.file('_rels/.rels', rels.replace('</Relationships>',
+        '<Relationship Id="rIdCoreProps" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml" /></Relationships>'));
+    }
+  }
+}
+
+module.exports = {
+  loadTemplateRegistry,
+  selectTemplate,
+  stampTemplateInfo
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createAuthStore } = require('../auth-store');
+
+const newStore = async () => {
+  const store = createAuthStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-')), 'users.json'));
+  await store.addUser({ email: 'admin@example.com', password: 'correct horse', role: 'admin' });
+  return store;
+};
+
+test('parallel wrong passwords still lock the account', async () => {
+  const store = await newStore();
+  const results = await Promise.all(Array.from({ length: 8 }, () => store.verifyLogin('admin@example.com', 'wrong password')));
+
+  assert.ok(results.every(r => !r.ok));
+  assert.ok(results.some(r => /locked/.test(r.error)));
+  const after = await store.verifyLogin('admin@example.com', 'correct horse');
+  assert.strictEqual(after.ok, false);
+  assert.match(after.error, /Too many failed attempts/);
+  assert.strictEqual(store.getUser('admin@example.com').locked, true);
+});
+
+test('a password reset during a login check is not overwritten', async () => {
+  const store = await newStore();
+  const login = store.verifyLogin('admin@example.com', 'correct horse');
+  await store.resetPassword('admin@example.com', 'new password 1');
+  await login;
+
+  assert.strictEqual((await store.verifyLogin('admin@example.com', 'new password 1')).ok, true);
+  assert.strictEqual((await store.verifyLogin('admin@example.com', 'correct horse')).ok, false);
+});
+
+test('getUser reflects removal', async () => {
+  const store = await newStore();
+  await store.addUser({ email: 'other@example.com', password: 'password 22', role: 'admin' });
+  assert.strictEqual(store.getUser('Other@Example.com').role, 'admin');
+  assert.ok(store.removeUser('other@example.com').ok);
+  assert.strictEqual(store.getUser('other@example.com'), null);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDate, formatDate, parseJotformCreatedAt } = require('../dates');
+
+const ymd = (parsed) => formatDate(parsed.date, 'YYYY-MM-DD');
+
+test('sheet and JotForm date shapes all parse to the visit day', () => {
+  assert.strictEqual(ymd(parseDate('17/10/2026')), '2026-10-17');
+  assert.strictEqual(ymd(parseDate('17-10-26')), '2026-10-17');
+  assert.strictEqual(ymd(parseDate('17/10/2026 09:12:00')), '2026-10-17');
+  assert.strictEqual(ymd(parseDate('2026-10-17 09:12:00')), '2026-10-17');
+  assert.strictEqual(ymd(parseDate('17 Oct 2026')), '2026-10-17');
+  assert.strictEqual(ymd(parseDate('October 17th, 2026')), '2026-10-17');
+  assert.strictEqual(ymd(parseDate({ day: '17', month: '10', year: '2026' })), '2026-10-17');
+  assert.strictEqual(ymd(parseDate({ datetime: '2026-10-17 09:12' })), '2026-10-17');
+});
+
+test('day-first by default, month-first for month-first locales', () => {
+  assert.strictEqual(ymd(parseDate('05/10/2026', { near: new Date(2026, 9, 6) })), '2026-10-05');
+  assert.strictEqual(ymd(parseDate('05/10/2026', { locale: 'en-US', near: new Date(2026, 4, 9) })), '2026-05-10');
+});
+
+test('dates that read both ways are reported, never guessed silently', () => {
+  const flagged = parseDate('05/10/2026');
+  assert.strictEqual(flagged.issue, 'ambiguous');
+  assert.strictEqual(formatDate(flagged.alternative, 'YYYY-MM-DD'), '2026-05-10');
+
+  // only flagged when the other reading is nearer the submission
+  assert.strictEqual(parseDate('05/10/2026', { near: new Date(2026, 9, 6) }).issue, null);
+  assert.strictEqual(parseDate('05/10/2026', { near: new Date(2026, 4, 11) }).issue, 'ambiguous');
+  assert.strictEqual(parseDate('05/05/2026').issue, null);
+});
+
+test('a date only valid the other way round is swapped; impossible dates are unparseable', () => {
+  const swapped = parseDate('10/17/2026');
+  assert.strictEqual(swapped.issue, 'swapped');
+  assert.strictEqual(ymd(swapped), '2026-10-17');
+
+  for (const value of ['31/02/2026', '2026-13-01', 'next Tuesday', { month: 2 }]) {
+    assert.strictEqual(parseDate(value).issue, 'unparseable', JSON.stringify(value));
+  }
+  assert.strictEqual(parseDate('  ').issue, 'empty');
+  assert.strictEqual(parseDate(null).issue, 'empty');
+});
+
+test('JotForm created_at is wall-clock time in the account zone', () => {
+  assert.strictEqual(parseJotformCreatedAt('2026-07-01 09:00:00', 'America/New_York').toISOString(), '2026-07-01T13:00:00.000Z');
+  assert.strictEqual(parseJotformCreatedAt('2026-01-15 09:00:00', 'America/New_York').toISOString(), '2026-01-15T14:00:00.000Z');
+  assert.strictEqual(parseJotformCreatedAt('17/10/2026'), null);
+});
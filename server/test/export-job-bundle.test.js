@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PizZip = require('pizzip');
+const { spawnSync } = require('child_process');
+
+const script = (name) => path.join(__dirname, '..', name);
+
+test('worksheets moved into the retention archive are still bundled, attachments included', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-'));
+  const output = path.join(root, 'output');
+  fs.outputFileSync(path.join(output, '3-1-2020-Ann Lee-J1001.docx'), 'old visit');
+  fs.outputFileSync(path.join(output, '3-1-2020-Ann Lee-J1001_attachments', 'photo-1.jpg'), 'photo');
+  fs.outputFileSync(path.join(output, '10-10-2026-Bob Jones-J1001.docx'), 'new visit');
+  const run = (name, ...args) => spawnSync(process.execPath, [script(name), '--output', output].concat(args), {
+    env: Object.assign({}, process.env, { WORKSHEET_STATE_DIR: path.join(root, 'state'), RETENTION_OPEN_JOBS: '' }),
+    encoding: 'utf8'
+  });
+
+  // a recent visit would keep J1001 open: set it aside while the old one is archived
+  fs.moveSync(path.join(output, '10-10-2026-Bob Jones-J1001.docx'), path.join(root, 'later.docx'));
+  assert.strictEqual(run('retention.js', '--months', '6', '--apply').status, 0);
+  fs.moveSync(path.join(root, 'later.docx'), path.join(output, '10-10-2026-Bob Jones-J1001.docx'));
+  assert.ok(!fs.existsSync(path.join(output, '3-1-2020-Ann Lee-J1001.docx')));
+
+  const result = run('export-job-bundle.js', '--job', 'J1001');
+  assert.strictEqual(result.status, 0, result.stderr);
+  const bundle = new PizZip(fs.readFileSync(path.join(output, 'job_J1001_bundle.zip')));
+  assert.deepStrictEqual(Object.keys(bundle.files).filter(n => !bundle.files[n].dir).sort(), [
+    '00-index.docx',
+    'attachments/3-1-2020-Ann Lee-J1001/photo-1.jpg',
+    'worksheets/10-10-2026-Bob Jones-J1001.docx',
+    'worksheets/3-1-2020-Ann Lee-J1001.docx'
+  ]);
+  assert.strictEqual(bundle.file('worksheets/3-1-2020-Ann Lee-J1001.docx').asText(), 'old visit');
+  assert.strictEqual(bundle.file('attachments/3-1-2020-Ann Lee-J1001/photo-1.jpg').asText(), 'photo');
+});
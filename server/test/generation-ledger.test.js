@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadLedger, rowIdentity, ledgerKeyFor, contentHash, classifyRow, recordGeneration } = require('../generation-ledger');
+
+const template = { id: 'worksheet', version: 12 };
+
+test('a corrected engineer name keeps the row identity and shows up as a change', () => {
+  const before = { TIMESTAMP: '14/03/2025 09:12:44', NAME: 'Jon Smith', JOB_NO: '0123' };
+  const after = Object.assign({}, before, { NAME: 'John Smith' });
+  const key = rowIdentity({ __index: 4 }, before);
+  assert.strictEqual(rowIdentity({ __index: 4 }, after), key);
+
+  const ledger = { version: 1, entries: {} };
+  recordGeneration(ledger, key, { hash: contentHash(before, template), path: '', template, fields: before });
+  assert.strictEqual(classifyRow(ledger, key, contentHash(after, template)), 'changed');
+});
+
+test('rows without a timestamp fall back to the sheet row number', () => {
+  assert.strictEqual(rowIdentity({ __index: 7 }, { NAME: 'John Smith' }), 'row:7');
+});
+
+test('two submissions in the same second get their own ledger entries', () => {
+  const first = { TIMESTAMP: '2026-10-17 09:12:00', NAME: 'Ann Lee', JOB_NO: 'J1001' };
+  const second = { TIMESTAMP: '2026-10-17 09:12:00', NAME: 'Bob Jones', JOB_NO: 'J2002' };
+  const ledger = { version: 1, entries: {} };
+  const firstKey = ledgerKeyFor(ledger, { __index: 5 }, first);
+  recordGeneration(ledger, firstKey, { hash: contentHash(first, template), path: '', template, fields: first });
+
+  const secondKey = ledgerKeyFor(ledger, { __index: 6 }, second);
+  assert.notStrictEqual(secondKey, firstKey);
+  assert.strictEqual(classifyRow(ledger, secondKey, contentHash(second, template)), 'new');
+  recordGeneration(ledger, secondKey, { hash: contentHash(second, template), path: '', template, fields: second });
+  assert.strictEqual(Object.keys(ledger.entries).length, 2);
+  assert.strictEqual(ledger.entries[firstKey].name, 'Ann Lee');
+});
+
+test('entries keyed by timestamp alone or timestamp+name are taken over by their row', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-')), 'generation-ledger.json');
+  fs.writeJsonSync(file, {
+    version: 1,
+    entries: {
+      'ts:2026-10-17 09:12:00|ann lee': { hash: 'a', job: 'J1001', name: 'Ann Lee' },
+      'ts:2026-10-17 09:12:00|bob jones': { hash: 'b', job: 'J2002', name: 'Bob Jones' },
+      'ts:2026-10-18 10:00:00': { hash: 'c', job: 'J3003', name: 'Jon Smith' }
+    }
+  });
+  const ledger = loadLedger(file);
+
+  const bob = ledgerKeyFor(ledger, { __index: 6 }, { TIMESTAMP: '2026-10-17 09:12:00', NAME: 'Bob Jones', JOB_NO: 'J2002' });
+  const ann = ledgerKeyFor(ledger, { __index: 5 }, { TIMESTAMP: '2026-10-17 09:12:00', NAME: 'Ann Lee', JOB_NO: 'J1001' });
+  const corrected = ledgerKeyFor(ledger, { __index: 9 }, { TIMESTAMP: '2026-10-18 10:00:00', NAME: 'John Smith', JOB_NO: 'J3003' });
+  assert.deepStrictEqual([ledger.entries[ann].hash, ledger.entries[bob].hash, ledger.entries[corrected].hash], ['a', 'b', 'c']);
+  assert.deepStrictEqual(Object.keys(ledger.entries).sort(), [ann, bob, corrected].sort());
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMaterials } = require('../materials');
+
+const itemised = (text) => parseMaterials(text).items.map(i => [i.QTY, i.DESCRIPTION]);
+
+test('quantities need a count marker or a known unit', () => {
+  assert.deepStrictEqual(itemised('2x 20A MCB, 10m 2.5mm T&E'), [['2', '20A MCB'], ['10 m', '2.5mm T&E']]);
+  assert.deepStrictEqual(itemised('2.5mm T&E x 10m'), [['10 m', '2.5mm T&E']]);
+  assert.deepStrictEqual(itemised('qty 3 WAGO 221; double socket qty 2'), [['3', 'WAGO 221'], ['2', 'double socket']]);
+  assert.deepStrictEqual(itemised('2 gang box x 3\n1 x 3 phase board'), [['3', '2 gang box'], ['1', '3 phase board']]);
+});
+
+test('a number that is part of the description keeps the answer as free text', () => {
+  for (const text of ['2 gang box', '3 phase board', '2x MCB, 2 gang box']) {
+    const result = parseMaterials(text, { supplier: 'CEF' });
+    assert.strictEqual(result.itemised, false, text);
+    assert.deepStrictEqual(result.items.map(i => [i.QTY, i.DESCRIPTION, i.ITEM_SUPPLIER]), [['', text, 'CEF']]);
+  }
+});
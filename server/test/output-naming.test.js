@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { outputPathFor, availablePath, isCollisionVariant, worksheetMatcher, parseWorksheetName, DEFAULT_PATTERN } = require('../output-naming');
+const { formatDate } = require('../dates');
+
+const fields = { NAME: 'Ann Lee', JOB_NO: 'J/1001', CUSTOMER: 'Acme' };
+const visit = new Date(2026, 9, 7);
+
+test('the pattern renders safe file names and folders', () => {
+  assert.strictEqual(outputPathFor('/out', fields, visit, DEFAULT_PATTERN), path.join('/out', '7-10-2026-Ann Lee-J-1001.docx'));
+  assert.strictEqual(outputPathFor('/out', fields, visit, '{yyyy}/{mm}/{customer}-{job}'), path.join('/out', '2026', '10', 'Acme-J-1001.docx'));
+  assert.strictEqual(outputPathFor('/out', {}, null, DEFAULT_PATTERN), path.join('/out', 'nodate-NONAME-NOJOBNO.docx'));
+});
+
+test('a taken name gets the first free " (n)" suffix', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naming-'));
+  const base = path.join(dir, '7-10-2026-Ann Lee-J1001.docx');
+  assert.strictEqual(availablePath(base), base);
+
+  fs.writeFileSync(base, '');
+  fs.writeFileSync(path.join(dir, '7-10-2026-Ann Lee-J1001 (2).docx'), '');
+  assert.strictEqual(availablePath(base), path.join(dir, '7-10-2026-Ann Lee-J1001 (3).docx'));
+
+  const claimed = new Set([base]);
+  assert.strictEqual(availablePath(base, (candidate) => claimed.has(candidate)), path.join(dir, '7-10-2026-Ann Lee-J1001 (2).docx'));
+});
+
+test('collision copies read back as the same worksheet', () => {
+  const base = '/out/7-10-2026-Ann Lee-J1001.docx';
+  assert.ok(isCollisionVariant('/out/7-10-2026-Ann Lee-J1001 (2).docx', base));
+  assert.ok(isCollisionVariant(base, base));
+  assert.ok(!isCollisionVariant('/out/7-10-2026-Ann Lee-J10012.docx', base));
+
+  const match = worksheetMatcher('j-1001', DEFAULT_PATTERN);
+  const found = match('7-10-2026-Ann Lee-J1001 (2).docx');
+  assert.strictEqual(found.name, 'Ann Lee');
+  assert.strictEqual(formatDate(found.date, 'YYYY-MM-DD'), '2026-10-07');
+  assert.strictEqual(match('7-10-2026-Ann Lee-J10012.docx'), null);
+
+  const parsed = parseWorksheetName('7-10-2026-Mary-Jane Smith-J1001 (3).docx', DEFAULT_PATTERN);
+  assert.strictEqual(parsed.name, 'Mary-Jane Smith');
+  assert.strictEqual(parsed.job, 'J1001');
+});
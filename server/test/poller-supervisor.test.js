@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createPollerSupervisor } = require('../poller-supervisor');
+
+// a worker that takes a moment to finish its cycle after { type: 'stop' }
+const WORKER = `
+process.on('message', (msg) => { if (msg && msg.type === 'stop') setTimeout(() => process.exit(0), 200); });
+setInterval(() => {}, 1000);
+`;
+
+test('start() while stopping waits for the worker to exit instead of restarting it as a crash', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poller-'));
+  fs.writeFileSync(path.join(dir, 'worker.js'), WORKER);
+  let launches = 0;
+  const supervisor = createPollerSupervisor({
+    logDir: dir,
+    launch: () => {
+      launches++;
+      return { command: process.execPath, args: [path.join(dir, 'worker.js')], env: process.env };
+    }
+  });
+
+  const first = supervisor.start();
+  const stopping = supervisor.stop();
+  assert.strictEqual(supervisor.status().state, 'stopping');
+  assert.strictEqual(supervisor.start().state, 'stopping');
+  assert.ok(supervisor.isWanted());
+  await stopping;
+
+  const status = supervisor.status();
+  assert.strictEqual(status.state, 'running');
+  assert.notStrictEqual(status.pid, first.pid);
+  assert.strictEqual(status.lastError, null);
+  assert.strictEqual(status.restarts, 0);
+  assert.strictEqual(launches, 2);
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'poller.log'), 'utf8'), /unexpectedly|restarting in/);
+
+  // a stop() before the worker exits cancels the held start
+  const again = supervisor.stop();
+  supervisor.start();
+  supervisor.stop();
+  await again;
+  assert.strictEqual(supervisor.status().state, 'stopped');
+  assert.strictEqual(launches, 2);
+});
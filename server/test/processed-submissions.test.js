@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { processedStorePath, createProcessedStore } = require('../processed-submissions');
+
+test('the webhook and the poller recording at once never lose a status', async () => {
+  const file = processedStorePath(fs.mkdtempSync(path.join(os.tmpdir(), 'processed-')));
+  const worker = (source) => `
+    const { createProcessedStore } = require(${JSON.stringify(path.join(__dirname, '..', 'processed-submissions'))});
+    const store = createProcessedStore(${JSON.stringify(file)});
+    for (let i = 0; i < 25; i++) store.record('${source}-' + i, { source: '${source}' });
+  `;
+  const exits = ['webhook', 'poll', 'replay'].map(source => new Promise((resolve) => {
+    spawn(process.execPath, ['-e', worker(source)], { stdio: 'ignore' }).on('close', resolve);
+  }));
+  assert.deepStrictEqual(await Promise.all(exits), [0, 0, 0]);
+
+  const store = createProcessedStore(file);
+  for (const source of ['webhook', 'poll', 'replay']) {
+    for (let i = 0; i < 25; i++) assert.ok(store.isProcessed(`${source}-${i}`), `${source}-${i}`);
+  }
+  assert.ok(!fs.existsSync(`${file}.lock`));
+});
+
+test('failures in a row are counted until a success', () => {
+  const store = createProcessedStore(processedStorePath(fs.mkdtempSync(path.join(os.tmpdir(), 'processed-'))));
+  store.record('1', { status: 'failed', error: 'boom' });
+  assert.strictEqual(store.record('1', { status: 'failed', error: 'boom' }).attempts, 2);
+  assert.deepStrictEqual(store.failed(2).map(f => f.id), ['1']);
+  store.record('1');
+  assert.ok(store.isProcessed('1'));
+  assert.deepStrictEqual(store.failed(), []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { planRetention, planId } = require('../retention');
+
+const NOW = new Date(2026, 9, 19);
+
+const outputFolder = (names) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+  const output = path.join(root, 'output');
+  names.forEach(name => fs.outputFileSync(path.join(output, name), 'docx'));
+  return { output, stateDir: path.join(root, 'state') };
+};
+
+test('old worksheets are archived by visit month; recent and open jobs stay', () => {
+  const { output, stateDir } = outputFolder([
+    '3-1-2026-Ann Lee-J1001.docx',
+    '20-1-2026-Bob Jones-J1002.docx',
+    '4-2-2026-Ann Lee-J1003.docx',
+    '2-2-2026-Ann Lee-J2001.docx', // J2001 has a recent visit below
+    '10-10-2026-Ann Lee-J2001.docx',
+    '1-3-2026-Bob Jones-J3001.docx', // listed as open
+    'notes.docx'
+  ]);
+  fs.ensureDirSync(path.join(output, '3-1-2026-Ann Lee-J1001_attachments'));
+
+  const plan = planRetention(output, { months: 6, openJobs: ['j-3001'], stateDir, now: NOW });
+  assert.deepStrictEqual(plan.archives.map(a => [a.month, a.worksheets.map(w => w.rel)]), [
+    ['2026-01', ['3-1-2026-Ann Lee-J1001.docx', '20-1-2026-Bob Jones-J1002.docx']],
+    ['2026-02', ['4-2-2026-Ann Lee-J1003.docx']]
+  ]);
+  assert.ok(plan.archives[0].worksheets[0].attachments);
+  assert.deepStrictEqual(plan.kept, { recent: 1, open: 2 });
+  assert.deepStrictEqual(plan.unrecognised, ['notes.docx']);
+});
+
+test('the plan id changes when the files to archive change', () => {
+  const { output, stateDir } = outputFolder(['3-1-2026-Ann Lee-J1001.docx', '10-10-2026-Ann Lee-J2001.docx']);
+  const before = planId(planRetention(output, { months: 6, stateDir, now: NOW }));
+  assert.strictEqual(planId(planRetention(output, { months: 6, stateDir, now: NOW })), before);
+
+  fs.outputFileSync(path.join(output, '5-1-2026-Bob Jones-J1002.docx'), 'docx');
+  assert.notStrictEqual(planId(planRetention(output, { months: 6, stateDir, now: NOW })), before);
+});
+
+test('--apply refuses a plan that no longer matches the folder', () => {
+  const { output, stateDir } = outputFolder(['3-1-2020-Ann Lee-J1001.docx']);
+  const run = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'retention.js'), '--output', output, '--months', '6'].concat(args), {
+    env: Object.assign({}, process.env, { WORKSHEET_STATE_DIR: stateDir }),
+    encoding: 'utf8'
+  });
+
+  const stale = run('--apply', '--plan', 'f'.repeat(40));
+  assert.strictEqual(stale.status, 1);
+  assert.match(stale.stderr, /changed since the preview/);
+  assert.ok(fs.existsSync(path.join(output, '3-1-2020-Ann Lee-J1001.docx')));
+  assert.ok(!fs.existsSync(path.join(stateDir, '.generator.lock')));
+
+  const plan = planId(planRetention(output, { months: 6, stateDir }));
+  assert.strictEqual(run('--apply', '--plan', plan).status, 0);
+  assert.ok(!fs.existsSync(path.join(output, '3-1-2020-Ann Lee-J1001.docx')));
+  assert.ok(fs.existsSync(path.join(output, 'archive', 'worksheets_2020-01.zip')));
+});
+
+test('--apply never takes over a generator lock held by a running process', () => {
+  const { output, stateDir } = outputFolder(['3-1-2020-Ann Lee-J1001.docx']);
+  const lock = path.join(stateDir, '.generator.lock');
+  const run = () => spawnSync(process.execPath, [path.join(__dirname, '..', 'retention.js'), '--output', output, '--months', '6', '--apply'], {
+    env: Object.assign({}, process.env, { WORKSHEET_STATE_DIR: stateDir }),
+    encoding: 'utf8'
+  });
+
+  fs.outputFileSync(lock, String(process.pid));
+  const busy = run();
+  assert.strictEqual(busy.status, 1);
+  assert.match(busy.stderr, /generation run is in progress/);
+  assert.strictEqual(fs.readFileSync(lock, 'utf8'), String(process.pid));
+  assert.ok(fs.existsSync(path.join(output, '3-1-2020-Ann Lee-J1001.docx')));
+
+  // a lock left by a process that has gone is taken over and released afterwards
+  fs.outputFileSync(lock, '999999999');
+  assert.strictEqual(run().status, 0);
+  assert.ok(!fs.existsSync(lock));
+  assert.ok(!fs.existsSync(path.join(output, '3-1-2020-Ann Lee-J1001.docx')));
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createSheetsOutbox } = require('../sheets-outbox');
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')), 'sheets-outbox.json');
+
+// an append that waits until release() is called, recording what it was asked to send
+function slowAppend() {
+  const calls = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  return { calls, release: () => release(), append: async (sheetId, row) => { calls.push(row); await gate; } };
+}
+
+test('a row queued while a flush is sending is kept', async () => {
+  const file = tmpFile();
+  const slow = slowAppend();
+  const outbox = createSheetsOutbox(file, { append: slow.append });
+  const first = outbox.enqueue({ sheetId: 'S', row: ['a'] });
+  const flushing = outbox.replay();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const queued = outbox.enqueue({ sheetId: 'S', row: ['b'] });
+  slow.release();
+  const result = await flushing;
+
+  assert.strictEqual(result.sent, 1);
+  assert.deepStrictEqual(outbox.list().map(i => i.id), [queued.id]);
+  assert.notStrictEqual(queued.id, first.id);
+});
+
+test('overlapping flushes send each row once', async () => {
+  const file = tmpFile();
+  const slow = slowAppend();
+  const outbox = createSheetsOutbox(file, { append: slow.append });
+  outbox.enqueue({ sheetId: 'S', row: ['a'] });
+  outbox.enqueue({ sheetId: 'S', row: ['b'] });
+
+  const runs = [outbox.replay(), outbox.replay()];
+  slow.release();
+  const [one, two] = await Promise.all(runs);
+
+  assert.deepStrictEqual(slow.calls.map(r => r[0]).sort(), ['a', 'b']);
+  assert.strictEqual(one.sent + two.sent, 2);
+  assert.strictEqual(outbox.list().length, 0);
+});
+
+test('a second process flushing the same file shares its lock', async () => {
+  const file = tmpFile();
+  const sent = [];
+  const outbox = createSheetsOutbox(file, { append: async (id, row) => { sent.push(row); } });
+  outbox.enqueue({ sheetId: 'S', row: ['a'] });
+
+  // held by a live process (our parent): skipped, nothing sent
+  fs.writeFileSync(`${file}.lock`, String(process.ppid));
+  const busy = await outbox.replay();
+  assert.strictEqual(busy.busy, true);
+  assert.strictEqual(sent.length, 0);
+
+  // left by a process that is gone: taken over
+  fs.writeFileSync(`${file}.lock`, '999999999');
+  const result = await outbox.replay();
+  assert.strictEqual(result.sent, 1);
+  assert.ok(!fs.existsSync(`${file}.lock`));
+});
+
+test('a failed send updates only that row', async () => {
+  const file = tmpFile();
+  let other;
+  const outbox = createSheetsOutbox(file, {
+    append: async () => {
+      other = outbox.enqueue({ sheetId: 'S', row: ['queued meanwhile'] });
+      throw new Error('quota');
+    }
+  });
+  const item = outbox.enqueue({ sheetId: 'S', row: ['a'] });
+  const result = await outbox.replay(item.id);
+
+  assert.strictEqual(result.failed, 1);
+  const items = outbox.list();
+  assert.strictEqual(items.length, 2);
+  const retried = items.find(i => i.id === item.id);
+  assert.strictEqual(retried.attempts, 2);
+  assert.strictEqual(retried.lastError, 'quota');
+  assert.ok(items.some(i => i.id === other.id));
+});
+
+test('rows queued and dropped by several processes at once are all kept track of', async () => {
+  const file = tmpFile();
+  const outbox = createSheetsOutbox(file);
+  const doomed = outbox.enqueue({ sheetId: 'sheet', row: ['doomed'] });
+  const worker = (n) => `
+    const { createSheetsOutbox } = require(${JSON.stringify(path.join(__dirname, '..', 'sheets-outbox'))});
+    const outbox = createSheetsOutbox(${JSON.stringify(file)});
+    for (let i = 0; i < 20; i++) outbox.enqueue({ sheetId: 'sheet', row: ['p${n}', i] });
+  `;
+  const exits = [1, 2, 3].map(n => new Promise((resolve) => {
+    spawn(process.execPath, ['-e', worker(n)], { stdio: 'ignore' }).on('close', resolve);
+  }));
+  assert.ok(outbox.drop(doomed.id));
+  assert.deepStrictEqual(await Promise.all(exits), [0, 0, 0]);
+
+  const rows = outbox.list().map(i => i.row.join(':'));
+  assert.strictEqual(rows.length, 60);
+  assert.ok(!rows.includes('doomed'));
+  assert.ok(!fs.existsSync(`${file}.write.lock`));
+});
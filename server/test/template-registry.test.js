@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { loadTemplateRegistry, selectTemplate } = require('../template-registry');
+const { loadFieldMapping, mapFields, buildSheetRow } = require('../field-mapping');
+
+test('each job type gets its own template and anything else the default', () => {
+  const registry = loadTemplateRegistry();
+  const pick = (JOB_TYPE) => selectTemplate({ JOB_TYPE, JOB_NO: 'J1001' }, { registry }).id;
+
+  assert.strictEqual(pick('New installation'), 'installation');
+  assert.strictEqual(pick('EICR'), 'testing');
+  assert.strictEqual(pick('Electrical Testing'), 'testing');
+  assert.strictEqual(pick('Service call'), 'service');
+  assert.strictEqual(pick('Call out - fault finding'), 'service');
+  assert.strictEqual(pick('Pattern survey'), 'worksheet');
+  assert.strictEqual(pick(''), 'worksheet');
+});
+
+test('every template in the shipped registry has its file', () => {
+  const registry = loadTemplateRegistry();
+  for (const id of Object.keys(registry.templates)) {
+    const template = selectTemplate({}, { registry: Object.assign({}, registry, { default: id }) });
+    assert.strictEqual(template.id, id);
+    assert.ok(fs.existsSync(template.path), template.path);
+  }
+});
+
+test('each job type has its own layout file', () => {
+  const registry = loadTemplateRegistry();
+  const files = Object.values(registry.templates).map(t => t.file);
+  assert.strictEqual(new Set(files).size, files.length);
+});
+
+test('the job type written to the sheet by the poller and webhook picks the template', () => {
+  const mapping = loadFieldMapping();
+  const row = buildSheetRow({ TIMESTAMP: '2026-10-17 09:00:00', NAME: 'Ann Lee', DATE: '17/10/2026', JOB_NO: 'J5', JOB_TYPE: 'EICR' }, { mapping });
+  const sheetRow = {};
+  mapping.sheetColumns.forEach((col, i) => { sheetRow[col.header] = row[i]; });
+
+  assert.strictEqual(selectTemplate(mapFields(sheetRow, { mapping })).id, 'testing');
+});
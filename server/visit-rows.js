@@ -0,0 +1,72 @@
+const path = require('path');
+const { createRowSource, readRows } = require('./row-sources');
+const { mapFields } = require('./field-mapping');
+const { parseDate } = require('./dates');
+
+/**
+ * visit-rows.js
+ *
+ * The sheet rows fillFromSheet.js reads, as visits for the reports (report-timesheet.js, ...):
+ * each row mapped through field-mapping.json (as mapSheetRowToTemplateFields does) with its DATE
+ * parsed by dates.js, plus the job-number and hours parsing the reports share.
+ *
+ * Source options come from the same flags and env vars as fillFromSheet.js: --source (or
+ * ROW_SOURCE) for a CSV/XLSX file, else GOOGLE_SHEET_ID / GOOGLE_SHEET_RANGE / GOOGLE_CREDENTIALS_PATH;
+ * --sheet picks the workbook sheet.
+ */
+
+function sourceOptions(argv = {}) {
+  return {
+    source: argv.source || process.env.ROW_SOURCE || '',
+    sheetId: process.env.GOOGLE_SHEET_ID,
+    range: process.env.GOOGLE_SHEET_RANGE || process.env.SHEET_TAB || 'Form Responses 1',
+    credentialsPath: process.env.GOOGLE_CREDENTIALS_PATH || path.join(__dirname, 'google-sheets-creds.json'),
+    sheetName: argv.sheet
+  };
+}
+
+/**
+ * A visit's DATE read in DATE_LOCALE order (day-first by default). The submission TIMESTAMP is the
+ * "near" hint: a day/month swap is only reported when the other reading is closer to when the
+ * row was submitted. Returns parseDate()'s result plus `raw`.
+ */
+function parseVisitDate(fields) {
+  const raw = fields.DATE || '';
+  return Object.assign({ raw }, parseDate(raw, { near: parseDate(fields.TIMESTAMP).date }));
+}
+
+// "J-1001", "j1001" and "J 1001" are the same job
+const normalizeJobNo = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Hours as written in the sheet -> { hours, issue }. Blank means 0; "7.5", "7,5", "8 hrs", "7h30",
+ * "7:30" and "7 hours 30 mins" are understood. Anything else is 0 with an issue to report.
+ */
+function parseHours(value) {
+  const s = String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!s || /^(-|none|n\/?a)$/.test(s)) return { hours: 0, issue: null };
+
+  let m = s.match(/^(\d+(?:[.,]\d+)?)\s*(?:h|hr|hrs|hour|hours)?\.?$/);
+  if (m) return { hours: Number(m[1].replace(',', '.')), issue: null };
+
+  m = s.match(/^(\d+)\s*(?:h|hr|hrs|hours?|:)\s*(\d{1,2})\s*(?:m|min|mins|minutes)?\.?$/);
+  if (m && Number(m[2]) < 60) return { hours: Math.round((Number(m[1]) + Number(m[2]) / 60) * 100) / 100, issue: null };
+
+  return { hours: 0, issue: `hours "${String(value).trim()}" not understood (counted as 0)` };
+}
+
+/**
+ * Every row as { row, fields, date } where date is parseVisitDate()'s result (date.date is null
+ * when the DATE can't be read).
+ */
+async function readVisits(options) {
+  const source = createRowSource(options);
+  console.log(`Reading rows from ${source.describe()}`);
+  const rows = await readRows(source);
+  return rows.map(row => {
+    const fields = mapFields(row);
+    return { row, fields, date: parseVisitDate(fields) };
+  });
+}
+
+module.exports = { sourceOptions, parseVisitDate, normalizeJobNo, parseHours, readVisits };
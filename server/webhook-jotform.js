@@ -9,160 +9,189 @@
  *   JOTFORM_WEBHOOK_SECRET
  *   GOOGLE_SHEET_ID (optional)
  *   GOOGLE_CREDENTIALS_PATH (optional, default google-sheets-creds.json)
+ *   WEBHOOK_TOLERANCE_SECONDS (optional, default 300) - max age of a signed request
+ *   WORKSHEET_STATE_DIR (optional, default server/) - where processed ids, the audit log and the
+ *     sheets outbox live
+ *   OUTBOX_FLUSH_MS (optional, default 60000) - how often queued sheet rows are retried
+ *   JOTFORM_FIXTURES_DIR / JOTFORM_API_HOST (optional) - fetch submissions from recorded fixtures
+ *     or a stand-in server instead of the live API (see jotform-client.js, replay-fixtures.js)
+ *
+ * Authentication (when JOTFORM_WEBHOOK_SECRET is set), any one of:
+ *   - X-Webhook-Signature: hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" keyed with the
+ *     secret (optionally prefixed "sha256="); requests older than the tolerance or with a
+ *     signature already seen are rejected as stale/replayed
+ *   - X-Webhook-Secret: <secret> header
+ *   - ?secret=<secret> query parameter (JotForm's own webhook settings can only set the URL)
+ *
+ * Each submission_id is processed once: repeats are acknowledged with 200 but skipped (see
+ * processed-submissions.js). Every delivery outcome is appended to webhook-audit.log as JSON lines.
+ *
+ * Submissions go through submission-pipeline.js, the same path poll-jotform.js uses. Photo uploads
+ * and the signature are downloaded to server/tmp/<submission>, embedded in the worksheet, archived
+ * beside it as <worksheet>_attachments/ and the temp folder removed (attachments.js).
  */
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
+const { submissionToRecord, processSubmission, flushSheetsOutbox } = require('./submission-pipeline');
+const { processedStorePath, createProcessedStore } = require('./processed-submissions');
+const { createJotformClient } = require('./jotform-client');
+const { tempDirFor, downloadSubmissionAttachments, removeTempDir, cleanupStaleTemp } = require('./attachments');
 
 const PORT = process.env.PORT || 3000;
 const JOTFORM_API_KEY = process.env.JOTFORM_API_KEY || '';
 const WEBHOOK_SECRET = process.env.JOTFORM_WEBHOOK_SECRET || '';
 const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID || '';
 const GOOGLE_CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || 'google-sheets-creds.json';
-
-if (!JOTFORM_API_KEY) console.warn('WARNING: JOTFORM_API_KEY not set');
+const TOLERANCE_MS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS || 300) * 1000;
+const STATE_DIR = process.env.WORKSHEET_STATE_DIR || __dirname;
+const AUDIT_LOG = path.join(STATE_DIR, 'webhook-audit.log');
+
+const processed = createProcessedStore(processedStorePath(STATE_DIR));
+const jotform = createJotformClient();
+// submission ids being worked on right now — a retry arriving mid-run must not start a second one
+const inFlight = new Set();
+// signature -> expiry; a signature can only be used once while its timestamp is still fresh
+const seenSignatures = new Map();
+
+if (!JOTFORM_API_KEY && !process.env.JOTFORM_FIXTURES_DIR) console.warn('WARNING: JOTFORM_API_KEY not set');
 if (!WEBHOOK_SECRET) console.warn('WARNING: JOTFORM_WEBHOOK_SECRET not set');
 
 const app = express();
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
-
-function normalizeDateToISO(raw, preferDM = false) {
-  if (!raw) return null;
-  raw = String(raw).trim();
-  const ts = Date.parse(raw);
-  if (!Number.isNaN(ts)) return new Date(ts).toISOString().slice(0,10);
-  const parts = raw.match(/^\s*(\d{1,2})[\/\-\.\s](\d{1,2})[\/\-\.\s](\d{2,4})\s*$/);
-  if (parts) {
-    let a = parseInt(parts[1],10), b = parseInt(parts[2],10), y = parseInt(parts[3],10);
-    if (y < 100) y += (y > 50 ? 1900 : 2000);
-    let day, month;
-    if (a > 12) { day = a; month = b; } else {
-      if (preferDM) { day = a; month = b; } else { month = a; day = b; }
-    }
-    if (month >=1 && month <=12 && day >=1 && day <=31) {
-      return `${String(y).padStart(4,'0')}-${String(month).padStart(2,'0')}-${String(day).padStart(2,'0')}`;
-    }
+// keep the exact bytes for HMAC verification
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(bodyParser.urlencoded({ extended: true, verify: keepRawBody }));
+app.use(bodyParser.json({ verify: keepRawBody }));
+
+function audit(entry) {
+  const line = JSON.stringify(Object.assign({ at: new Date().toISOString() }, entry));
+  try {
+    fs.ensureDirSync(STATE_DIR);
+    fs.appendFileSync(AUDIT_LOG, line + '\n', 'utf8');
+  } catch (err) {
+    console.warn('Could not write webhook audit log:', err.message);
   }
-  return null;
 }
 
-async function fetchSubmission(submissionId) {
-  if (!JOTFORM_API_KEY) throw new Error('Missing JOTFORM_API_KEY');
-  const url = `https://api.jotform.com/submission/${submissionId}?apiKey=${JOTFORM_API_KEY}`;
-  const resp = await axios.get(url, { timeout: 10000 });
-  if (resp.data && resp.data.content) return resp.data.content;
-  throw new Error('Bad response from JotForm API');
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
 }
 
-async function downloadFile(url, destDir) {
-  await fs.ensureDir(destDir);
-  const filename = path.basename(url.split('?')[0]);
-  const dest = path.join(destDir, filename);
-  const writer = fs.createWriteStream(dest);
-  const resp = await axios.get(url, { responseType: 'stream', timeout: 20000 });
-  resp.data.pipe(writer);
-  return new Promise((resolve, reject) => {
-    writer.on('finish', () => resolve(dest));
-    writer.on('error', reject);
-  });
-}
+/**
+ * Returns { ok: true, method } or { ok: false, reason } for a delivery. See the header comment for
+ * the accepted schemes; with no JOTFORM_WEBHOOK_SECRET configured every request is accepted.
+ */
+function verifyRequest(req) {
+  if (!WEBHOOK_SECRET) return { ok: true, method: 'none' };
+
+  const signature = String(req.get('x-webhook-signature') || '').replace(/^sha256=/i, '');
+  if (signature) {
+    const timestamp = req.get('x-webhook-timestamp') || '';
+    const sentAt = /^\d+$/.test(timestamp) ? Number(timestamp) * (timestamp.length <= 10 ? 1000 : 1) : NaN;
+    if (Number.isNaN(sentAt)) return { ok: false, reason: 'missing or invalid X-Webhook-Timestamp' };
+    if (Math.abs(Date.now() - sentAt) > TOLERANCE_MS) return { ok: false, reason: 'stale timestamp' };
+
+    const expected = crypto.createHmac('sha256', WEBHOOK_SECRET)
+      .update(`${timestamp}.`)
+      .update(req.rawBody || Buffer.alloc(0))
+      .digest('hex');
+    if (!safeEqual(signature.toLowerCase(), expected)) return { ok: false, reason: 'bad signature' };
+
+    const now = Date.now();
+    for (const [sig, expires] of seenSignatures) if (expires < now) seenSignatures.delete(sig);
+    if (seenSignatures.has(expected)) return { ok: false, reason: 'replayed signature' };
+    seenSignatures.set(expected, sentAt + TOLERANCE_MS);
+    return { ok: true, method: 'hmac' };
+  }
 
-// Replace this with your actual generation function
-async function generate(mapped) {
-  console.log('Generator would run with mapped data:', mapped);
-  // e.g. spawn a process or call internal function
-  return true;
-}
+  const headerSecret = req.get('x-webhook-secret');
+  if (headerSecret) {
+    return safeEqual(headerSecret, WEBHOOK_SECRET) ? { ok: true, method: 'header' } : { ok: false, reason: 'bad secret header' };
+  }
 
-// Optional helper: append to Google Sheets (non-blocking)
-async function appendRowToSheet(rowValues) {
-  try {
-    const sheetsHelper = require('./append-to-sheets');
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-    if (!spreadsheetId) { console.warn('GOOGLE_SHEET_ID not set, skipping append'); return; }
-    await sheetsHelper.appendRow(spreadsheetId, rowValues, GOOGLE_CREDENTIALS_PATH);
-  } catch (err) {
-    console.error('appendRowToSheet failed', err.message);
+  const querySecret = (req.query && req.query.secret) || '';
+  if (querySecret) {
+    return safeEqual(querySecret, WEBHOOK_SECRET) ? { ok: true, method: 'query' } : { ok: false, reason: 'bad secret query parameter' };
   }
+  return { ok: false, reason: 'no credentials' };
 }
 
 app.post('/jotform-webhook', async (req, res) => {
+  let claimedId = null;
+  let tempDir = null;
   try {
-    const secret = (req.query && req.query.secret) || '';
-    if (WEBHOOK_SECRET && secret !== WEBHOOK_SECRET) {
-      console.warn('Webhook secret mismatch; rejecting');
-      return res.status(401).send('Invalid webhook secret');
+    const submissionId = req.body.submission_id || req.body.id || req.body.sid;
+    const delivery = { submissionId: submissionId || null, ip: req.ip };
+
+    const auth = verifyRequest(req);
+    if (!auth.ok) {
+      console.warn('Webhook rejected:', auth.reason);
+      audit(Object.assign({ outcome: 'rejected', reason: auth.reason }, delivery));
+      return res.status(401).send('Invalid webhook credentials');
     }
+    delivery.auth = auth.method;
 
-    const submissionId = req.body.submission_id || req.body.id || req.body.sid;
-    let submission = null;
+    if (submissionId && (processed.isProcessed(submissionId) || inFlight.has(String(submissionId)))) {
+      const reason = inFlight.has(String(submissionId)) ? 'already processing' : 'already processed';
+      console.log(`Ignoring repeat delivery of submission ${submissionId} (${reason})`);
+      audit(Object.assign({ outcome: 'duplicate', reason }, delivery));
+      return res.status(200).send('OK (duplicate)');
+    }
     if (submissionId) {
-      try { submission = await fetchSubmission(submissionId); } catch (err) {
-        console.warn('Could not fetch submission via API:', err.message);
-      }
+      claimedId = String(submissionId);
+      inFlight.add(claimedId);
     }
 
-    const mapped = {};
-    const answers = submission && submission.answers ? submission.answers : null;
-    if (answers) {
-      for (const key of Object.keys(answers)) {
-        const ans = answers[key];
-        const value = ans.answer ?? ans.prettyFormat ?? ans.text ?? '';
-        const fieldName = (ans.name || ans.text || `q${key}`).toString();
-        mapped[fieldName] = value;
+    let submission = null;
+    if (submissionId) {
+      try { submission = await jotform.fetchSubmission(submissionId); } catch (err) {
+        console.warn('Could not fetch submission via API:', err.message);
       }
-    } else {
-      for (const k of Object.keys(req.body)) mapped[k] = req.body[k];
     }
 
-    // Normalize date fields (adjust keys to your actual field names)
-    const rawDate = mapped.meeting_date || mapped['Meeting Date'] || mapped.date || mapped['date'];
-    const isoDate = normalizeDateToISO(rawDate);
-    if (isoDate) mapped.meeting_date = isoDate;
-
-    // Download uploads if present
-    const tempDir = path.join(__dirname, 'tmp', String(submissionId || Date.now()));
-    if (answers) {
-      for (const key of Object.keys(answers)) {
-        const ans = answers[key];
-        if (ans.type === 'control_fileupload' && ans.answer) {
-          const urls = Array.isArray(ans.answer) ? ans.answer : [ans.answer];
-          mapped.uploads = mapped.uploads || [];
-          for (const u of urls) {
-            try {
-              const downloadUrl = u.includes('?') ? u : `${u}?apiKey=${JOTFORM_API_KEY}`;
-              const saved = await downloadFile(downloadUrl, tempDir);
-              mapped.uploads.push(saved);
-            } catch (err) {
-              console.warn('Failed to download upload:', err.message);
-            }
-          }
-        }
-      }
-    }
+    // Same record shape the poller builds; a body without answers is taken as-is
+    const record = submissionToRecord(submission || req.body);
+    // Photo uploads and the signature go to tmp/<submission> until the worksheet is written
+    tempDir = tempDirFor(submissionId);
+    const attachments = await downloadSubmissionAttachments(submission, { destDir: tempDir, apiKey: JOTFORM_API_KEY });
 
     // Respond fast
     res.status(200).send('OK');
-
-    // Async: append to sheet (best-effort) and run generator
-    const row = [
-      mapped.name || mapped['Name'] || '',
-      mapped.email || mapped['Email'] || '',
-      mapped.meeting_date || '',
-      new Date().toISOString()
-    ];
-    appendRowToSheet(row); // fire-and-forget
-
-    try { await generate(mapped); } catch (err) { console.error('Generator error', err); }
+    audit(Object.assign({ outcome: 'accepted', reason: submissionId ? '' : 'no submission id; cannot de-duplicate' }, delivery));
+
+    // Async: render the worksheet and append the full header-ordered row (submission-pipeline.js)
+    try {
+      const result = await processSubmission(record, { attachments, sheetId: GOOGLE_SHEET_ID, credentialsPath: GOOGLE_CREDENTIALS_PATH });
+      console.log('Worksheet for', submissionId || '(no id)', ':', result.outputFile);
+      if (submissionId) processed.record(submissionId, { status: 'done', source: 'webhook', outputFile: result.outputFile });
+      audit(Object.assign({ outcome: 'processed', outputFile: result.outputFile, attachmentsDir: result.attachmentsDir, appended: result.appended }, delivery));
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      console.error('Generator error', message);
+      if (submissionId) processed.record(submissionId, { status: 'failed', source: 'webhook', error: message });
+      audit(Object.assign({ outcome: 'failed', reason: message }, delivery));
+    }
 
   } catch (err) {
     console.error('Webhook handler error', err);
+    audit({ outcome: 'error', reason: err && err.message ? err.message : String(err), ip: req.ip });
     try { res.status(500).send('Server error'); } catch (_) {}
+  } finally {
+    if (claimedId) inFlight.delete(claimedId);
+    await removeTempDir(tempDir);
   }
 });
 
-app.listen(PORT, () => console.log(`JotForm webhook listening on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => console.log(`JotForm webhook listening on port ${PORT}`));
+
+// downloads orphaned by a crash mid-submission
+cleanupStaleTemp();
+
+// retry sheet rows that failed to append (see sheets-outbox.js)
+setInterval(flushSheetsOutbox, Number(process.env.OUTBOX_FLUSH_MS || 60000));
+flushSheetsOutbox();
\ No newline at end of file
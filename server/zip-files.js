@@ -0,0 +1,31 @@
+const fs = require('fs-extra');
+const archiver = require('archiver');
+
+/**
+ * zip-files.js
+ *
+ * writeZip(zipPath, entries): zip entries ({ name, file } to copy a file, { name, buffer } for
+ * generated content) into zipPath. Written to a temp file and renamed, so an interrupted run never
+ * leaves a half-written zip behind. Used by export-job-bundle.js and retention.js.
+ */
+function writeZip(zipPath, entries) {
+  const tmp = `${zipPath}.${process.pid}.tmp`;
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(tmp);
+    const zip = archiver('zip', { zlib: { level: 9 } });
+    out.on('close', resolve);
+    out.on('error', reject);
+    zip.on('error', reject);
+    zip.pipe(out);
+    for (const entry of entries) {
+      if (entry.buffer) zip.append(entry.buffer, { name: entry.name });
+      else zip.file(entry.file, { name: entry.name });
+    }
+    zip.finalize();
+  }).then(() => fs.move(tmp, zipPath, { overwrite: true }), (err) => {
+    fs.removeSync(tmp);
+    throw err;
+  });
+}
+
+module.exports = { writeZip };